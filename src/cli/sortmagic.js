@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+// Headless entry point: organize folders from scripts and cron jobs using
+// the same scanner, strategies, rules and batch executor as the app.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const OperationJournal = require('../services/operation-journal');
+const TagStore = require('../services/tag-store');
+const Trash = require('../services/trash');
+const { Settings } = require('../services/settings');
+const { BatchExecutor } = require('../services/batch-executor');
+const { scanDirectory } = require('../services/directory-scanner');
+const { validateOperations } = require('../services/operation-validator');
+const { STRATEGIES, buildCategoryOperations } = require('../services/strategies');
+const { loadRules, planRules } = require('../services/rules-engine');
+const { COLLISION_POLICIES } = require('../services/collision');
+
+const APP_NAME = 'file-organizer';
+const DEFAULT_COLLISION_POLICY = 'suffix';
+
+const USAGE = `Usage: sortmagic organize <dir> [options]
+
+Options:
+  --strategy <name>    ${['rules', ...Object.keys(STRATEGIES)].join(', ')} (default: by-type)
+  --recursive          include files in subfolders
+  --dry-run            validate and print the plan without changing anything
+  --json               print machine-readable results
+  --collision <policy> ${COLLISION_POLICIES.filter(p => p !== 'ask').join(', ')} (default: ${DEFAULT_COLLISION_POLICY})
+  --data-dir <dir>     app data folder (journal, trash, rules, tags)
+  -h, --help           show this help
+
+Changes are journaled like the app's, so they can be undone from the app.
+Exit status: 0 on success, 1 if any operation failed, 2 on usage errors.`;
+
+class UsageError extends Error {}
+
+/**
+ * The folder Electron uses as userData for this app, so the CLI shares the
+ * app's journal, trash, rules and tags
+ */
+function defaultDataDir() {
+  if (process.env.SORTMAGIC_DATA_DIR) {
+    return process.env.SORTMAGIC_DATA_DIR;
+  }
+  switch (process.platform) {
+    case 'darwin':
+      return path.join(os.homedir(), 'Library', 'Application Support', APP_NAME);
+    case 'win32':
+      return path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), APP_NAME);
+    default:
+      return path.join(process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), APP_NAME);
+  }
+}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        strategy: { type: 'string', default: 'by-type' },
+        recursive: { type: 'boolean', default: false },
+        'dry-run': { type: 'boolean', default: false },
+        json: { type: 'boolean', default: false },
+        collision: { type: 'string', default: DEFAULT_COLLISION_POLICY },
+        'data-dir': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { help: true };
+  }
+
+  const [command, directory, ...extra] = positionals;
+  if (command !== 'organize') {
+    throw new UsageError(command ? `Unknown command "${command}"` : 'No command given');
+  }
+  if (!directory || extra.length > 0) {
+    throw new UsageError('Expected exactly one directory');
+  }
+  if (values.strategy !== 'rules' && !STRATEGIES[values.strategy]) {
+    throw new UsageError(`Unknown strategy "${values.strategy}"`);
+  }
+  if (!COLLISION_POLICIES.includes(values.collision) || values.collision === 'ask') {
+    throw new UsageError(`Unknown collision policy "${values.collision}"`);
+  }
+
+  return {
+    directory: path.resolve(directory),
+    strategy: values.strategy,
+    recursive: values.recursive,
+    dryRun: values['dry-run'],
+    json: values.json,
+    collisionPolicy: values.collision,
+    dataDir: values['data-dir'] || defaultDataDir()
+  };
+}
+
+/**
+ * Scan the directory and build the strategy's batch operations
+ */
+async function planOrganization(options) {
+  if (!(await fs.stat(options.directory)).isDirectory()) {
+    throw new Error(`Not a directory: ${options.directory}`);
+  }
+
+  const scan = await scanDirectory(options.directory, {
+    maxDepth: options.recursive ? Infinity : 0
+  });
+  const files = scan.entries.filter(entry => !entry.isDirectory);
+  const warnings = scan.errors.map(e => `Cannot read ${e.path}: ${e.error}`);
+
+  let operations;
+  if (options.strategy === 'rules') {
+    const { rules, errors } = await loadRules(path.join(options.dataDir, 'rules'),
+                                              options.directory);
+    warnings.push(...errors);
+    operations = (await planRules(rules, options.directory, files)).operations;
+  } else {
+    const organize = STRATEGIES[options.strategy];
+    operations = buildCategoryOperations(options.directory, organize(files));
+  }
+
+  return { files, operations, warnings };
+}
+
+async function runOrganization(options) {
+  const { files, operations, warnings } = await planOrganization(options);
+
+  let result;
+  if (options.dryRun) {
+    result = await validateOperations(operations, {
+      collisionPolicy: options.collisionPolicy
+    });
+  } else {
+    const settings = new Settings(path.join(options.dataDir, 'settings.json'));
+    await settings.load();
+    const tagStore = new TagStore(path.join(options.dataDir, 'tags.json'));
+    await tagStore.load();
+
+    const executor = new BatchExecutor({
+      journal: new OperationJournal(path.join(options.dataDir, 'journal')),
+      trash: new Trash(settings.get('trash.useSystemTrash') ?
+        Trash.systemTrashDir() : path.join(options.dataDir, 'trash')),
+      tagStore: tagStore
+    });
+    result = await executor.run(operations, {
+      label: `Organize ${options.directory} (${options.strategy}, command line)`,
+      collisionPolicy: options.collisionPolicy
+    });
+  }
+
+  return {
+    directory: options.directory,
+    strategy: options.strategy,
+    dryRun: options.dryRun,
+    files: files.length,
+    warnings: warnings,
+    ...result
+  };
+}
+
+function describeOperation(operation, directory) {
+  const rel = filePath => path.relative(directory, filePath) || '.';
+  switch (operation.type) {
+    case 'create-folder':
+      return `create folder ${rel(operation.path)}`;
+    case 'move':
+      return `move ${rel(operation.source)} -> ${rel(operation.destination)}`;
+    case 'rename':
+      return `rename ${rel(operation.oldPath)} -> ${path.basename(operation.newPath)}`;
+    case 'delete':
+      return `trash ${rel(operation.path)}`;
+    case 'tag':
+      return `tag ${rel(operation.path)}: ${operation.tags.join(', ')}`;
+    default:
+      return `${operation.type} ${rel(operation.path || operation.source)}`;
+  }
+}
+
+function printReport(report) {
+  report.warnings.forEach(warning => console.error(`warning: ${warning}`));
+
+  for (const r of report.results) {
+    let status = r.success ? (r.skipped ? 'skipped' : 'ok') : 'FAILED';
+    if (report.dryRun && r.success) status = 'would run';
+    let line = `[${status}] ${describeOperation(r.operation, report.directory)}`;
+    if (r.collision) {
+      line += r.collision.action === 'renamed' ?
+        ` (exists, saved as ${path.basename(r.collision.destination)})` :
+        ` (exists, ${r.collision.action})`;
+    }
+    if (r.error) line += `: ${r.error}`;
+    console.log(line);
+  }
+
+  const done = report.dryRun ?
+    `${report.successful} valid` :
+    `${report.successful} successful, ${report.skipped} skipped`;
+  console.log(`\n${report.files} files, ${report.total} operations: ${done}, ${report.failed} failed.`);
+  if (report.batchId) {
+    console.log(`Saved as batch ${report.batchId}; undo it from the app.`);
+  }
+}
+
+async function main(argv) {
+  let options;
+  try {
+    options = parseCommandLine(argv);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(`sortmagic: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  let report;
+  try {
+    report = await runOrganization(options);
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: error.message }, null, 2));
+    } else {
+      console.error(`sortmagic: ${error.message}`);
+    }
+    return 1;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+  return report.failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseCommandLine, planOrganization };
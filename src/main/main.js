@@ -1,27 +1,49 @@
 // Load environment variables from .env file
 require('dotenv').config();
 
-const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const AIOrganizer = require('../services/ai-service');
+const { PROVIDERS, createProvider } = require('../services/llm-providers');
+const OperationJournal = require('../services/operation-journal');
+const { validateOperations } = require('../services/operation-validator');
+const { findDuplicates } = require('../services/duplicate-finder');
+const { scanDirectory, statEntry } = require('../services/directory-scanner');
+const { BatchExecutor, applyCollisionPolicy } = require('../services/batch-executor');
+const { Settings } = require('../services/settings');
+const Trash = require('../services/trash');
+const TagStore = require('../services/tag-store');
+const { loadRules, ensureRulesFolder, planRules } = require('../services/rules-engine');
+const { STRATEGIES, buildCategoryOperations } = require('../services/strategies');
+const { FolderWatcher } = require('../services/folder-watcher');
+const { extractExcerpts } = require('../services/content-extractor');
+const { EmbeddingIndex } = require('../services/embedding-index');
+const { runChatTurn } = require('../services/chat-agent');
+const { checkRenames } = require('../services/file-names');
+const { previewBulkRename } = require('../services/bulk-rename');
+const { previewFile } = require('../services/file-preview');
+const { readTextLines, readTextForEditing, saveTextFile } = require('../services/text-file');
 
 let mainWindow;
+let journal = null;
+let settings = null;
+let trash = null;
+let tagStore = null;
+let folderWatcher = null;
+let executor = null;
+let embeddingIndex = null;
 
-// Initialize AI service
+// Initialize AI service from the "ai" settings
 let aiService = null;
 function initializeAIService() {
   try {
-    // Try to load API key from environment or .env file
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (apiKey) {
-      aiService = new AIOrganizer(apiKey);
-      console.log('AI service initialized');
-    } else {
-      console.warn('OpenAI API key not found. AI features will be limited.');
-    }
+    const config = settings.get('ai');
+    aiService = new AIOrganizer(createProvider(config), config.models);
+    console.log(`AI service initialized (${PROVIDERS[config.provider].label})`);
   } catch (error) {
-    console.error('Failed to initialize AI service:', error);
+    aiService = null;
+    console.warn(error.message + ' AI features will be limited.');
   }
 }
 
@@ -32,6 +54,8 @@ function createWindow() {
     webPreferences: {
       nodeIntegration: false,
       contextIsolation: true,
+      // Chromium's PDF viewer, for PDF previews
+      plugins: true,
       preload: path.join(__dirname, 'preload.js')
     },
     frame: false,
@@ -41,6 +65,21 @@ function createWindow() {
 
   mainWindow.loadFile(path.join(__dirname, '../renderer/index.html'));
   
+  // The renderer refuses to unload while an edited file has unsaved changes
+  mainWindow.webContents.on('will-prevent-unload', (event) => {
+    const response = dialog.showMessageBoxSync(mainWindow, {
+      type: 'question',
+      message: 'You have unsaved changes',
+      detail: 'Close anyway and lose them?',
+      buttons: ['Discard changes', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1
+    });
+    if (response === 0) {
+      event.preventDefault();
+    }
+  });
+  
   // Only open DevTools in development mode
   const isDev = process.argv.includes('--dev') || 
                 process.env.NODE_ENV === 'development';
@@ -49,9 +88,46 @@ function createWindow() {
   }
 }
 
-app.whenReady().then(() => {
+// Trash location follows the "use system trash" setting
+function initializeTrash() {
+  const trashDir = settings.get('trash.useSystemTrash') ? 
+    Trash.systemTrashDir() : 
+    path.join(app.getPath('userData'), 'trash');
+  trash = new Trash(trashDir);
+  if (executor) {
+    executor.trash = trash;
+  }
+}
+
+// Purge items this app trashed longer ago than the configured age
+async function autoPurgeTrash() {
+  try {
+    const purged = await trash.purgeOlderThan(settings.get('trash.autoPurgeDays'));
+    if (purged.length > 0) {
+      console.log(`Auto-purged ${purged.length} items from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash auto-purge failed:', error);
+  }
+}
+
+app.whenReady().then(async () => {
+  const userData = app.getPath('userData');
+  journal = new OperationJournal(path.join(userData, 'journal'));
+  settings = new Settings(path.join(userData, 'settings.json'));
+  await settings.load();
+  initializeTrash();
+  tagStore = new TagStore(path.join(userData, 'tags.json'));
+  await tagStore.load();
+  executor = new BatchExecutor({ journal, trash, tagStore });
+  embeddingIndex = new EmbeddingIndex(path.join(userData, 'embeddings.json'));
+  await embeddingIndex.load();
+  autoPurgeTrash();
+  setInterval(autoPurgeTrash, 24 * 60 * 60 * 1000);
+  
   initializeAIService();
   createWindow();
+  initializeFolderWatcher();
 });
 
 app.on('window-all-closed', () => {
@@ -81,126 +157,182 @@ ipcMain.handle('select-directory', async () => {
 
 ipcMain.handle('read-directory', async (event, dirPath) => {
   try {
-    const items = await fs.readdir(dirPath, { withFileTypes: true });
-    const fileData = [];
-    
-    for (const item of items) {
-      const fullPath = path.join(dirPath, item.name);
-      const stats = await fs.stat(fullPath);
-      
-      fileData.push({
-        name: item.name,
-        path: fullPath,
-        isDirectory: item.isDirectory(),
-        size: stats.size,
-        modified: stats.mtime,
-        created: stats.birthtime,
-        extension: item.isDirectory() ? null : path.extname(item.name)
-      });
-    }
-    
-    return fileData;
+    const result = await scanDirectory(dirPath, { maxDepth: 0, ignore: [] });
+    return result.entries;
   } catch (error) {
     console.error('Error reading directory:', error);
     return [];
   }
 });
 
-ipcMain.handle('read-file-content', async (event, filePath) => {
+// Recursive scans in flight, by renderer-supplied scan id
+const activeScans = new Map();
+
+// Recursive directory scan. Entries stream to the renderer in batches on
+// 'scan-progress' while the walk runs; the full result is returned at the end.
+ipcMain.handle('scan-directory', async (event, rootPath, options = {}) => {
+  const scanId = options.scanId;
+  const controller = new AbortController();
+  activeScans.set(scanId, controller);
+  
+  let pending = [];
+  let lastSent = 0;
+  const flush = (progress, force) => {
+    const now = Date.now();
+    if (!force && now - lastSent < 100 && pending.length < 500) return;
+    lastSent = now;
+    event.sender.send('scan-progress', { 
+      scanId: scanId, 
+      entries: pending, 
+      ...progress 
+    });
+    pending = [];
+  };
+  
   try {
-    const ext = path.extname(filePath).toLowerCase();
-    const textExtensions = ['.txt', '.md', '.json', '.js', '.html', '.css', '.py', '.cpp', '.java'];
+    const result = await scanDirectory(rootPath, {
+      maxDepth: options.maxDepth,
+      ignore: options.ignore,
+      signal: controller.signal,
+      onEntries: (entries) => pending.push(...entries),
+      onProgress: (progress) => flush(progress, false)
+    });
+    flush({ 
+      scannedDirs: result.scannedDirs, 
+      pendingDirs: 0, 
+      totalEntries: result.entries.length 
+    }, true);
     
-    if (textExtensions.includes(ext)) {
-      const content = await fs.readFile(filePath, 'utf-8');
-      return { type: 'text', content };
-    } else {
-      return { type: 'binary', content: `Binary file: ${path.basename(filePath)}` };
-    }
+    return { success: true, scanId: scanId, ...result };
+  } catch (error) {
+    console.error('Error scanning directory:', error);
+    return { success: false, scanId: scanId, error: error.message, entries: [] };
+  } finally {
+    activeScans.delete(scanId);
+  }
+});
+
+ipcMain.handle('cancel-scan', (event, scanId) => {
+  const controller = activeScans.get(scanId);
+  if (controller) {
+    controller.abort();
+  }
+  return { success: Boolean(controller) };
+});
+
+ipcMain.handle('read-file-content', async (event, filePath) => {
+  try {
+    return await previewFile(filePath);
   } catch (error) {
     return { type: 'error', content: error.message };
   }
 });
 
-ipcMain.handle('move-file', async (event, sourcePath, destinationPath) => {
+ipcMain.handle('read-text-lines', async (event, filePath, start, count, state) => {
   try {
-    await fs.rename(sourcePath, destinationPath);
-    return { success: true };
+    return { success: true, ...await readTextLines(filePath, start, count, state) };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// Helper function to copy file or directory recursively
-async function copyFileOrDirectory(sourcePath, destinationPath) {
-  const stats = await fs.stat(sourcePath);
-  
-  if (stats.isDirectory()) {
-    // Copy directory recursively
-    await fs.mkdir(destinationPath, { recursive: true });
-    const entries = await fs.readdir(sourcePath, { withFileTypes: true });
-    
-    for (const entry of entries) {
-      const srcPath = path.join(sourcePath, entry.name);
-      const destPath = path.join(destinationPath, entry.name);
-      
-      if (entry.isDirectory()) {
-        await copyFileOrDirectory(srcPath, destPath);
-      } else {
-        await fs.copyFile(srcPath, destPath);
-      }
+ipcMain.handle('move-file', async (event, sourcePath, destinationPath, policy) => {
+  try {
+    const operation = { type: 'move', source: sourcePath, destination: destinationPath };
+    const resolved = await applyCollisionPolicy(operation, policy, createCollisionPrompt());
+    if (resolved.operation) {
+      await executor.execute(resolved.operation, sendTransferProgress(event));
     }
-  } else {
-    // Copy file
-    await fs.copyFile(sourcePath, destinationPath);
+    return { 
+      success: true, 
+      skipped: !resolved.operation, 
+      destination: resolved.operation ? resolved.operation.destination : null,
+      collision: resolved.collision 
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+});
+
+// Forward byte progress of large cross-device moves to the renderer
+function sendTransferProgress(event) {
+  return (progress) => event.sender.send('transfer-progress', progress);
 }
 
-// Helper function to delete file or directory recursively
-async function deleteFileOrDirectory(filePath) {
-  const stats = await fs.stat(filePath);
+// Ask the user about a collision. "Apply to all" answers are remembered
+// for the rest of the batch the prompt was created for.
+function createCollisionPrompt() {
+  const choices = ['skip', 'suffix', 'overwrite', 'keep-newer'];
+  let remembered = null;
   
-  if (stats.isDirectory()) {
-    // Delete directory recursively
-    const entries = await fs.readdir(filePath, { withFileTypes: true });
+  return async ({ source, destination }) => {
+    if (remembered) return remembered;
     
-    for (const entry of entries) {
-      const entryPath = path.join(filePath, entry.name);
-      await deleteFileOrDirectory(entryPath);
-    }
+    const result = await dialog.showMessageBox(mainWindow, {
+      type: 'question',
+      message: `"${path.basename(destination)}" already exists`,
+      detail: `Moving ${source}\nto ${destination}`,
+      buttons: ['Skip', 'Keep both', 'Overwrite', 'Keep newer'],
+      defaultId: 1,
+      cancelId: 0,
+      checkboxLabel: 'Do this for all remaining conflicts'
+    });
     
-    await fs.rmdir(filePath);
-  } else {
-    // Delete file
-    await fs.unlink(filePath);
-  }
+    const choice = choices[result.response];
+    if (result.checkboxChecked) {
+      remembered = choice;
+    }
+    return choice;
+  };
 }
 
 // Copy file or directory (recursive)
-ipcMain.handle('copy-file', async (event, sourcePath, destinationPath) => {
+ipcMain.handle('copy-file', async (event, sourcePath, destinationPath, policy) => {
   try {
-    await copyFileOrDirectory(sourcePath, destinationPath);
-    return { success: true };
+    const operation = { type: 'copy', source: sourcePath, destination: destinationPath };
+    const resolved = await applyCollisionPolicy(operation, policy, createCollisionPrompt());
+    if (resolved.operation) {
+      await executor.execute(resolved.operation);
+    }
+    return { 
+      success: true, 
+      skipped: !resolved.operation, 
+      destination: resolved.operation ? resolved.operation.destination : null,
+      collision: resolved.collision 
+    };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// Delete file or directory (recursive)
-ipcMain.handle('delete-file', async (event, filePath) => {
+// Delete file or directory (to the trash unless permanent is set)
+ipcMain.handle('delete-file', async (event, filePath, options = {}) => {
   try {
-    await deleteFileOrDirectory(filePath);
-    return { success: true };
+    const trashed = await executor.execute({ 
+      type: 'delete', 
+      path: filePath, 
+      permanent: options.permanent 
+    });
+    return { success: true, trashId: trashed ? trashed.id : null };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
 // Rename file or directory
-ipcMain.handle('rename-file', async (event, oldPath, newPath) => {
+ipcMain.handle('rename-file', async (event, oldPath, newPath, policy) => {
   try {
-    await fs.rename(oldPath, newPath);
-    return { success: true };
+    const operation = { type: 'rename', oldPath: oldPath, newPath: newPath };
+    const resolved = await applyCollisionPolicy(operation, policy, createCollisionPrompt());
+    if (resolved.operation) {
+      await executor.execute(resolved.operation);
+    }
+    return { 
+      success: true, 
+      skipped: !resolved.operation, 
+      destination: resolved.operation ? resolved.operation.newPath : null,
+      collision: resolved.collision 
+    };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -229,137 +361,582 @@ ipcMain.handle('create-file', async (event, filePath, content = '') => {
 });
 
 // Write file content
-ipcMain.handle('write-file', async (event, filePath, content) => {
+ipcMain.handle('read-file-for-editing', async (event, filePath) => {
   try {
-    await fs.writeFile(filePath, content, 'utf-8');
-    return { success: true };
+    return { success: true, ...await readTextForEditing(filePath) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Options are those of saveTextFile: the encoding, byte order mark and
+// line ending to save with, and the { mtimeMs, size } the file had when
+// it was opened, to refuse overwriting changes made on disk since
+ipcMain.handle('write-file', async (event, filePath, content, options = {}) => {
+  try {
+    const result = await saveTextFile(filePath, content, options);
+    if (!result.saved) {
+      const error = result.conflict === 'deleted' ? 
+        'The file was deleted since it was opened' : 
+        'The file was changed on disk since it was opened';
+      return { success: false, conflict: result.conflict, error };
+    }
+    return { success: true, mtimeMs: result.mtimeMs, size: result.size };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
 // Batch operations handler
-ipcMain.handle('batch-operations', async (event, operations) => {
-  const results = [];
+ipcMain.handle('batch-operations', async (event, operations, options = {}) => {
+  // Dry run: validate every operation without touching the disk
+  if (options.dryRun) {
+    return await validateOperations(operations, options);
+  }
   
-  for (const operation of operations) {
+  return await executor.run(operations, options, createCollisionPrompt(), 
+                            sendTransferProgress(event));
+});
+
+// Operation journal (undo history)
+ipcMain.handle('list-batches', async () => {
+  try {
+    return await journal.listBatches();
+  } catch (error) {
+    console.error('Error reading operation journal:', error);
+    return [];
+  }
+});
+
+// Undo a journaled batch (the most recent one when batchId is omitted)
+ipcMain.handle('undo-batch', async (event, batchId = null) => {
+  try {
+    return await journal.undoBatch(batchId, 
+                                   (operation) => executor.execute(operation));
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Trash browser
+ipcMain.handle('list-trash', async () => {
+  try {
+    return await trash.list();
+  } catch (error) {
+    console.error('Error reading trash:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('restore-from-trash', async (event, trashId) => {
+  try {
+    const result = await trash.restore(trashId);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('purge-from-trash', async (event, trashIds) => {
+  const results = [];
+  for (const trashId of trashIds) {
     try {
-      let success = false;
-      let error = null;
-      
-      switch (operation.type) {
-        case 'move':
-          await fs.rename(operation.source, operation.destination);
-          success = true;
-          break;
-        case 'copy':
-          await copyFileOrDirectory(operation.source, 
-                                    operation.destination);
-          success = true;
-          break;
-        case 'delete':
-          await deleteFileOrDirectory(operation.path);
-          success = true;
-          break;
-        case 'rename':
-          await fs.rename(operation.oldPath, operation.newPath);
-          success = true;
-          break;
-        case 'create-folder':
-          await fs.mkdir(operation.path, { recursive: true });
-          success = true;
-          break;
-        case 'create-file':
-          const dir = path.dirname(operation.path);
-          await fs.mkdir(dir, { recursive: true });
-          await fs.writeFile(operation.path, 
-                            operation.content || '', 'utf-8');
-          success = true;
-          break;
-        default:
-          error = 'Unknown operation type: ' + operation.type;
-      }
-      
-      results.push({
-        operation: operation,
-        success: success,
-        error: error
-      });
-    } catch (err) {
-      results.push({
-        operation: operation,
-        success: false,
-        error: err.message
-      });
+      await trash.purge(trashId);
+      results.push({ id: trashId, success: true });
+    } catch (error) {
+      results.push({ id: trashId, success: false, error: error.message });
+    }
+  }
+  return results;
+});
+
+// Settings
+ipcMain.handle('get-settings', () => settings.getAll());
+
+ipcMain.handle('update-settings', async (event, changes) => {
+  try {
+    const values = await settings.update(changes);
+    if (changes.trash) {
+      initializeTrash();
+      autoPurgeTrash();
+    }
+    if (changes.ai) {
+      initializeAIService();
     }
+    if (changes.watch) {
+      folderWatcher.settleMs = settings.get('watch.settleSeconds') * 1000;
+      syncWatchedFolders();
+    }
+    return { success: true, settings: values };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+});
+
+// Rules engine. Global rules live in userData/rules; a folder can add its
+// own .sortmagic-rules.yaml. Returns a plan for batch-operations.
+function rulesDir() {
+  return path.join(app.getPath('userData'), 'rules');
+}
+
+ipcMain.handle('list-rules', async (event, folderPath) => {
+  try {
+    await ensureRulesFolder(rulesDir());
+    const { rules, errors } = await loadRules(rulesDir(), folderPath);
+    return {
+      success: true,
+      rules: rules.map(rule => ({
+        name: rule.name,
+        source: rule.source,
+        priority: rule.priority,
+        enabled: rule.enabled
+      })),
+      errors: errors
+    };
+  } catch (error) {
+    return { success: false, error: error.message, rules: [], errors: [] };
+  }
+});
+
+ipcMain.handle('apply-rules', async (event, rootPath, files) => {
+  try {
+    await ensureRulesFolder(rulesDir());
+    const { rules, errors } = await loadRules(rulesDir(), rootPath);
+    const plan = await planRules(rules, rootPath, files);
+    return { success: true, ...plan, errors: errors };
+  } catch (error) {
+    console.error('Rules error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('open-rules-folder', async () => {
+  await ensureRulesFolder(rulesDir());
+  const error = await shell.openPath(rulesDir());
+  return error ? { success: false, error: error } : { success: true };
+});
+
+ipcMain.handle('get-tags', (event, filePath) => tagStore.getTags(filePath));
+
+// Watched folders. New files that settle in a watched folder are organized
+// with that folder's strategy as their own journaled batch, and every
+// action is logged to the activity feed.
+const WATCH_ACTIVITY_LIMIT = 200;
+const watchActivity = [];
+// Files the watcher itself renamed inside a watched folder; their arrival
+// is not a new file and must not be organized again
+const watchOutputs = new Set();
+
+function initializeFolderWatcher() {
+  folderWatcher = new FolderWatcher({
+    settleMs: settings.get('watch.settleSeconds') * 1000,
+    onArrivals: (folderPath, filePaths) => {
+      organizeArrivals(folderPath, filePaths).catch(error => {
+        logWatchActivity(folderPath, 'error', `Failed to organize new files: ${error.message}`);
+      });
+    },
+    onError: (folderPath, error) => {
+      logWatchActivity(folderPath, 'error', `Stopped watching: ${error.message}`);
+    }
+  });
+  syncWatchedFolders();
+}
+
+// Start or stop fs watchers to match the watch.folders setting
+function syncWatchedFolders() {
+  const folders = settings.get('watch.folders');
   
-  const successful = results.filter(r => r.success).length;
-  const failed = results.filter(r => !r.success).length;
+  for (const folder of folders) {
+    if (folder.paused) {
+      folderWatcher.remove(folder.path);
+    } else if (!folderWatcher.isWatching(folder.path)) {
+      try {
+        folderWatcher.add(folder.path);
+      } catch (error) {
+        logWatchActivity(folder.path, 'error', `Cannot watch folder: ${error.message}`);
+      }
+    }
+  }
   
-  return {
-    total: operations.length,
-    successful: successful,
-    failed: failed,
-    results: results
+  for (const watchedPath of [...folderWatcher.folders.keys()]) {
+    if (!folders.some(folder => path.resolve(folder.path) === watchedPath)) {
+      folderWatcher.remove(watchedPath);
+    }
+  }
+}
+
+function logWatchActivity(folderPath, level, message, batchId = null) {
+  const entry = {
+    time: new Date().toISOString(),
+    folder: folderPath,
+    level: level,
+    message: message,
+    batchId: batchId
   };
-});
+  
+  watchActivity.push(entry);
+  if (watchActivity.length > WATCH_ACTIVITY_LIMIT) {
+    watchActivity.shift();
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('watch-activity', entry);
+  }
+}
 
-ipcMain.handle('organize-files', async (event, files, strategy) => {
-  // Simple organization by file type (fallback)
-  const organized = {};
+function findWatchedFolder(folderPath) {
+  return settings.get('watch.folders')
+    .find(folder => path.resolve(folder.path) === path.resolve(folderPath));
+}
+
+async function organizeArrivals(folderPath, filePaths) {
+  const folder = findWatchedFolder(folderPath);
+  if (!folder || folder.paused) return;
+  
+  const files = [];
+  for (const filePath of filePaths) {
+    if (watchOutputs.delete(filePath)) continue;
+    try {
+      files.push(await statEntry(folderPath, filePath));
+    } catch (error) {
+      // Moved or deleted again before we got to it
+    }
+  }
+  if (files.length === 0) return;
   
-  for (const file of files) {
-    if (!file.isDirectory) {
-      const ext = file.extension || 'no-extension';
-      if (!organized[ext]) {
-        organized[ext] = [];
+  let operations;
+  if (folder.strategy === 'rules') {
+    await ensureRulesFolder(rulesDir());
+    const { rules, errors } = await loadRules(rulesDir(), folderPath);
+    errors.forEach(error => logWatchActivity(folderPath, 'error', error));
+    operations = (await planRules(rules, folderPath, files)).operations;
+  } else {
+    const organize = STRATEGIES[folder.strategy] || STRATEGIES['by-type'];
+    operations = buildCategoryOperations(folderPath, organize(files));
+  }
+  
+  const names = files.map(file => file.name).join(', ');
+  if (operations.length === 0) {
+    logWatchActivity(folderPath, 'info', `New: ${names} (nothing to do)`);
+    return;
+  }
+  
+  // Nobody is there to answer collision prompts, so keep both files
+  const result = await executor.run(operations, {
+    label: `Watch ${path.basename(folderPath)}`,
+    collisionPolicy: 'suffix'
+  });
+  
+  result.results.forEach(r => {
+    const op = r.operation;
+    if (op.type === 'create-folder' && r.success) return;
+    
+    const from = op.source || op.oldPath || op.path;
+    const to = (r.collision && r.collision.destination) || op.destination || op.newPath;
+    let message;
+    if (!r.success) {
+      message = `Failed to ${op.type} ${path.basename(from)}: ${r.error}`;
+    } else if (r.skipped) {
+      message = `Skipped ${path.basename(from)}`;
+    } else if (op.type === 'delete') {
+      message = `Moved ${path.basename(from)} to the trash`;
+    } else if (op.type === 'tag') {
+      message = `Tagged ${path.basename(from)}: ${op.tags.join(', ')}`;
+    } else {
+      const verb = op.type === 'rename' ? 'Renamed' : 'Moved';
+      message = `${verb} ${path.basename(from)} to ${path.relative(folderPath, to)}`;
+      if (path.dirname(to) === folderPath) {
+        watchOutputs.add(to);
       }
-      organized[ext].push(file);
     }
+    logWatchActivity(folderPath, r.success ? 'info' : 'error', message, 
+                     result.batchId);
+  });
+}
+
+async function saveWatchedFolders(folders) {
+  await settings.update({ watch: { folders: folders } });
+  syncWatchedFolders();
+  return listWatchedFolders();
+}
+
+function listWatchedFolders() {
+  return settings.get('watch.folders').map(folder => ({
+    ...folder,
+    watching: folderWatcher.isWatching(folder.path)
+  }));
+}
+
+ipcMain.handle('list-watched-folders', () => ({
+  folders: listWatchedFolders(),
+  strategies: ['rules', ...Object.keys(STRATEGIES)],
+  activity: watchActivity
+}));
+
+ipcMain.handle('add-watched-folder', async (event, folderPath, strategy) => {
+  try {
+    if (findWatchedFolder(folderPath)) {
+      return { success: false, error: 'This folder is already watched' };
+    }
+    const folders = [...settings.get('watch.folders'), 
+                     { path: folderPath, strategy: strategy || 'rules', paused: false }];
+    const result = { success: true, folders: await saveWatchedFolders(folders) };
+    logWatchActivity(folderPath, 'info', 'Started watching');
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
   }
+});
+
+// changes: { paused, strategy }
+ipcMain.handle('update-watched-folder', async (event, folderPath, changes) => {
+  try {
+    const folders = settings.get('watch.folders').map(folder => 
+      path.resolve(folder.path) === path.resolve(folderPath) ? 
+        { ...folder, ...changes } : folder);
+    const result = { success: true, folders: await saveWatchedFolders(folders) };
+    if (changes.paused !== undefined) {
+      logWatchActivity(folderPath, 'info', changes.paused ? 'Paused' : 'Resumed');
+    }
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('remove-watched-folder', async (event, folderPath) => {
+  try {
+    const folders = settings.get('watch.folders').filter(folder => 
+      path.resolve(folder.path) !== path.resolve(folderPath));
+    const result = { success: true, folders: await saveWatchedFolders(folders) };
+    logWatchActivity(folderPath, 'info', 'Stopped watching');
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Content-hash duplicate scan (recursive), streaming progress to the renderer
+ipcMain.handle('find-duplicates', async (event, rootPath, options = {}) => {
+  let lastSent = 0;
   
-  return organized;
+  try {
+    const groups = await findDuplicates(rootPath, {
+      exclude: options.exclude,
+      onProgress: (progress) => {
+        const now = Date.now();
+        if (now - lastSent > 100 || progress.processed === progress.total) {
+          lastSent = now;
+          event.sender.send('duplicate-scan-progress', progress);
+        }
+      }
+    });
+    return { success: true, groups: groups };
+  } catch (error) {
+    console.error('Duplicate scan error:', error);
+    return { success: false, error: error.message, groups: [] };
+  }
+});
+
+ipcMain.handle('organize-files', async (event, files, strategy) => {
+  // Simple organization without AI (by file type unless asked otherwise)
+  const organize = STRATEGIES[strategy] || STRATEGIES['by-type'];
+  return organize(files);
 });
 
 // AI IPC Handlers
-ipcMain.handle('ai-suggest-organization', async (event, files, userQuery) => {
+ipcMain.handle('list-ai-providers', () => PROVIDERS);
+
+// Models the given (possibly unsaved) provider configuration offers; also
+// serves as the settings panel's connection test
+ipcMain.handle('list-ai-models', async (event, config) => {
+  try {
+    const provider = createProvider({ ...settings.get('ai'), ...config });
+    return { success: true, models: await provider.listModels() };
+  } catch (error) {
+    return { success: false, error: error.message, models: [] };
+  }
+});
+
+// AI requests in flight, by renderer-supplied request id
+const activeAiRequests = new Map();
+
+// Text excerpts for AI requests, when content analysis is turned on in
+// settings; undefined otherwise so requests carry file details only
+async function collectExcerpts(files, signal, onProgress) {
+  const content = settings.get('ai.content');
+  if (!content.enabled) {
+    return undefined;
+  }
+  return extractExcerpts(files, {
+    maxChars: content.excerptChars,
+    exclude: content.exclude,
+    signal: signal,
+    onProgress: onProgress
+  });
+}
+
+ipcMain.handle('cancel-ai-request', (event, requestId) => {
+  const controller = activeAiRequests.get(requestId);
+  if (controller) {
+    controller.abort();
+  }
+  return { success: Boolean(controller) };
+});
+
+// Embed files missing from the local index (new or modified since last
+// time), reporting progress on 'index-progress'
+async function updateEmbeddingIndex(event, files) {
+  if (!aiService) {
+    throw new Error('No AI provider is set up. Choose one in Settings (⚙).');
+  }
+  
+  return embeddingIndex.update(files, {
+    model: `${settings.get('ai.provider')}:${aiService.models.embeddings}`,
+    embed: (texts, signal) => aiService.embed(texts, signal),
+    excerpts: (stale) => collectExcerpts(stale),
+    onProgress: (progress) => event.sender.send('index-progress', progress)
+  });
+}
+
+// Files ranked by similarity to one file
+ipcMain.handle('find-similar-files', async (event, filePath, files) => {
+  try {
+    await updateEmbeddingIndex(event, files);
+    const results = embeddingIndex.similarTo(filePath, files, 20);
+    return { success: true, results: results };
+  } catch (error) {
+    console.error('Error finding similar files:', error);
+    return { success: false, error: error.message, results: [] };
+  }
+});
+
+async function searchByMeaning(event, query, files, limit) {
+  await updateEmbeddingIndex(event, files);
+  const [vector] = await aiService.embed([query]);
+  return embeddingIndex.rank(vector, files, limit);
+}
+
+// Files ranked by similarity to a free-text query
+ipcMain.handle('semantic-search', async (event, query, files) => {
+  try {
+    const results = await searchByMeaning(event, query, files, 50);
+    return { success: true, results: results };
+  } catch (error) {
+    console.error('Error in semantic search:', error);
+    return { success: false, error: error.message, results: [] };
+  }
+});
+
+// Topic clustering strategy: { topic: [files] }
+ipcMain.handle('cluster-files', async (event, files) => {
+  try {
+    await updateEmbeddingIndex(event, files);
+    return { success: true, organized: embeddingIndex.cluster(files) };
+  } catch (error) {
+    console.error('Error clustering files:', error);
+    return { success: false, error: error.message, organized: {} };
+  }
+});
+
+// Conversation with the AI about the current folder. The model works
+// through the tools in chat-agent.js; changes it proposes come back as
+// `operations` for the plan preview and run only once the user approves.
+// Each folder has its own conversation, keyed by its path.
+const chatHistories = new Map();
+let chatTurnRunning = false;
+
+ipcMain.handle('chat-message', async (event, text, options = {}) => {
   if (!aiService) {
-    // Fallback to basic organization
-    return new AIOrganizer().fallbackOrganization(files);
+    return { success: false, unavailable: true };
+  }
+  // Turns build on the history of the one before, so they can't overlap
+  if (chatTurnRunning) {
+    return { success: false, error: 'The previous message is still being answered.' };
   }
   
+  const requestId = options.requestId;
+  const controller = new AbortController();
+  activeAiRequests.set(requestId, controller);
+  chatTurnRunning = true;
+  
   try {
-    return await aiService.suggestOrganization(files, userQuery);
+    const sendProgress = (progress) => event.sender.send('ai-progress', { 
+      requestId: requestId, 
+      ...progress 
+    });
+    const result = await runChatTurn(chatHistories.get(options.rootPath) || [], text, {
+      rootPath: options.rootPath,
+      organizer: aiService,
+      semanticSearch: (query, files, limit) => searchByMeaning(event, query, files, limit),
+      loadExcerpts: (files) => collectExcerpts(files, controller.signal),
+      selection: options.selection,
+      signal: controller.signal,
+      onToken: (token) => event.sender.send('ai-token', { requestId: requestId, text: token }),
+      onToolCall: (call) => sendProgress({ stage: 'tool', ...call }),
+      onProgress: sendProgress
+    });
+    chatHistories.set(options.rootPath, result.history);
+    return { success: true, reply: result.reply, operations: result.operations };
   } catch (error) {
-    console.error('AI organization error:', error);
-    return new AIOrganizer().fallbackOrganization(files);
+    if (controller.signal.aborted) {
+      return { success: false, cancelled: true };
+    }
+    console.error('Chat error:', error);
+    return { success: false, error: error.message };
+  } finally {
+    activeAiRequests.delete(requestId);
+    chatTurnRunning = false;
   }
 });
 
+ipcMain.handle('reset-chat', (event, rootPath) => {
+  chatHistories.delete(rootPath);
+  return { success: true };
+});
+
 ipcMain.handle('ai-detect-projects', async (event, files) => {
   if (!aiService) {
-    return {};
+    return { projects: {}, rejected: [] };
   }
   
   try {
-    return await aiService.detectProjects(files);
+    return await aiService.detectProjects(files, {
+      excerpts: await collectExcerpts(files)
+    });
   } catch (error) {
     console.error('AI project detection error:', error);
-    return {};
+    return { projects: {}, rejected: [], error: error.message };
   }
 });
 
 ipcMain.handle('ai-suggest-renames', async (event, files) => {
   if (!aiService) {
-    return [];
+    return { renames: [], rejected: [], unavailable: true };
   }
   
   try {
     return await aiService.suggestRenames(files);
   } catch (error) {
     console.error('AI rename suggestion error:', error);
-    return [];
+    return { renames: [], rejected: [], error: error.message };
+  }
+});
+
+// Name and conflict check for renames the user is reviewing
+ipcMain.handle('check-renames', async (event, renames) => {
+  try {
+    return { success: true, results: await checkRenames(renames) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// New names for a template bulk rename, checked like any other rename
+ipcMain.handle('preview-bulk-rename', async (event, files, options) => {
+  try {
+    return { success: true, results: await previewBulkRename(files, options) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 });
 
@@ -5,38 +5,108 @@ contextBridge.exposeInMainWorld('electronAPI', {
   selectDirectory: () => ipcRenderer.invoke('select-directory'),
   readDirectory: (path) => ipcRenderer.invoke('read-directory', path),
   readFileContent: (path) => ipcRenderer.invoke('read-file-content', path),
+  readTextLines: (path, start, count, state) => 
+    ipcRenderer.invoke('read-text-lines', path, start, count, state),
+  scanDirectory: (path, options) => 
+    ipcRenderer.invoke('scan-directory', path, options),
+  cancelScan: (scanId) => ipcRenderer.invoke('cancel-scan', scanId),
+  onScanProgress: (callback) => 
+    ipcRenderer.on('scan-progress', (event, progress) => callback(progress)),
   
   // File operations (write)
-  moveFile: (source, destination) => 
-    ipcRenderer.invoke('move-file', source, destination),
-  copyFile: (source, destination) => 
-    ipcRenderer.invoke('copy-file', source, destination),
-  deleteFile: (filePath) => 
-    ipcRenderer.invoke('delete-file', filePath),
-  renameFile: (oldPath, newPath) => 
-    ipcRenderer.invoke('rename-file', oldPath, newPath),
+  moveFile: (source, destination, collisionPolicy) => 
+    ipcRenderer.invoke('move-file', source, destination, collisionPolicy),
+  copyFile: (source, destination, collisionPolicy) => 
+    ipcRenderer.invoke('copy-file', source, destination, collisionPolicy),
+  deleteFile: (filePath, options) => 
+    ipcRenderer.invoke('delete-file', filePath, options),
+  renameFile: (oldPath, newPath, collisionPolicy) => 
+    ipcRenderer.invoke('rename-file', oldPath, newPath, collisionPolicy),
   createFolder: (folderPath) => 
     ipcRenderer.invoke('create-folder', folderPath),
   createFile: (filePath, content) => 
     ipcRenderer.invoke('create-file', filePath, content),
-  writeFile: (filePath, content) => 
-    ipcRenderer.invoke('write-file', filePath, content),
+  readFileForEditing: (filePath) => 
+    ipcRenderer.invoke('read-file-for-editing', filePath),
+  writeFile: (filePath, content, options) => 
+    ipcRenderer.invoke('write-file', filePath, content, options),
   
   // Batch operations
-  batchOperations: (operations) => 
-    ipcRenderer.invoke('batch-operations', operations),
+  batchOperations: (operations, options) => 
+    ipcRenderer.invoke('batch-operations', operations, options),
+  
+  onTransferProgress: (callback) => 
+    ipcRenderer.on('transfer-progress', (event, progress) => callback(progress)),
+  
+  // Undo history
+  listBatches: () => ipcRenderer.invoke('list-batches'),
+  undoBatch: (batchId) => ipcRenderer.invoke('undo-batch', batchId),
+  
+  // Trash
+  listTrash: () => ipcRenderer.invoke('list-trash'),
+  restoreFromTrash: (trashId) => 
+    ipcRenderer.invoke('restore-from-trash', trashId),
+  purgeFromTrash: (trashIds) => 
+    ipcRenderer.invoke('purge-from-trash', trashIds),
+  
+  // Settings
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  updateSettings: (changes) => ipcRenderer.invoke('update-settings', changes),
+  
+  // Duplicate detection
+  findDuplicates: (rootPath, options) => 
+    ipcRenderer.invoke('find-duplicates', rootPath, options),
+  onDuplicateScanProgress: (callback) => 
+    ipcRenderer.on('duplicate-scan-progress', (event, progress) => callback(progress)),
   
   // Organization
   organizeFiles: (files, strategy) => 
     ipcRenderer.invoke('organize-files', files, strategy),
   
+  // Rules and tags
+  listRules: (folderPath) => ipcRenderer.invoke('list-rules', folderPath),
+  applyRules: (rootPath, files) => 
+    ipcRenderer.invoke('apply-rules', rootPath, files),
+  openRulesFolder: () => ipcRenderer.invoke('open-rules-folder'),
+  getTags: (filePath) => ipcRenderer.invoke('get-tags', filePath),
+  
+  // Watched folders
+  listWatchedFolders: () => ipcRenderer.invoke('list-watched-folders'),
+  addWatchedFolder: (folderPath, strategy) => 
+    ipcRenderer.invoke('add-watched-folder', folderPath, strategy),
+  updateWatchedFolder: (folderPath, changes) => 
+    ipcRenderer.invoke('update-watched-folder', folderPath, changes),
+  removeWatchedFolder: (folderPath) => 
+    ipcRenderer.invoke('remove-watched-folder', folderPath),
+  onWatchActivity: (callback) => 
+    ipcRenderer.on('watch-activity', (event, entry) => callback(entry)),
+  
   // AI operations
-  suggestOrganization: (files, userQuery) => 
-    ipcRenderer.invoke('ai-suggest-organization', files, userQuery),
+  listAiProviders: () => ipcRenderer.invoke('list-ai-providers'),
+  listAiModels: (config) => ipcRenderer.invoke('list-ai-models', config),
+  sendChatMessage: (text, options) => 
+    ipcRenderer.invoke('chat-message', text, options),
+  resetChat: (rootPath) => ipcRenderer.invoke('reset-chat', rootPath),
+  cancelAiRequest: (requestId) => 
+    ipcRenderer.invoke('cancel-ai-request', requestId),
+  onAiProgress: (callback) => 
+    ipcRenderer.on('ai-progress', (event, progress) => callback(progress)),
+  onAiToken: (callback) => 
+    ipcRenderer.on('ai-token', (event, token) => callback(token)),
   detectProjects: (files) => 
     ipcRenderer.invoke('ai-detect-projects', files),
   suggestRenames: (files) => 
     ipcRenderer.invoke('ai-suggest-renames', files),
+  checkRenames: (renames) => ipcRenderer.invoke('check-renames', renames),
+  previewBulkRename: (files, options) => 
+    ipcRenderer.invoke('preview-bulk-rename', files, options),
+  findSimilarFiles: (filePath, files) => 
+    ipcRenderer.invoke('find-similar-files', filePath, files),
+  semanticSearch: (query, files) => 
+    ipcRenderer.invoke('semantic-search', query, files),
+  clusterFiles: (files) => ipcRenderer.invoke('cluster-files', files),
+  onIndexProgress: (callback) => 
+    ipcRenderer.on('index-progress', (event, progress) => callback(progress)),
   
   // Window controls
   minimizeWindow: () => ipcRenderer.invoke('window-minimize'),
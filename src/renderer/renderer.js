@@ -3,6 +3,127 @@ let currentDirectory = null;
 let currentFiles = [];
 let selectedFile = null;
 
+// Paths selected in the tree, and the entry Shift-click ranges start from
+let selectedPaths = new Set();
+let selectionAnchor = null;
+
+// Files attached to the next chat message as context
+let chatAttachments = [];
+let planPreview = null;
+let duplicateReview = null;
+let renameReview = null;
+let bulkRename = null;
+
+// Files the tree currently lists, after any search
+let displayedFiles = [];
+
+// Left panel tree: entries of folders read so far, the folders shown
+// expanded or being read, what the tree lists and its flattened rows
+let treeChildren = new Map();
+let expandedPaths = new Set();
+let loadingPaths = new Set();
+let treeView = { files: [], ranked: false };
+let treeRows = [];
+
+// Folders visited, for back and forward
+let navHistory = { entries: [], index: -1 };
+
+// Folder highlighted as the target of a drag over the tree
+let dropTargetPath = null;
+
+// Recursive scan of the current directory, filled in as results stream in
+let treeFiles = [];
+let treeScan = { id: null, state: 'idle', scannedDirs: 0 };
+let scanCounter = 0;
+let watchReloadTimer = null;
+
+// AI request in flight; only its progress is shown
+let aiRequestId = null;
+let aiRequestCounter = 0;
+
+// Chat bubble the reply of the AI request in flight streams into, and the
+// last status shown for that request
+let streamingMessage = null;
+let aiStatusText = '';
+
+// Zoom of the image preview as a factor of its natural size; null fits the
+// image to the pane
+let imageZoom = null;
+
+// Text preview: lines are read from the main process a chunk at a time as
+// they scroll into view
+let textView = null;
+
+// Text file open for editing in the center panel: its text as last loaded
+// or saved, and how to save it back (encoding, line ending, and the
+// modification time and size that tell whether it changed on disk)
+let editor = null;
+
+// Tree rows are rendered only around the visible part of the tree, so
+// every row has the same height
+const TREE_ROW_HEIGHT = 28;
+const TREE_OVERSCAN_ROWS = 10;
+
+// Drag data type carrying tree paths, telling drags inside the tree apart
+// from files dragged in from the system
+const TREE_DRAG_TYPE = 'application/x-sortmagic-paths';
+
+// Text preview lines, like tree rows, all have the same height
+const TEXT_LINE_HEIGHT = 20;
+const TEXT_OVERSCAN_LINES = 20;
+const TEXT_CHUNK_LINES = 500;
+// Chunks kept in memory; those furthest from the view are dropped first
+const TEXT_MAX_CHUNKS = 40;
+// Chromium can't lay out elements taller than about 33.5 million px. Past 
+// this height the scroll area stops growing and scroll positions map to 
+// lines proportionally
+const TEXT_MAX_SCROLL_HEIGHT = 15000000;
+
+const TEXT_ENCODING_LABELS = {
+  'utf-8': 'UTF-8', 'utf-16le': 'UTF-16 LE', 'utf-16be': 'UTF-16 BE', 'latin1': 'Latin-1'
+};
+const TEXT_LANGUAGE_LABELS = {
+  javascript: 'JavaScript', json: 'JSON', css: 'CSS', python: 'Python', shell: 'Shell',
+  yaml: 'YAML', ini: 'INI', sql: 'SQL', c: 'C/C++', java: 'Java', go: 'Go', rust: 'Rust',
+  ruby: 'Ruby', php: 'PHP', markup: 'HTML/XML', markdown: 'Markdown'
+};
+
+// Each zoom step scales the image preview by this, within these bounds
+const IMAGE_ZOOM_STEP = 1.25;
+const IMAGE_ZOOM_MIN = 0.05;
+const IMAGE_ZOOM_MAX = 16;
+
+// Folder (inside the current directory) that quarantined duplicates move to
+const QUARANTINE_FOLDER = 'Duplicates Quarantine';
+
+// Collision policy a new plan preview starts with
+const DEFAULT_PLAN_COLLISION_POLICY = 'suffix';
+const COLLISION_POLICY_LABELS = {
+  'skip': 'skip',
+  'suffix': 'keep both',
+  'overwrite': 'overwrite',
+  'keep-newer': 'keep newer',
+  'ask': 'ask'
+};
+
+// How many folder levels below the current directory the recursive scan visits
+const SCAN_MAX_DEPTH = 10;
+
+const AI_TASK_LABELS = {
+  chat: 'Chat',
+  organize: 'Organization suggestions',
+  projects: 'Project detection',
+  renames: 'Rename suggestions',
+  embeddings: 'Embeddings (similar files, topics, search)'
+};
+
+const WATCH_STRATEGY_LABELS = {
+  'rules': 'My rules',
+  'by-type': 'By type',
+  'by-date': 'By month',
+  'by-category': 'By category'
+};
+
 // Initialize the app
 document.addEventListener('DOMContentLoaded', () => {
   // Check if electronAPI is available
@@ -29,12 +150,122 @@ function setupEventListeners() {
   // Folder selection
   document.getElementById('select-folder').addEventListener('click', selectFolder);
   
+  // File tree: one set of handlers for all rows, since rows are re-rendered
+  // while scrolling
+  const fileTree = document.getElementById('file-tree');
+  fileTree.addEventListener('click', (e) => {
+    const item = e.target.closest('.file-item');
+    if (!item) return;
+    if (e.target.closest('.tree-arrow') && item.dataset.isDirectory === 'true') {
+      toggleFolder(item.dataset.path);
+    } else {
+      handleTreeClick(item, e);
+    }
+  });
+  fileTree.addEventListener('dblclick', (e) => {
+    const item = e.target.closest('.file-item');
+    if (item && item.dataset.isDirectory === 'true' && !e.target.closest('.tree-arrow')) {
+      navigateTo(item.dataset.path);
+    }
+  });
+  fileTree.addEventListener('contextmenu', (e) => {
+    const item = e.target.closest('.file-item');
+    if (item) showTreeContextMenu(item, e);
+  });
+  let scrollFrame = null;
+  fileTree.addEventListener('scroll', () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = null;
+      renderVisibleRows();
+    });
+  });
+  window.addEventListener('resize', renderVisibleRows);
+  window.addEventListener('resize', renderTextLines);
+  
+  // Drag and drop: entries (the whole selection when a selected one is
+  // dragged) onto folders, and files from the system into the tree
+  fileTree.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.file-item');
+    if (!item) return;
+    const paths = selectedPaths.has(item.dataset.path) ? 
+                  getSelectedFiles().map(f => f.path) : [item.dataset.path];
+    e.dataTransfer.setData(TREE_DRAG_TYPE, JSON.stringify(paths));
+    e.dataTransfer.setData('text/plain', paths.join('\n'));
+    e.dataTransfer.effectAllowed = 'copyMove';
+  });
+  fileTree.addEventListener('dragover', (e) => {
+    const fromTree = e.dataTransfer.types.includes(TREE_DRAG_TYPE);
+    if (!fromTree && !e.dataTransfer.types.includes('Files')) return;
+    const target = getDropTarget(e);
+    if (!target) return;
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = !fromTree || isCopyDrag(e) ? 'copy' : 'move';
+    if (target !== dropTargetPath) setDropTarget(target);
+  });
+  fileTree.addEventListener('dragleave', (e) => {
+    if (!fileTree.contains(e.relatedTarget)) setDropTarget(null);
+  });
+  fileTree.addEventListener('drop', (e) => {
+    const target = getDropTarget(e);
+    setDropTarget(null);
+    if (!target) return;
+    e.preventDefault();
+    
+    const treePaths = e.dataTransfer.getData(TREE_DRAG_TYPE);
+    if (treePaths) {
+      dropTreeItems(JSON.parse(treePaths), target, isCopyDrag(e));
+    } else if (e.dataTransfer.files.length > 0) {
+      importDroppedFiles(Array.from(e.dataTransfer.files), target);
+    }
+  });
+  fileTree.addEventListener('dragend', () => setDropTarget(null));
+  
+  // Files dropped anywhere else would make the window navigate to them
+  document.addEventListener('dragover', (e) => {
+    if (e.defaultPrevented) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'none';
+  });
+  document.addEventListener('drop', (e) => e.preventDefault());
+  
+  // Navigation: back/forward/up buttons, breadcrumbs, Alt+arrows and the
+  // mouse's back/forward buttons
+  document.getElementById('nav-back').addEventListener('click', goBack);
+  document.getElementById('nav-forward').addEventListener('click', goForward);
+  document.getElementById('nav-up').addEventListener('click', goUp);
+  document.getElementById('breadcrumbs').addEventListener('click', (e) => {
+    const crumb = e.target.closest('.breadcrumb');
+    if (crumb && crumb.dataset.path !== currentDirectory) {
+      navigateTo(crumb.dataset.path);
+    }
+  });
+  document.addEventListener('keydown', (e) => {
+    if (!e.altKey || !currentDirectory) return;
+    if (e.key === 'ArrowLeft') goBack();
+    else if (e.key === 'ArrowRight') goForward();
+    else if (e.key === 'ArrowUp') goUp();
+  });
+  window.addEventListener('mouseup', (e) => {
+    if (e.button === 3) goBack();
+    else if (e.button === 4) goForward();
+  });
+  
   // Chat functionality
-  document.getElementById('send-message').addEventListener('click', sendMessage);
+  // The send button turns into a stop button while the AI is answering
+  document.getElementById('send-message').addEventListener('click', () => {
+    if (aiRequestId) {
+      window.electronAPI.cancelAiRequest(aiRequestId);
+    } else {
+      sendMessage();
+    }
+  });
   document.getElementById('chat-input').addEventListener('keypress', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
-      sendMessage();
+      // Enter doesn't send while a reply is coming in; the text stays put
+      if (!aiRequestId) sendMessage();
     }
   });
   
@@ -43,9 +274,71 @@ function setupEventListeners() {
     btn.addEventListener('click', () => handleQuickAction(btn.dataset.action));
   });
   
-  // Search functionality
-  document.querySelector('.search-bar').addEventListener('input', (e) => {
-    filterFiles(e.target.value);
+  // Progress events from the main process
+  window.electronAPI.onDuplicateScanProgress(updateDuplicateScanProgress);
+  window.electronAPI.onScanProgress(handleScanProgress);
+  window.electronAPI.onTransferProgress(handleTransferProgress);
+  window.electronAPI.onWatchActivity(handleWatchActivity);
+  window.electronAPI.onAiProgress(handleAiProgress);
+  window.electronAPI.onAiToken(handleAiToken);
+  window.electronAPI.onIndexProgress(handleIndexProgress);
+  
+  // Stop a running recursive scan, or clear the selection
+  document.getElementById('folder-stats').addEventListener('click', (e) => {
+    if (e.target.id === 'cancel-scan' && treeScan.id) {
+      window.electronAPI.cancelScan(treeScan.id);
+    } else if (e.target.id === 'clear-selection') {
+      clearSelection();
+    }
+  });
+  
+  // Close the tree's context menu on any click elsewhere; Esc outside a
+  // text field closes it and clears the selection
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#context-menu')) hideContextMenu();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || e.target.closest('input, textarea, select')) return;
+    hideContextMenu();
+    if (selectedPaths.size > 0) clearSelection();
+  });
+  
+  // Editing text files in the center panel. Whatever replaces the preview
+  // ends editing, so the header buttons follow the preview's content
+  document.getElementById('edit-file').addEventListener('click', () => 
+    editor ? closeEditor() : startEditing());
+  document.getElementById('save-file').addEventListener('click', () => saveEdits());
+  document.getElementById('revert-file').addEventListener('click', revertEdits);
+  new MutationObserver(updateEditorActions)
+    .observe(document.getElementById('file-preview'), { childList: true });
+  // The main process asks before closing with unsaved changes
+  window.addEventListener('beforeunload', (e) => {
+    if (editor && editor.dirty) e.returnValue = false;
+  });
+  
+  // Search functionality: name filter as you type, or search by meaning
+  // on Enter when the ≈ toggle is on
+  const searchBar = document.querySelector('.search-bar');
+  const semanticToggle = document.getElementById('semantic-search-toggle');
+  searchBar.addEventListener('input', (e) => {
+    if (!semanticToggle.classList.contains('active')) {
+      filterFiles(e.target.value);
+    }
+  });
+  searchBar.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && semanticToggle.classList.contains('active')) {
+      semanticSearch(e.target.value.trim());
+    } else if (e.key === 'Escape') {
+      e.target.value = '';
+      filterFiles('');
+    }
+  });
+  semanticToggle.addEventListener('click', () => {
+    const active = semanticToggle.classList.toggle('active');
+    searchBar.placeholder = active ? '≈ Describe what you are looking for, then press Enter' : 
+                                     '🔍 Search files...';
+    filterFiles(active ? '' : searchBar.value);
+    searchBar.focus();
   });
 }
 
@@ -67,6 +360,8 @@ function setupTitleBarControls() {
   document.querySelector('.close')?.addEventListener('click', () => {
     window.electronAPI.closeWindow();
   });
+  
+  document.querySelector('.settings')?.addEventListener('click', showSettingsPanel);
 }
 
 // Select folder dialog
@@ -79,8 +374,7 @@ async function selectFolder() {
   try {
     const folderPath = await window.electronAPI.selectDirectory();
     if (folderPath) {
-      currentDirectory = folderPath;
-      await loadDirectory(folderPath);
+      await navigateTo(folderPath);
     }
   } catch (error) {
     console.error('Error selecting folder:', error);
@@ -88,7 +382,94 @@ async function selectFolder() {
   }
 }
 
-// Load directory contents
+// Open a folder in the tree, recording it in the back/forward history
+async function navigateTo(dirPath, recordHistory = true) {
+  if (!confirmLeavePreview()) return;
+  
+  if (recordHistory) {
+    navHistory.entries = navHistory.entries.slice(0, navHistory.index + 1);
+    if (navHistory.entries[navHistory.index] !== dirPath) {
+      navHistory.entries.push(dirPath);
+      navHistory.index = navHistory.entries.length - 1;
+    }
+  }
+  
+  currentDirectory = dirPath;
+  treeChildren = new Map();
+  expandedPaths = new Set();
+  selectedPaths = new Set();
+  selectionAnchor = null;
+  document.querySelector('.search-bar').value = '';
+  document.getElementById('file-tree').scrollTop = 0;
+  
+  updateNavigation();
+  await loadDirectory(dirPath);
+}
+
+// Asks about unsaved edits before moving in the history, so declining
+// leaves the position unchanged
+function goBack() {
+  if (navHistory.index <= 0 || !confirmLeavePreview()) return;
+  navHistory.index--;
+  navigateTo(navHistory.entries[navHistory.index], false);
+}
+
+function goForward() {
+  if (navHistory.index >= navHistory.entries.length - 1 || !confirmLeavePreview()) return;
+  navHistory.index++;
+  navigateTo(navHistory.entries[navHistory.index], false);
+}
+
+function goUp() {
+  const segments = currentDirectory ? pathSegments(currentDirectory) : [];
+  if (segments.length > 1) {
+    navigateTo(segments[segments.length - 2].path);
+  }
+}
+
+// Each folder on the way to dirPath as { name, path }, from the root down:
+// "/", "C:\" or "\\server" first, depending on the kind of path
+function pathSegments(dirPath) {
+  const separator = dirPath.includes('\\') ? '\\' : '/';
+  const prefix = dirPath.startsWith('\\\\') ? '\\\\' : 
+                 dirPath.startsWith('/') ? '/' : '';
+  const segments = prefix === '/' ? [{ name: '/', path: '/' }] : [];
+  
+  let current = prefix;
+  dirPath.split(/[\\\/]+/).filter(Boolean).forEach((part, i) => {
+    if (i === 0 && /^[a-zA-Z]:$/.test(part)) {
+      current = part + separator;
+    } else if (current === prefix || current.endsWith(separator)) {
+      current += part;
+    } else {
+      current += separator + part;
+    }
+    segments.push({ name: part, path: current });
+  });
+  return segments;
+}
+
+// Breadcrumb bar and the back/forward/up buttons
+function updateNavigation() {
+  document.getElementById('nav-back').disabled = navHistory.index <= 0;
+  document.getElementById('nav-forward').disabled = 
+    navHistory.index >= navHistory.entries.length - 1;
+  
+  const breadcrumbs = document.getElementById('breadcrumbs');
+  const segments = currentDirectory ? pathSegments(currentDirectory) : [];
+  document.getElementById('nav-up').disabled = segments.length < 2;
+  
+  breadcrumbs.innerHTML = segments.map((segment, i) => `
+    ${i > 0 && segments[i - 1].name !== '/' ? '<span class="breadcrumb-separator">›</span>' : ''}
+    <span class="breadcrumb ${i === segments.length - 1 ? 'current' : ''}" 
+          data-path="${escapeHtml(segment.path)}">${escapeHtml(segment.name)}</span>
+  `).join('');
+  // The current folder matters most; keep it in view
+  breadcrumbs.scrollLeft = breadcrumbs.scrollWidth;
+}
+
+// Load (or reload) the current directory. Expanded folders are read again
+// so the tree keeps its shape after changes.
 async function loadDirectory(dirPath) {
   if (!window.electronAPI?.readDirectory) {
     console.error('readDirectory not available');
@@ -98,8 +479,19 @@ async function loadDirectory(dirPath) {
   try {
     const files = await window.electronAPI.readDirectory(dirPath);
     currentFiles = files;
+    
+    const expanded = Array.from(expandedPaths);
+    const children = await Promise.all(expanded.map(folder => 
+      window.electronAPI.readDirectory(folder)));
+    treeChildren = new Map(expanded.map((folder, i) => 
+      [folder, sortEntries(children[i])]));
+    
+    // Keep only selected entries that are still listed
+    const listed = new Set([...files, ...children.flat()].map(f => f.path));
+    selectedPaths = new Set(Array.from(selectedPaths).filter(p => listed.has(p)));
     displayFileTree(files);
-    updateStats(files);
+    updateStats();
+    startTreeScan(dirPath);
   } catch (error) {
     console.error('Error loading directory:', error);
     addChatMessage('Error: Failed to load directory. ' + error.message, 
@@ -107,11 +499,41 @@ async function loadDirectory(dirPath) {
   }
 }
 
-// Display file tree
-function displayFileTree(files) {
+// Directories first, then files, by name
+function sortEntries(files) {
+  return files.sort((a, b) => {
+    if (a.isDirectory && !b.isDirectory) return -1;
+    if (!a.isDirectory && b.isDirectory) return 1;
+    return a.name.localeCompare(b.name);
+  });
+}
+
+// Display file tree. Ranked results (similar files, semantic search) keep
+// their order, show their score and cannot be expanded.
+function displayFileTree(files, ranked = false) {
+  treeView = { files: ranked ? files : sortEntries(files), ranked: ranked };
+  rebuildTree();
+}
+
+// Flatten the tree into the rows it lists: each entry, followed by the
+// children of expanded folders
+function buildTreeRows(files, depth, rows) {
+  files.forEach(file => {
+    rows.push({ file: file, depth: depth });
+    if (file.isDirectory && expandedPaths.has(file.path) && treeChildren.has(file.path)) {
+      buildTreeRows(treeChildren.get(file.path), depth + 1, rows);
+    }
+  });
+  return rows;
+}
+
+function rebuildTree() {
   const fileTree = document.getElementById('file-tree');
+  treeRows = treeView.ranked ? treeView.files.map(file => ({ file: file, depth: 0 })) : 
+             buildTreeRows(treeView.files, 0, []);
+  displayedFiles = treeRows.map(row => row.file);
   
-  if (files.length === 0) {
+  if (treeRows.length === 0) {
     fileTree.innerHTML = `
       <div class="empty-state">
         <p>This folder is empty</p>
@@ -120,39 +542,157 @@ function displayFileTree(files) {
     return;
   }
   
-  // Sort: directories first, then files
-  files.sort((a, b) => {
-    if (a.isDirectory && !b.isDirectory) return -1;
-    if (!a.isDirectory && b.isDirectory) return 1;
-    return a.name.localeCompare(b.name);
-  });
+  // The spacer is as tall as all rows; only the rows in view are rendered
+  let spacer = fileTree.querySelector('.tree-spacer');
+  if (!spacer) {
+    fileTree.innerHTML = '<div class="tree-spacer"></div>';
+    spacer = fileTree.querySelector('.tree-spacer');
+  }
+  spacer.style.height = `${treeRows.length * TREE_ROW_HEIGHT}px`;
+  renderVisibleRows();
+}
+
+function renderVisibleRows() {
+  const fileTree = document.getElementById('file-tree');
+  const spacer = fileTree.querySelector('.tree-spacer');
+  if (!spacer) return;
   
-  fileTree.innerHTML = files.map(file => {
-    // Escape file paths and names to prevent injection attacks
-    const escapedPath = escapeHtml(file.path);
-    const escapedName = escapeHtml(file.name);
-    const directoryClass = file.isDirectory ? 'directory' : '';
-    
-    return `
-      <div class="file-item ${directoryClass}" 
-           data-path="${escapedPath}" 
-           data-is-directory="${file.isDirectory}">
-        <span class="file-icon">${getFileIcon(file)}</span>
-        <span class="file-name">${escapedName}</span>
-        ${!file.isDirectory ? `<span class="file-size">${formatFileSize(file.size)}</span>` : ''}
-      </div>
-    `;
-  }).join('');
+  const first = Math.max(0, Math.floor(fileTree.scrollTop / TREE_ROW_HEIGHT) - 
+                             TREE_OVERSCAN_ROWS);
+  const last = Math.min(treeRows.length, 
+                        Math.ceil((fileTree.scrollTop + fileTree.clientHeight) / 
+                                  TREE_ROW_HEIGHT) + TREE_OVERSCAN_ROWS);
   
-  // Add click handlers
-  fileTree.querySelectorAll('.file-item').forEach(item => {
-    item.addEventListener('click', () => selectFile(item));
-    if (item.dataset.isDirectory === 'true') {
-      item.addEventListener('dblclick', () => {
-        loadDirectory(item.dataset.path);
-      });
+  spacer.innerHTML = treeRows.slice(first, last).map((row, i) => 
+    renderTreeRow(row, first + i)).join('');
+}
+
+function renderTreeRow(row, index) {
+  const file = row.file;
+  // Escape file paths and names to prevent injection attacks
+  const escapedPath = escapeHtml(file.path);
+  const escapedName = escapeHtml(file.name);
+  const directoryClass = file.isDirectory ? 'directory' : '';
+  const selectedClass = selectedPaths.has(file.path) ? 'selected' : '';
+  const dropClass = file.path === dropTargetPath ? 'drop-target' : '';
+  
+  let arrow = '';
+  if (file.isDirectory && !treeView.ranked) {
+    arrow = loadingPaths.has(file.path) ? '…' : 
+            expandedPaths.has(file.path) ? '▾' : '▸';
+  }
+  
+  return `
+    <div class="file-item ${directoryClass} ${selectedClass} ${dropClass}" 
+         draggable="true" 
+         style="top: ${index * TREE_ROW_HEIGHT}px; padding-left: ${12 + row.depth * 16}px" 
+         data-path="${escapedPath}" 
+         data-is-directory="${file.isDirectory}">
+      <span class="tree-arrow">${arrow}</span>
+      <span class="file-icon">${getFileIcon(file)}</span>
+      <span class="file-name">${escapedName}</span>
+      ${file.score != null ? `<span class="file-score">${Math.round(file.score * 100)}%</span>` : ''}
+      ${!file.isDirectory ? `<span class="file-size">${formatFileSize(file.size)}</span>` : ''}
+    </div>
+  `;
+}
+
+// Expand or collapse a folder, reading its entries the first time
+async function toggleFolder(dirPath) {
+  if (expandedPaths.has(dirPath)) {
+    expandedPaths.delete(dirPath);
+    rebuildTree();
+    return;
+  }
+  
+  if (!treeChildren.has(dirPath)) {
+    loadingPaths.add(dirPath);
+    renderVisibleRows();
+    try {
+      treeChildren.set(dirPath, sortEntries(await window.electronAPI.readDirectory(dirPath)));
+    } finally {
+      loadingPaths.delete(dirPath);
     }
+  }
+  expandedPaths.add(dirPath);
+  rebuildTree();
+}
+
+// Folder a drag over the tree would drop into: a folder row, the folder
+// holding a file row, or the current folder for the space around rows
+function getDropTarget(event) {
+  if (!currentDirectory || treeView.ranked) return null;
+  const item = event.target.closest('.file-item');
+  if (!item) return currentDirectory;
+  return item.dataset.isDirectory === 'true' ? item.dataset.path : 
+         dirname(item.dataset.path);
+}
+
+// Highlight the folder row (or the whole tree, for the current folder)
+// that a drop would land in
+function setDropTarget(folderPath) {
+  dropTargetPath = folderPath;
+  document.querySelectorAll('#file-tree .file-item.directory').forEach(item => {
+    item.classList.toggle('drop-target', item.dataset.path === folderPath);
   });
+  document.getElementById('file-tree').classList.toggle('drop-target', 
+    folderPath !== null && folderPath === currentDirectory);
+}
+
+// Copy with Ctrl (Windows, Linux) or Option (macOS) held, as file managers do
+function isCopyDrag(event) {
+  return event.ctrlKey || event.altKey;
+}
+
+function isSameOrInside(filePath, folderPath) {
+  return filePath === folderPath || 
+         filePath.startsWith(folderPath.replace(/[\\\/]+$/, '') + '/') || 
+         filePath.startsWith(folderPath.replace(/[\\\/]+$/, '') + '\\');
+}
+
+// Move or copy tree entries into a folder
+async function dropTreeItems(paths, folderPath, copy) {
+  // A folder cannot go inside itself, and moving onto the folder an entry
+  // is already in changes nothing
+  const sources = paths.filter(p => !isSameOrInside(folderPath, p) && 
+                                    (copy || dirname(p) !== folderPath));
+  if (sources.length === 0) return;
+  
+  await transferDroppedPaths(sources, folderPath, copy ? 'copy' : 'move');
+}
+
+// Copy files dragged in from the system file manager into a folder
+async function importDroppedFiles(files, folderPath) {
+  const paths = files.map(file => file.path).filter(Boolean);
+  if (paths.length === 0) return;
+  
+  await transferDroppedPaths(paths, folderPath, 'import');
+}
+
+// Run a drop as one undoable batch. Names that are already taken ask what
+// to do, and "Do this for all" covers the rest of the drop
+async function transferDroppedPaths(paths, folderPath, mode) {
+  const operations = paths.map(source => ({
+    type: mode === 'move' ? 'move' : 'copy',
+    source: source,
+    destination: joinPath(folderPath, basename(source))
+  }));
+  const verbs = { move: 'Move', copy: 'Copy', import: 'Import' };
+  
+  try {
+    const result = await window.electronAPI.batchOperations(operations, {
+      label: `${verbs[mode]} ${paths.length} items into ${folderPath}`,
+      collisionPolicy: 'ask'
+    });
+    addChatMessage(formatBatchResult(result), 'assistant');
+    
+    if (result.successful > 0) {
+      await loadDirectory(currentDirectory);
+    }
+  } catch (error) {
+    addChatMessage(`Error: ${verbs[mode].toLowerCase()} failed. ${error.message}`, 
+                   'assistant');
+  }
 }
 
 // Select a file
@@ -167,7 +707,9 @@ async function selectFile(element) {
   const filePath = element.dataset.path;
   const isDirectory = element.dataset.isDirectory === 'true';
   
-  selectedFile = currentFiles.find(f => f.path === filePath);
+  // Rows can come from expanded folders, ranked results from subfolders
+  selectedFile = displayedFiles.find(f => f.path === filePath) || 
+                 treeFiles.find(f => f.path === filePath);
   
   // Update file name in center panel
   document.getElementById('current-file-name').textContent = selectedFile.name;
@@ -181,8 +723,9 @@ async function selectFile(element) {
     
     try {
       const result = await window.electronAPI.readFileContent(filePath);
-      displayFileContent(result);
-      displayFileDetails(selectedFile);
+      displayFileContent(result, filePath);
+      displayFileDetails(selectedFile, result.mimeType);
+      showFileTags(selectedFile);
     } catch (error) {
       console.error('Error reading file:', error);
       displayFileContent({ type: 'error', content: error.message });
@@ -192,118 +735,942 @@ async function selectFile(element) {
   }
 }
 
-// Display file content
-function displayFileContent(result) {
-  const preview = document.getElementById('file-preview');
+// Click in the tree: plain click selects one entry and previews it,
+// Ctrl/Cmd-click toggles an entry, Shift-click selects a range from the
+// last clicked entry (added to the selection with Ctrl/Cmd held too)
+function handleTreeClick(element, event) {
+  const filePath = element.dataset.path;
+  const toggle = event.ctrlKey || event.metaKey;
   
-  if (result.type === 'text') {
-    // Add line numbers for text files
-    const lines = result.content.split('\n');
-    const numbered = lines.map((line, i) => 
-      `<span style="color: #858585; margin-right: 15px;">${(i + 1).toString().padStart(4)}</span>${escapeHtml(line)}`
-    ).join('\n');
-    
-    preview.innerHTML = `<pre>${numbered}</pre>`;
-  } else if (result.type === 'binary') {
-    preview.innerHTML = `
-      <div class="empty-state">
-        <div class="file-icon">💾</div>
-        <p>${result.content}</p>
-        <p class="hint">Binary files cannot be displayed as text</p>
-      </div>
-    `;
-  } else {
-    preview.innerHTML = `
-      <div class="empty-state">
-        <div class="file-icon">⚠️</div>
-        <p>Error loading file</p>
-        <p class="hint">${result.content}</p>
-      </div>
-    `;
+  // Clicking the file being edited keeps the editor; anything else may
+  // replace it, so unsaved changes are confirmed first
+  if (editor && filePath === editor.path && !toggle && !event.shiftKey) return;
+  if (!confirmLeavePreview()) return;
+  
+  if (event.shiftKey && selectionAnchor) {
+    const paths = displayedFiles.map(file => file.path);
+    const from = paths.indexOf(selectionAnchor);
+    const to = paths.indexOf(filePath);
+    if (from !== -1 && to !== -1) {
+      if (!toggle) selectedPaths.clear();
+      paths.slice(Math.min(from, to), Math.max(from, to) + 1)
+        .forEach(p => selectedPaths.add(p));
+      updateSelection();
+      return;
+    }
+  }
+  
+  selectionAnchor = filePath;
+  if (toggle) {
+    if (selectedPaths.has(filePath)) {
+      selectedPaths.delete(filePath);
+    } else {
+      selectedPaths.add(filePath);
+    }
+    updateSelection();
+    return;
   }
+  
+  selectedPaths = new Set([filePath]);
+  updateSelection();
+  selectFile(element);
 }
 
-// Display file details
-function displayFileDetails(file) {
-  const details = document.getElementById('file-details');
-  details.innerHTML = `
-    <div class="detail-row">
-      <span class="detail-label">Type:</span>
-      <span class="detail-value">${file.extension || 'No extension'}</span>
-    </div>
-    <div class="detail-row">
-      <span class="detail-label">Size:</span>
-      <span class="detail-value">${formatFileSize(file.size)}</span>
-    </div>
-    <div class="detail-row">
-      <span class="detail-label">Modified:</span>
-      <span class="detail-value">${new Date(file.modified).toLocaleString()}</span>
-    </div>
-    <div class="detail-row">
-      <span class="detail-label">Created:</span>
-      <span class="detail-value">${new Date(file.created).toLocaleString()}</span>
-    </div>
-  `;
+// Entries behind the selected paths, in tree order
+function getSelectedFiles() {
+  const paths = Array.from(selectedPaths);
+  return paths
+    .map(filePath => displayedFiles.find(f => f.path === filePath) || 
+                     currentFiles.find(f => f.path === filePath) || 
+                     treeFiles.find(f => f.path === filePath))
+    .filter(Boolean);
 }
 
-// Display directory info
-function displayDirectoryInfo(dir) {
-  const preview = document.getElementById('file-preview');
-  preview.innerHTML = `
-    <div class="empty-state">
-      <div class="file-icon">📁</div>
-      <p>${dir.name}</p>
-      <p class="hint">Double-click to open folder</p>
-    </div>
-  `;
+function clearSelection() {
+  selectedPaths.clear();
+  selectionAnchor = null;
+  updateSelection();
+}
+
+// Mark the selected entries in the tree, count them in the footer and,
+// for several entries, show what can be done with them
+function updateSelection() {
+  document.querySelectorAll('#file-tree .file-item').forEach(item => {
+    item.classList.toggle('selected', selectedPaths.has(item.dataset.path));
+  });
+  updateStats();
   
-  const details = document.getElementById('file-details');
-  details.innerHTML = `
-    <div class="detail-row">
-      <span class="detail-label">Type:</span>
-      <span class="detail-value">Folder</span>
-    </div>
-    <div class="detail-row">
-      <span class="detail-label">Modified:</span>
-      <span class="detail-value">${new Date(dir.modified).toLocaleString()}</span>
-    </div>
-  `;
+  if (selectedPaths.size > 1) {
+    displaySelectionSummary();
+  } else if (document.querySelector('.selection-summary')) {
+    resetPreviewPanel();
+  }
 }
 
-// Update statistics
-function updateStats(files) {
+function displaySelectionSummary() {
+  const files = getSelectedFiles();
   const fileCount = files.filter(f => !f.isDirectory).length;
-  const folderCount = files.filter(f => f.isDirectory).length;
+  const folderCount = files.length - fileCount;
+  const totalSize = files.reduce((sum, f) => sum + (f.isDirectory ? 0 : f.size), 0);
   
-  document.getElementById('folder-stats').innerHTML = `
-    <span class="stat-item">${fileCount} files</span>
-    <span class="stat-item">${folderCount} folders</span>
+  selectedFile = null;
+  document.getElementById('current-file-name').textContent = 
+    `${files.length} items selected`;
+  document.getElementById('file-preview').innerHTML = `
+    <div class="empty-state selection-summary">
+      <div class="file-icon">🗂️</div>
+      <p>${fileCount} files, ${folderCount} folders · ${formatFileSize(totalSize)}</p>
+      <p class="hint">Organizing and rules now apply to the selection only. 
+        Right-click for more, Esc to clear.</p>
+    </div>
   `;
+  
+  const details = document.getElementById('file-details');
+  details.innerHTML = '<div class="detail-actions selection-actions"></div>';
+  const actions = details.querySelector('.selection-actions');
+  getSelectionActions().forEach(action => {
+    const button = document.createElement('button');
+    button.className = 'secondary-button';
+    button.textContent = action.label;
+    button.addEventListener('click', action.run);
+    actions.appendChild(button);
+  });
 }
 
-// Filter files based on search
-function filterFiles(query) {
-  if (!currentFiles.length) return;
+// What can be done with the selection, for the context menu and summary
+function getSelectionActions() {
+  const several = selectedPaths.size > 1;
+  const actions = [
+    { label: '📦 Move to…', run: () => transferSelection('move') },
+    { label: '📄 Copy to…', run: () => transferSelection('copy') },
+    { label: '🗑️ Delete', run: deleteSelection },
+    { label: '🔤 Rename with pattern…', run: showBulkRename },
+    { label: '💬 Add to chat', run: attachSelectionToChat }
+  ];
+  if (several) {
+    actions.push(
+      { label: '📁 Organize these by type', run: organizeByType, separator: true },
+      { label: '📅 Organize these by date', run: organizeByDate },
+      { label: '💼 Organize these by project', run: organizeByProject }
+    );
+  }
+  return actions;
+}
+
+// Context menu for the selection; right-clicking an unselected entry
+// selects just that entry first
+function showTreeContextMenu(element, event) {
+  event.preventDefault();
+  if (!selectedPaths.has(element.dataset.path)) {
+    selectionAnchor = element.dataset.path;
+    selectedPaths = new Set([element.dataset.path]);
+    updateSelection();
+  }
   
-  const filtered = query 
-    ? currentFiles.filter(f => f.name.toLowerCase().includes(query.toLowerCase()))
-    : currentFiles;
+  hideContextMenu();
+  const menu = document.createElement('div');
+  menu.className = 'context-menu';
+  menu.id = 'context-menu';
+  getSelectionActions().forEach(action => {
+    if (action.separator) {
+      menu.appendChild(document.createElement('hr'));
+    }
+    const item = document.createElement('div');
+    item.className = 'context-menu-item';
+    item.textContent = action.label;
+    item.addEventListener('click', () => {
+      hideContextMenu();
+      action.run();
+    });
+    menu.appendChild(item);
+  });
   
-  displayFileTree(filtered);
+  document.body.appendChild(menu);
+  // Keep the menu inside the window
+  const x = Math.min(event.clientX, window.innerWidth - menu.offsetWidth - 4);
+  const y = Math.min(event.clientY, window.innerHeight - menu.offsetHeight - 4);
+  menu.style.left = `${Math.max(0, x)}px`;
+  menu.style.top = `${Math.max(0, y)}px`;
 }
 
-// Chat functionality
-function sendMessage() {
-  const input = document.getElementById('chat-input');
-  const message = input.value.trim();
-  
-  if (!message) return;
+function hideContextMenu() {
+  const menu = document.getElementById('context-menu');
+  if (menu) menu.remove();
+}
+
+// Move or copy the selection into a folder picked in a dialog
+async function transferSelection(type) {
+  const files = getSelectedFiles();
+  if (files.length === 0) return;
   
-  // Add user message to chat
-  addChatMessage(message, 'user');
+  const folder = await window.electronAPI.selectDirectory();
+  if (!folder) return;
   
-  // Clear input
-  input.value = '';
+  const operations = files.map(file => ({
+    type: type,
+    source: file.path,
+    destination: joinPath(folder, file.name)
+  }));
+  const verb = type === 'move' ? 'Move' : 'Copy';
+  
+  try {
+    const result = await window.electronAPI.batchOperations(operations, {
+      label: `${verb} ${files.length} items to ${folder}`,
+      collisionPolicy: DEFAULT_PLAN_COLLISION_POLICY
+    });
+    addChatMessage(formatBatchResult(result), 'assistant');
+    
+    if (result.successful > 0) {
+      await loadDirectory(currentDirectory);
+    }
+  } catch (error) {
+    addChatMessage(`Error: ${verb.toLowerCase()} failed. ${error.message}`, 
+                   'assistant');
+  }
+}
+
+// Move the selection to the trash after confirming
+async function deleteSelection() {
+  const files = getSelectedFiles();
+  if (files.length === 0) return;
+  
+  const what = files.length === 1 ? `"${files[0].name}"` : `${files.length} items`;
+  if (!confirm(`Move ${what} to the trash?`)) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.batchOperations(
+      files.map(file => ({ type: 'delete', path: file.path })), 
+      { label: `Delete ${files.length} items in ${currentDirectory}` }
+    );
+    addChatMessage(formatBatchResult(result) + "Type 'trash' to restore " +
+                   "deleted items.", 'assistant');
+    
+    if (result.successful > 0) {
+      await loadDirectory(currentDirectory);
+    }
+  } catch (error) {
+    addChatMessage(`Error deleting files: ${error.message}`, 'assistant');
+  }
+}
+
+// Attach the selection to the next chat message
+function attachSelectionToChat() {
+  const paths = getSelectedFiles().map(file => file.path);
+  chatAttachments = Array.from(new Set([...chatAttachments, ...paths]));
+  renderChatAttachments();
+  document.getElementById('chat-input').focus();
+}
+
+function renderChatAttachments() {
+  const container = document.getElementById('chat-attachments');
+  if (chatAttachments.length === 0) {
+    container.hidden = true;
+    container.innerHTML = '';
+    return;
+  }
+  
+  const names = chatAttachments.slice(0, 3).map(basename).join(', ');
+  const more = chatAttachments.length > 3 ? ` +${chatAttachments.length - 3}` : '';
+  container.innerHTML = `
+    <span title="${escapeHtml(chatAttachments.map(relativePath).join('\n'))}">
+      📎 ${escapeHtml(names)}${more}
+    </span>
+    <span class="stat-action" id="clear-attachments" title="Remove">✕</span>
+  `;
+  container.hidden = false;
+  document.getElementById('clear-attachments').addEventListener('click', () => {
+    chatAttachments = [];
+    renderChatAttachments();
+  });
+}
+
+// Display a file preview, see previewFile for the kinds of result
+function displayFileContent(result, filePath) {
+  if (!confirmLeavePreview()) return;
+  const preview = document.getElementById('file-preview');
+  textView = null;
+  
+  if (result.type === 'text') {
+    displayTextPreview(preview, result, filePath);
+  } else if (result.type === 'image') {
+    displayImagePreview(preview, result);
+  } else if (result.type === 'pdf') {
+    const info = result.info;
+    const summary = info ? 
+      [`${info.pages} page${info.pages === 1 ? '' : 's'}`, info.title, info.author].filter(Boolean).join(' · ') : 
+      formatFileSize(result.size);
+    preview.innerHTML = `
+      <div class="media-preview">
+        <div class="plan-summary">${escapeHtml(summary)}</div>
+        <iframe class="pdf-frame" src="${escapeHtml(result.url)}"></iframe>
+      </div>
+    `;
+  } else if (result.type === 'audio' || result.type === 'video') {
+    preview.innerHTML = `
+      <div class="media-preview">
+        <${result.type} class="media-player ${result.type}" controls preload="metadata" 
+          src="${escapeHtml(result.url)}"></${result.type}>
+      </div>
+    `;
+    // Chromium plays only some codecs; say so instead of a dead player
+    preview.querySelector('.media-player').addEventListener('error', () => {
+      preview.innerHTML = `
+        <div class="empty-state">
+          <div class="file-icon">${result.type === 'audio' ? '🎵' : '🎬'}</div>
+          <p>This ${result.type} format cannot be played here</p>
+          <p class="hint">${escapeHtml(result.mimeType)}</p>
+        </div>
+      `;
+    });
+  } else if (result.type === 'archive') {
+    displayArchivePreview(preview, result);
+  } else if (result.type === 'hex') {
+    preview.innerHTML = `
+      <div class="plan-summary">${escapeHtml(result.mimeType)} · ${formatFileSize(result.size)}${
+        result.size > result.bytes.length ? ` · first ${formatFileSize(result.bytes.length)} shown` : ''}</div>
+      <pre class="hex-dump">${escapeHtml(formatHexDump(result.bytes))}</pre>
+    `;
+  } else {
+    preview.innerHTML = `
+      <div class="empty-state">
+        <div class="file-icon">⚠️</div>
+        <p>Error loading file</p>
+        <p class="hint">${result.content}</p>
+      </div>
+    `;
+  }
+}
+
+// Text with line numbers and highlighting, rendered only around the
+// visible lines. Files too large to index show their head and tail
+function displayTextPreview(preview, result, filePath) {
+  textView = {
+    path: filePath,
+    mimeType: result.mimeType,
+    language: result.language,
+    partial: result.partial,
+    lineCount: result.partial ? result.head.length + result.tail.length + 1 : result.lineCount,
+    headLength: result.partial ? result.head.length : null,
+    // Lines by chunk; a partial file's lines are all in chunk 0
+    chunks: new Map(),
+    loading: new Map(),
+    // Highlighter state at the start of each chunk
+    states: [null]
+  };
+  if (result.partial) {
+    textView.chunks.set(0, [...result.head, null, ...result.tail]);
+  }
+  
+  const summary = [
+    TEXT_ENCODING_LABELS[result.encoding] || result.encoding,
+    result.partial ? 
+      `start and end of a ${formatFileSize(result.size)} file` : 
+      `${result.lineCount.toLocaleString()} line${result.lineCount === 1 ? '' : 's'}`,
+    TEXT_LANGUAGE_LABELS[result.language]
+  ].filter(Boolean).join(' · ');
+  
+  preview.innerHTML = `
+    <div class="text-preview">
+      <div class="plan-summary">${escapeHtml(summary)}</div>
+      <div class="text-scroller"><div class="text-spacer"></div></div>
+    </div>
+  `;
+  
+  const scroller = preview.querySelector('.text-scroller');
+  let scrollFrame = null;
+  scroller.addEventListener('scroll', () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = null;
+      renderTextLines();
+    });
+  });
+  renderTextLines();
+}
+
+function renderTextLines() {
+  const scroller = document.querySelector('#file-preview .text-scroller');
+  if (!textView || !scroller) return;
+  const spacer = scroller.querySelector('.text-spacer');
+  const view = textView;
+  
+  const fullHeight = view.lineCount * TEXT_LINE_HEIGHT;
+  const height = Math.min(fullHeight, TEXT_MAX_SCROLL_HEIGHT);
+  spacer.style.height = `${height}px`;
+  spacer.style.setProperty('--gutter', `${String(view.lineCount).length + 1}ch`);
+  
+  // Position in the full-height text that the top of the view shows
+  const range = height - scroller.clientHeight;
+  const offset = height < fullHeight && range > 0 ? 
+    scroller.scrollTop / range * (fullHeight - scroller.clientHeight) : 
+    scroller.scrollTop;
+  const shift = scroller.scrollTop - offset;
+  
+  const first = Math.max(0, Math.floor(offset / TEXT_LINE_HEIGHT) - TEXT_OVERSCAN_LINES);
+  const last = Math.min(view.lineCount, 
+                        Math.ceil((offset + scroller.clientHeight) / TEXT_LINE_HEIGHT) + 
+                        TEXT_OVERSCAN_LINES);
+  
+  const rows = [];
+  for (let index = first; index < last; index++) {
+    rows.push(renderTextLine(view, index, shift));
+  }
+  spacer.innerHTML = rows.join('');
+  
+  if (view.partial) return;
+  const firstChunk = Math.floor(first / TEXT_CHUNK_LINES);
+  const lastChunk = Math.floor(Math.max(first, last - 1) / TEXT_CHUNK_LINES);
+  for (let chunk = firstChunk; chunk <= lastChunk; chunk++) {
+    loadTextChunk(view, chunk);
+  }
+  dropFarTextChunks(view, firstChunk);
+}
+
+// `shift` moves lines up into the capped scroll area of very long files
+function renderTextLine(view, index, shift) {
+  const chunk = view.partial ? 0 : Math.floor(index / TEXT_CHUNK_LINES);
+  const lines = view.chunks.get(chunk);
+  const line = lines ? lines[view.partial ? index : index % TEXT_CHUNK_LINES] : '';
+  const top = `top: ${index * TEXT_LINE_HEIGHT + shift}px`;
+  
+  if (line === null) {
+    return `<div class="text-line text-gap" style="${top}">⋯ middle of the file not shown ⋯</div>`;
+  }
+  // Line numbers of a partial file are unknown after the gap
+  const number = view.partial && index > view.headLength ? '' : index + 1;
+  return `<div class="text-line" style="${top}"><span class="line-number">${number}</span>${
+    lines ? textLineHtml(line) : ''}</div>`;
+}
+
+// A line is plain text, or [type, text] tokens when highlighted
+function textLineHtml(line) {
+  if (typeof line === 'string') return escapeHtml(line);
+  return line.map(([type, text]) => 
+    type ? `<span class="tok-${type}">${escapeHtml(text)}</span>` : escapeHtml(text)
+  ).join('');
+}
+
+// Read a chunk of lines. Highlighting continues from the state the
+// previous chunk ended in, so those chunks are read first
+async function loadTextChunk(view, chunk) {
+  if (view !== textView || view.chunks.has(chunk)) return;
+  if (view.loading.has(chunk)) return view.loading.get(chunk);
+  
+  const load = (async () => {
+    if (view.language && view.states[chunk] === undefined) {
+      await loadTextChunk(view, chunk - 1);
+      if (view !== textView) return;
+    }
+    
+    const result = await window.electronAPI.readTextLines(
+      view.path, chunk * TEXT_CHUNK_LINES, TEXT_CHUNK_LINES, view.states[chunk] || null);
+    if (view !== textView) return;
+    if (!result.success) {
+      document.querySelector('#file-preview .plan-summary').textContent = 
+        `Error reading file: ${result.error}`;
+      return;
+    }
+    
+    view.chunks.set(chunk, result.lines);
+    view.states[chunk + 1] = result.state;
+    view.lineCount = result.lineCount;
+    renderTextLines();
+  })();
+  
+  view.loading.set(chunk, load);
+  try {
+    await load;
+  } finally {
+    view.loading.delete(chunk);
+  }
+}
+
+// Keep memory bounded while scrolling through a long file; states stay,
+// so dropped chunks highlight the same when read again
+function dropFarTextChunks(view, nearChunk) {
+  if (view.chunks.size <= TEXT_MAX_CHUNKS) return;
+  const far = [...view.chunks.keys()]
+    .sort((a, b) => Math.abs(b - nearChunk) - Math.abs(a - nearChunk));
+  far.slice(0, view.chunks.size - TEXT_MAX_CHUNKS).forEach(chunk => view.chunks.delete(chunk));
+}
+
+// Header buttons: Edit for a text preview that shows the whole file;
+// Save, Revert and Close while editing, with a dot after the file name
+// while there are unsaved changes
+function updateEditorActions() {
+  if (editor && !editor.textarea.isConnected) {
+    editor = null;
+  }
+  const editable = textView && !textView.partial && 
+                   document.querySelector('#file-preview .text-scroller');
+  const dirty = Boolean(editor && editor.dirty);
+  
+  document.getElementById('editor-actions').hidden = !editor && !editable;
+  document.getElementById('edit-file').textContent = editor ? 'Close' : '✎ Edit';
+  document.getElementById('save-file').hidden = !editor;
+  document.getElementById('revert-file').hidden = !editor;
+  document.getElementById('save-file').disabled = !dirty;
+  document.getElementById('revert-file').disabled = !dirty;
+  document.getElementById('current-file-name').classList.toggle('dirty', dirty);
+}
+
+// Whether it is fine to leave the editor: no unsaved changes, or the user
+// agrees to drop them
+function confirmDiscardEdits() {
+  if (!editor || !editor.dirty) return true;
+  return confirm(`Discard your unsaved changes to "${editor.name}"?`);
+}
+
+// Every action that replaces the center panel asks here first, and stops 
+// when this returns false. Once the user agrees, the editor is closed 
+// right away so the rest of the action doesn't ask again
+function confirmLeavePreview() {
+  if (!editor) return true;
+  if (!confirmDiscardEdits()) return false;
+  
+  editor = null;
+  resetPreviewPanel();
+  return true;
+}
+
+// Replace the text preview of the selected file with an editor
+async function startEditing() {
+  if (!textView || !selectedFile || selectedFile.path !== textView.path) return;
+  const file = selectedFile;
+  const mimeType = textView.mimeType;
+  
+  const result = await window.electronAPI.readFileForEditing(file.path);
+  if (!result.success) {
+    addChatMessage(`Cannot edit ${file.name}: ${result.error}`, 'assistant');
+    return;
+  }
+  // Another file may have been selected meanwhile
+  if (selectedFile !== file) return;
+  
+  const preview = document.getElementById('file-preview');
+  preview.innerHTML = `
+    <div class="text-preview">
+      <div class="plan-summary"></div>
+      <textarea class="text-editor" spellcheck="false"></textarea>
+    </div>
+  `;
+  const textarea = preview.querySelector('.text-editor');
+  const session = { path: file.path, name: file.name, mimeType, textarea, dirty: false };
+  loadEditorText(session, result);
+  editor = session;
+  textView = null;
+  
+  textarea.addEventListener('input', () => {
+    session.dirty = textarea.value !== session.original;
+    updateEditorActions();
+  });
+  textarea.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+      e.preventDefault();
+      saveEdits();
+    } else if (e.key === 'Tab' && !e.shiftKey && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      // Indent instead of leaving the editor
+      e.preventDefault();
+      textarea.setRangeText('\t', textarea.selectionStart, textarea.selectionEnd, 'end');
+      textarea.dispatchEvent(new Event('input'));
+    }
+  });
+  
+  textarea.focus();
+  updateEditorActions();
+}
+
+// Put text read by readFileForEditing into an editor session
+function loadEditorText(session, result) {
+  session.original = result.content;
+  session.encoding = result.encoding;
+  session.bom = result.bom;
+  session.lineEnding = result.lineEnding;
+  session.mtimeMs = result.mtimeMs;
+  session.size = result.size;
+  session.dirty = false;
+  session.textarea.value = result.content;
+  
+  session.textarea.closest('.text-preview').querySelector('.plan-summary').textContent = [
+    'Editing',
+    TEXT_ENCODING_LABELS[result.encoding] || result.encoding,
+    result.lineEnding === '\r\n' ? 'CRLF' : 'LF'
+  ].join(' · ');
+}
+
+// Save the editor's text. A file changed or deleted on disk since it was
+// opened is only overwritten once the user confirms
+async function saveEdits(overwrite = false) {
+  const session = editor;
+  if (!session || !session.dirty || session.saving) return;
+  
+  const content = session.textarea.value;
+  session.saving = true;
+  let result;
+  try {
+    result = await window.electronAPI.writeFile(session.path, content, {
+      encoding: session.encoding,
+      bom: session.bom,
+      lineEnding: session.lineEnding,
+      expected: overwrite ? null : { mtimeMs: session.mtimeMs, size: session.size }
+    });
+  } finally {
+    session.saving = false;
+  }
+  
+  if (result.conflict) {
+    const question = result.conflict === 'deleted' ? 
+      `"${session.name}" was deleted since you opened it. Save it again?` : 
+      `"${session.name}" was changed on disk since you opened it. Replace it with your version?`;
+    if (confirm(question)) {
+      await saveEdits(true);
+    }
+    return;
+  }
+  if (!result.success) {
+    addChatMessage(`Error saving ${session.name}: ${result.error}`, 'assistant');
+    return;
+  }
+  
+  session.original = content;
+  session.mtimeMs = result.mtimeMs;
+  session.size = result.size;
+  // Typing can go on while the file is being written
+  session.dirty = session.textarea.value !== content;
+  updateEditorActions();
+  
+  if (selectedFile && selectedFile.path === session.path) {
+    selectedFile.size = result.size;
+    selectedFile.modified = new Date(result.mtimeMs).toISOString();
+    displayFileDetails(selectedFile, session.mimeType);
+  }
+}
+
+// Drop unsaved changes and load the file as it is on disk now
+async function revertEdits() {
+  const session = editor;
+  if (!session || !confirmDiscardEdits()) return;
+  
+  const result = await window.electronAPI.readFileForEditing(session.path);
+  if (!result.success) {
+    addChatMessage(`Cannot reload ${session.name}: ${result.error}`, 'assistant');
+    return;
+  }
+  if (editor !== session) return;
+  loadEditorText(session, result);
+  updateEditorActions();
+}
+
+// Back from the editor to the preview
+async function closeEditor() {
+  const session = editor;
+  if (!session || !confirmDiscardEdits()) return;
+  
+  editor = null;
+  const result = await window.electronAPI.readFileContent(session.path);
+  displayFileContent(result, session.path);
+}
+
+// Image with zoom controls, and the photo's EXIF fields beside it
+function displayImagePreview(preview, result) {
+  imageZoom = null;
+  const exifRows = result.exif.map(field => `
+    <div class="detail-row">
+      <span class="detail-label">${escapeHtml(field.label)}</span>
+      <span class="detail-value">${escapeHtml(field.value)}</span>
+    </div>
+  `).join('');
+  const image = result.displayable ? `
+    <div class="image-toolbar">
+      <button class="secondary-button" data-zoom="out" title="Zoom out">−</button>
+      <span class="zoom-level">Fit</span>
+      <button class="secondary-button" data-zoom="in" title="Zoom in">+</button>
+      <button class="secondary-button" data-zoom="fit">Fit</button>
+      <button class="secondary-button" data-zoom="actual">100%</button>
+    </div>
+    <div class="image-stage fit"><img class="preview-image" src="${escapeHtml(result.url)}" alt=""></div>
+  ` : `
+    <div class="empty-state">
+      <div class="file-icon">🖼️</div>
+      <p>This image format cannot be displayed here</p>
+      <p class="hint">${escapeHtml(result.mimeType)}</p>
+    </div>
+  `;
+  
+  preview.innerHTML = `
+    <div class="image-preview">
+      <div class="image-viewer">${image}</div>
+      <div class="exif-panel">
+        <div class="exif-title">EXIF</div>
+        ${exifRows || '<p class="hint">No EXIF data</p>'}
+      </div>
+    </div>
+  `;
+  if (!result.displayable) return;
+  
+  preview.querySelectorAll('[data-zoom]').forEach(button => {
+    button.addEventListener('click', () => {
+      const action = button.dataset.zoom;
+      if (action === 'fit') setImageZoom(null);
+      else if (action === 'actual') setImageZoom(1);
+      else stepImageZoom(action === 'in' ? 1 : -1);
+    });
+  });
+  // Ctrl/Cmd + wheel zooms, as in browsers
+  preview.querySelector('.image-stage').addEventListener('wheel', (e) => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    stepImageZoom(e.deltaY < 0 ? 1 : -1);
+  }, { passive: false });
+}
+
+// Zoom in (direction 1) or out (-1) from the current zoom, which is the
+// fitted scale when the image is fitted to the pane
+function stepImageZoom(direction) {
+  const image = document.querySelector('.preview-image');
+  if (!image || !image.naturalWidth) return;
+  const current = imageZoom || image.clientWidth / image.naturalWidth;
+  setImageZoom(current * Math.pow(IMAGE_ZOOM_STEP, direction));
+}
+
+function setImageZoom(zoom) {
+  const image = document.querySelector('.preview-image');
+  if (!image) return;
+  imageZoom = zoom === null ? null : 
+    Math.min(IMAGE_ZOOM_MAX, Math.max(IMAGE_ZOOM_MIN, zoom));
+  
+  image.closest('.image-stage').classList.toggle('fit', imageZoom === null);
+  image.style.width = imageZoom === null ? '' : `${Math.round(image.naturalWidth * imageZoom)}px`;
+  document.querySelector('.zoom-level').textContent = 
+    imageZoom === null ? 'Fit' : `${Math.round(imageZoom * 100)}%`;
+}
+
+// Listing of a zip or tar archive's entries
+function displayArchivePreview(preview, result) {
+  const count = result.truncated ? 
+    (result.total ? `first ${result.entries.length} of ${result.total} entries` : `first ${result.entries.length} entries`) : 
+    `${result.entries.length} entries`;
+  const rows = result.entries.map(entry => `
+    <div class="archive-row${entry.isDirectory ? ' directory' : ''}">
+      <span title="${escapeHtml(entry.name)}">${entry.isDirectory ? '📁' : '📄'} ${escapeHtml(entry.name)}</span>
+      <span>${entry.isDirectory ? '' : formatFileSize(entry.size)}</span>
+      <span>${new Date(entry.modified).toLocaleString()}</span>
+    </div>
+  `).join('');
+  
+  preview.innerHTML = `
+    <div class="media-preview">
+      <div class="plan-summary">${result.format} archive · ${count}</div>
+      <div class="bulk-rename-table archive-table">
+        <div class="archive-row bulk-rename-header"><span>Name</span><span>Size</span><span>Modified</span></div>
+        ${rows}
+      </div>
+    </div>
+  `;
+}
+
+// Offset, 16 bytes in hex and the same bytes as ASCII per line
+function formatHexDump(bytes) {
+  const lines = [];
+  for (let offset = 0; offset < bytes.length; offset += 16) {
+    const row = Array.from(bytes.slice(offset, offset + 16));
+    const hex = row.map(byte => byte.toString(16).padStart(2, '0'));
+    const ascii = row.map(byte => byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.').join('');
+    lines.push(
+      offset.toString(16).padStart(8, '0') + '  ' + 
+      hex.slice(0, 8).join(' ').padEnd(23) + '  ' + 
+      hex.slice(8).join(' ').padEnd(23) + '  ' + 
+      ascii
+    );
+  }
+  return lines.join('\n');
+}
+
+// Display file details; mimeType is the type detected from the content
+function displayFileDetails(file, mimeType) {
+  const details = document.getElementById('file-details');
+  details.innerHTML = `
+    <div class="detail-row">
+      <span class="detail-label">Type:</span>
+      <span class="detail-value">${file.extension || 'No extension'}${mimeType ? ` (${escapeHtml(mimeType)})` : ''}</span>
+    </div>
+    <div class="detail-row">
+      <span class="detail-label">Size:</span>
+      <span class="detail-value">${formatFileSize(file.size)}</span>
+    </div>
+    <div class="detail-row">
+      <span class="detail-label">Modified:</span>
+      <span class="detail-value">${new Date(file.modified).toLocaleString()}</span>
+    </div>
+    <div class="detail-row">
+      <span class="detail-label">Created:</span>
+      <span class="detail-value">${new Date(file.created).toLocaleString()}</span>
+    </div>
+    <div class="detail-actions">
+      <button class="secondary-button" id="find-similar">≈ Find similar files</button>
+    </div>
+  `;
+  document.getElementById('find-similar').addEventListener('click', () => 
+    findSimilarFiles(file));
+}
+
+// Append the file's tags, if it has any, to the details panel
+async function showFileTags(file) {
+  if (!window.electronAPI?.getTags) return;
+  
+  const tags = await window.electronAPI.getTags(file.path);
+  if (tags.length === 0 || selectedFile !== file) return;
+  
+  document.getElementById('file-details').insertAdjacentHTML('beforeend', `
+    <div class="detail-row">
+      <span class="detail-label">Tags:</span>
+      <span class="detail-value">${tags.map(escapeHtml).join(', ')}</span>
+    </div>
+  `);
+}
+
+// Display directory info
+function displayDirectoryInfo(dir) {
+  if (!confirmLeavePreview()) return;
+  const preview = document.getElementById('file-preview');
+  preview.innerHTML = `
+    <div class="empty-state">
+      <div class="file-icon">📁</div>
+      <p>${dir.name}</p>
+      <p class="hint">Double-click to open folder</p>
+    </div>
+  `;
+  
+  const details = document.getElementById('file-details');
+  details.innerHTML = `
+    <div class="detail-row">
+      <span class="detail-label">Type:</span>
+      <span class="detail-value">Folder</span>
+    </div>
+    <div class="detail-row">
+      <span class="detail-label">Modified:</span>
+      <span class="detail-value">${new Date(dir.modified).toLocaleString()}</span>
+    </div>
+  `;
+}
+
+// Update statistics
+function updateStats() {
+  const fileCount = currentFiles.filter(f => !f.isDirectory).length;
+  const folderCount = currentFiles.filter(f => f.isDirectory).length;
+  const treeFileCount = treeFiles.filter(f => !f.isDirectory).length;
+  
+  let treeStatus = '';
+  if (treeScan.state === 'scanning') {
+    treeStatus = `Scanning… ${treeFileCount} files ` +
+                 `<span class="stat-action" id="cancel-scan" title="Stop scan">✕</span>`;
+  } else if (treeScan.state === 'cancelled') {
+    treeStatus = `Scan stopped at ${treeFileCount} files`;
+  } else if (treeScan.state === 'done') {
+    treeStatus = `${treeFileCount} files in all subfolders`;
+  }
+  
+  document.getElementById('folder-stats').innerHTML = `
+    <span class="stat-item">${fileCount} files</span>
+    <span class="stat-item">${folderCount} folders</span>
+    ${treeStatus ? `<span class="stat-item">${treeStatus}</span>` : ''}
+    ${selectedPaths.size > 0 ? `<span class="stat-item">${selectedPaths.size} selected ` + 
+      `<span class="stat-action" id="clear-selection" title="Clear selection">✕</span></span>` : ''}
+  `;
+}
+
+// Start a recursive scan of dirPath, cancelling any scan still running
+async function startTreeScan(dirPath) {
+  if (!window.electronAPI?.scanDirectory) return;
+  
+  if (treeScan.id) {
+    window.electronAPI.cancelScan(treeScan.id);
+  }
+  
+  const scanId = `scan-${++scanCounter}`;
+  treeScan = { id: scanId, state: 'scanning', scannedDirs: 0 };
+  treeFiles = [];
+  updateStats();
+  
+  try {
+    const result = await window.electronAPI.scanDirectory(dirPath, {
+      scanId: scanId,
+      maxDepth: SCAN_MAX_DEPTH
+    });
+    
+    // A newer scan has replaced this one
+    if (treeScan.id !== scanId) return;
+    
+    if (result.success) {
+      treeFiles = result.entries;
+      treeScan = { 
+        id: null, 
+        state: result.cancelled ? 'cancelled' : 'done', 
+        scannedDirs: result.scannedDirs 
+      };
+    } else {
+      console.error('Error scanning directory:', result.error);
+      treeScan = { id: null, state: 'idle', scannedDirs: 0 };
+    }
+  } catch (error) {
+    console.error('Error scanning directory:', error);
+    treeScan = { id: null, state: 'idle', scannedDirs: 0 };
+  }
+  updateStats();
+}
+
+// Partial results streamed from the main process during a scan
+function handleScanProgress(progress) {
+  if (progress.scanId !== treeScan.id) return;
+  
+  treeFiles.push(...progress.entries);
+  treeScan.scannedDirs = progress.scannedDirs;
+  updateStats();
+}
+
+// Files organization works on: the whole tree when "Subfolders" is checked
+function getOrganizationFiles(quiet = false) {
+  // Several selected entries narrow every action down to them
+  if (selectedPaths.size > 1) {
+    return getSelectedFiles();
+  }
+  
+  const includeSubfolders = document.getElementById('include-subfolders');
+  if (includeSubfolders && includeSubfolders.checked && treeFiles.length) {
+    if (treeScan.state === 'scanning' && !quiet) {
+      addChatMessage(`The folder scan is still running; using the ` +
+                     `${treeFiles.length} entries found so far.`, 'assistant');
+    }
+    return treeFiles;
+  }
+  return currentFiles;
+}
+
+// Filter files based on search
+function filterFiles(query) {
+  if (!currentFiles.length) return;
+  
+  const filtered = query 
+    ? currentFiles.filter(f => f.name.toLowerCase().includes(query.toLowerCase()))
+    : currentFiles;
+  
+  displayFileTree(filtered);
+}
+
+// Chat functionality
+function sendMessage() {
+  const input = document.getElementById('chat-input');
+  const message = input.value.trim();
+  
+  if (!message) return;
+  
+  // Add user message to chat
+  addChatMessage(message, 'user');
+  
+  // Clear input
+  input.value = '';
   
   // Process message (this would connect to AI in a real app)
   setTimeout(() => {
@@ -311,430 +1678,2349 @@ function sendMessage() {
   }, 500);
 }
 
-// Add message to chat
-function addChatMessage(content, type = 'assistant') {
-  const messagesContainer = document.getElementById('chat-messages');
-  const messageDiv = document.createElement('div');
-  messageDiv.className = `chat-message ${type}`;
+// Add message to chat
+function addChatMessage(content, type = 'assistant') {
+  const messagesContainer = document.getElementById('chat-messages');
+  const messageDiv = document.createElement('div');
+  messageDiv.className = `chat-message ${type}`;
+  
+  // Escape HTML to prevent XSS attacks
+  const escapedContent = escapeHtml(content);
+  
+  messageDiv.innerHTML = `
+    <div class="message-avatar">${type === 'user' ? '👤' : '🤖'}</div>
+    <div class="message-content">
+      <p>${escapedContent.replace(/\n/g, '<br>')}</p>
+    </div>
+  `;
+  
+  messagesContainer.appendChild(messageDiv);
+  messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  return messageDiv;
+}
+
+// Replace the text of a chat bubble, keeping the user scrolled to the end
+function setChatMessageText(messageDiv, content) {
+  const messagesContainer = document.getElementById('chat-messages');
+  messageDiv.querySelector('.message-content p').innerHTML = 
+    escapeHtml(content).replace(/\n/g, '<br>');
+  messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
+// Status line above the quick actions for long-running work, with a stop
+// button when the work can be cancelled
+function setActivityStatus(text, onStop) {
+  const status = document.getElementById('activity-status');
+  status.textContent = '';
+  const spinner = document.createElement('span');
+  spinner.className = 'spinner';
+  status.append(spinner, text);
+  if (onStop) {
+    const stop = document.createElement('span');
+    stop.className = 'stat-action';
+    stop.title = 'Stop';
+    stop.textContent = '✕';
+    stop.addEventListener('click', onStop);
+    status.appendChild(stop);
+  }
+  status.hidden = false;
+}
+
+function clearActivityStatus() {
+  const status = document.getElementById('activity-status');
+  status.textContent = '';
+  status.hidden = true;
+}
+
+// Byte progress of a large file being moved to another drive
+function handleTransferProgress(progress) {
+  if (progress.done) {
+    clearActivityStatus();
+    return;
+  }
+  
+  const percent = Math.floor(progress.bytesCopied / progress.totalBytes * 100);
+  setActivityStatus(`Copying ${basename(progress.source)} to another drive: ` +
+                    `${percent}% (${formatFileSize(progress.bytesCopied)} of ` +
+                    `${formatFileSize(progress.totalBytes)})`);
+}
+
+// Process AI commands
+async function processAICommand(command) {
+  // Undo and trash commands work even when no folder is loaded
+  if (await handleUndoCommand(command)) {
+    return;
+  }
+  
+  if (/^(show |open )?(the )?trash$/i.test(command.trim())) {
+    await showTrashPanel();
+    return;
+  }
+  
+  if (/^(open )?settings$/i.test(command.trim())) {
+    await showSettingsPanel();
+    return;
+  }
+  
+  if (/^(show )?(watched folders|watch activity|activity)$/i.test(command.trim())) {
+    await showWatchPanel();
+    return;
+  }
+  
+  if (/^watch (this|current) folder$/i.test(command.trim())) {
+    await watchCurrentFolder('rules');
+    return;
+  }
+  
+  if (/^(edit|open) (the )?rules( folder)?$/i.test(command.trim())) {
+    await window.electronAPI.openRulesFolder();
+    addChatMessage("Opened the rules folder. Edit or add .yaml/.json files, " +
+                   "then type 'apply rules'.", 'assistant');
+    return;
+  }
+  
+  if (/^(new|clear|reset) (chat|conversation)$|^start over$/i.test(command.trim())) {
+    await window.electronAPI.resetChat(currentDirectory);
+    addChatMessage("Starting a new conversation.", 'assistant');
+    return;
+  }
+  
+  if (!currentFiles.length) {
+    addChatMessage("Please select a folder first to organize files.", 
+                   'assistant');
+    return;
+  }
+  
+  const lowerCommand = command.toLowerCase();
+  
+  // Check if user wants to execute pending organization
+  if ((lowerCommand === 'yes' || lowerCommand === 'execute' || 
+       lowerCommand === 'y') && window.pendingOrganization) {
+    await executeOrganization(window.pendingOrganization);
+    window.pendingOrganization = null;
+    return;
+  }
+  
+  if (/^(bulk|batch|template) rename$|^rename (all|many|these) files$/i.test(command.trim())) {
+    await showBulkRename();
+    return;
+  }
+  
+  // Check for direct file operation commands
+  if (await handleDirectFileOperation(command)) {
+    return;
+  }
+  
+  if (/^(apply|run) (my )?rules$/i.test(command.trim())) {
+    await applyRules();
+    return;
+  }
+  
+  // Strategy shortcuts, same as the quick actions
+  if (lowerCommand.includes('organize') && lowerCommand.includes('project')) {
+    await organizeByProject();
+  } else if (lowerCommand.includes('organize') && 
+             (lowerCommand.includes('topic') || lowerCommand.includes('cluster'))) {
+    await organizeByTopic();
+  } else if (/\b(suggest|clean ?up|fix|better)\b.*\b(file ?)?names\b|^rename suggestions$/.test(lowerCommand)) {
+    await suggestRenames();
+  } else if (/\borgani[sz]e\b.*\bby (file )?type\b/.test(lowerCommand)) {
+    await organizeByType();
+  } else if (/\borgani[sz]e\b.*\bby (date|month)\b/.test(lowerCommand)) {
+    await organizeByDate();
+  } else if (!(await converse(command))) {
+    // No AI provider: keyword commands only
+    await processBasicCommand(command);
+  }
+}
+
+// One turn of the conversation with the AI. The model looks at the folder
+// through tools in the main process; changes it proposes open in the plan
+// preview and run only after approval. Returns false without an AI provider.
+async function converse(command) {
+  if (aiRequestId) {
+    addChatMessage("Please wait for the current reply, or press Stop.", 
+                   'assistant');
+    return true;
+  }
+  
+  const requestId = `ai-${++aiRequestCounter}`;
+  aiRequestId = requestId;
+  streamingMessage = null;
+  setChatBusy(true);
+  showAiStatus('AI: thinking…', requestId);
+  
+  let result;
+  let streamed = null;
+  try {
+    const selection = chatAttachments;
+    chatAttachments = [];
+    renderChatAttachments();
+    result = await window.electronAPI.sendChatMessage(command, {
+      requestId: requestId,
+      rootPath: currentDirectory,
+      selection: selection
+    });
+  } finally {
+    if (aiRequestId === requestId) {
+      streamed = finishStreamingMessage();
+      aiRequestId = null;
+      setChatBusy(false);
+      clearActivityStatus();
+    }
+  }
+  
+  if (result.unavailable) {
+    return false;
+  }
+  if (result.cancelled) {
+    // Whatever arrived before the stop stays in the chat
+    addChatMessage("Stopped. Nothing was changed.", 'assistant');
+    return true;
+  }
+  if (!result.success) {
+    addChatMessage(`Sorry, something went wrong: ${result.error}`, 'assistant');
+    return true;
+  }
+  
+  if (streamed) {
+    setChatMessageText(streamed, result.reply || "Done.");
+  } else {
+    addChatMessage(result.reply || "Done.", 'assistant');
+  }
+  if (result.operations.length > 0) {
+    addChatMessage(`I've put ${result.operations.length} proposed changes in ` +
+                   "the preview panel. Nothing changes until you approve them: " +
+                   "reply 'yes' or use Apply.", 'assistant');
+    await proposeOrganization({ operations: result.operations });
+  }
+  return true;
+}
+
+// Send button label while an AI request runs: clicking it then stops the
+// request
+function setChatBusy(busy) {
+  const button = document.getElementById('send-message');
+  button.textContent = busy ? 'Stop' : 'Send';
+  button.title = busy ? 'Stop the AI' : '';
+  button.classList.toggle('stop', busy);
+}
+
+// Status line for an AI request, with its stop button
+function showAiStatus(text, requestId) {
+  aiStatusText = text;
+  setActivityStatus(text, () => window.electronAPI.cancelAiRequest(requestId));
+}
+
+// Reply text streamed from the main process, shown as it arrives
+function handleAiToken(token) {
+  if (token.requestId !== aiRequestId) return;
+  
+  if (!streamingMessage) {
+    const element = addChatMessage('', 'assistant');
+    element.classList.add('streaming');
+    streamingMessage = { element: element, text: '' };
+  }
+  streamingMessage.text += token.text;
+  setChatMessageText(streamingMessage.element, streamingMessage.text);
+}
+
+// Stop filling the current streamed bubble and return it (null when nothing
+// streamed); text after this starts a new bubble
+function finishStreamingMessage() {
+  if (!streamingMessage) return null;
+  const element = streamingMessage.element;
+  element.classList.remove('streaming');
+  streamingMessage = null;
+  return element;
+}
+
+// Progress streamed from the main process during an AI request: tools the
+// model calls, and batches when it organizes a large folder
+function handleAiProgress(progress) {
+  if (progress.requestId !== aiRequestId) return;
+  
+  const requestId = progress.requestId;
+  if (progress.stage === 'tool') {
+    // Text the model wrote before calling a tool stays as its own message
+    finishStreamingMessage();
+    showAiStatus(`AI: ${progress.label}…`, requestId);
+  } else if (progress.stage === 'read') {
+    showAiStatus(`AI: reading file contents (${progress.done} of ` +
+                 `${progress.total})…`, requestId);
+  } else if (progress.stage === 'batch') {
+    if (progress.done === 0) {
+      addChatMessage(`This folder has too many files for one request, so I'll ` +
+                     `analyze it in ${progress.total} batches and then merge ` +
+                     "the folders into one structure. Press Stop to cancel.", 
+                     'assistant');
+    }
+    showAiStatus(`AI: analyzing batch ${progress.done + 1} of ` +
+                 `${progress.total}…`, requestId);
+  } else if (progress.stage === 'merge') {
+    showAiStatus(`AI: merging folders from ${progress.total} batches…`, requestId);
+  } else if (progress.stage === 'receiving') {
+    // Keep the step being worked on and add how much of its answer arrived
+    setActivityStatus(`${aiStatusText} ${progress.chars.toLocaleString()} characters received`, 
+                      () => window.electronAPI.cancelAiRequest(requestId));
+  }
+}
+
+// File names the AI returned that don't match any file in the folder
+function describeRejectedFiles(rejected) {
+  if (!rejected || rejected.length === 0) return '';
+  const shown = rejected.slice(0, 5).join(', ');
+  const more = rejected.length > 5 ? ` and ${rejected.length - 5} more` : '';
+  return `\nIgnored ${rejected.length} names that don't match a file here ` +
+         `(or were listed twice): ${shown}${more}\n`;
+}
+
+// Fallback to basic commands without AI
+async function processBasicCommand(command) {
+  const lowerCommand = command.toLowerCase();
+  
+  if (lowerCommand.includes('organize') && lowerCommand.includes('type')) {
+    await organizeByType();
+  } else if (lowerCommand.includes('organize') && lowerCommand.includes('date')) {
+    await organizeByDate();
+  } else if (lowerCommand.includes('duplicate')) {
+    await findDuplicates();
+  } else if (lowerCommand.includes('large') || lowerCommand.includes('biggest')) {
+    findLargeFiles();
+  } else {
+    addChatMessage("I can help you organize files by type, date, find " +
+                   "duplicates, or identify large files. What would you like to do?", 
+                   'assistant');
+  }
+}
+
+// Handle quick actions
+function handleQuickAction(action) {
+  switch(action) {
+    case 'organize-by-type':
+      organizeByType();
+      break;
+    case 'organize-by-date':
+      organizeByDate();
+      break;
+    case 'organize-by-project':
+      organizeByProject();
+      break;
+    case 'apply-rules':
+      applyRules();
+      break;
+    case 'find-duplicates':
+      findDuplicates();
+      break;
+    case 'open-trash':
+      showTrashPanel();
+      break;
+    case 'watch-folders':
+      showWatchPanel();
+      break;
+    case 'organize-by-topic':
+      organizeByTopic();
+      break;
+    case 'suggest-renames':
+      suggestRenames();
+      break;
+    case 'bulk-rename':
+      showBulkRename();
+      break;
+  }
+}
+
+// Organize files by type
+async function organizeByType() {
+  if (!window.electronAPI?.organizeFiles) {
+    console.error('organizeFiles not available');
+    return;
+  }
+  
+  try {
+    const organized = await window.electronAPI.organizeFiles(
+      getOrganizationFiles(), 'by-type');
+    
+    let message = "I've analyzed your files and found:\n\n";
+    for (const [ext, files] of Object.entries(organized)) {
+      message += `• ${ext}: ${files.length} files\n`;
+    }
+    message += "\n\nReview the plan in the preview panel, then reply " +
+               "'yes' to execute it.";
+    
+    addChatMessage(message, 'assistant');
+    await proposeOrganization(organized);
+  } catch (error) {
+    console.error('Error organizing files:', error);
+    addChatMessage('Error: Failed to organize files. ' + error.message, 
+                   'assistant');
+  }
+}
+
+// Organize by date
+async function organizeByDate() {
+  const filesByMonth = {};
+  
+  getOrganizationFiles().forEach(file => {
+    if (!file.isDirectory) {
+      const date = new Date(file.modified);
+      const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      
+      if (!filesByMonth[key]) {
+        filesByMonth[key] = [];
+      }
+      filesByMonth[key].push(file);
+    }
+  });
+  
+  let message = "Files organized by month:\n\n";
+  for (const [month, files] of Object.entries(filesByMonth)) {
+    message += `• ${month}: ${files.length} files\n`;
+  }
+  message += "\n\nReview the plan in the preview panel, then reply " +
+             "'yes' to execute it.";
+  
+  addChatMessage(message, 'assistant');
+  await proposeOrganization(filesByMonth);
+}
+
+// Organize by project using AI
+async function organizeByProject() {
+  if (!window.electronAPI?.detectProjects) {
+    addChatMessage("AI features are not available. Please choose an AI " +
+                   "provider in Settings (⚙).", 'assistant');
+    return;
+  }
+  
+  try {
+    addChatMessage("Analyzing files to detect projects...", 'assistant');
+    const files = getOrganizationFiles();
+    const result = await window.electronAPI.detectProjects(files);
+    
+    if (result.error) {
+      addChatMessage(`I had trouble detecting projects: ${result.error}\n\n` +
+                     "You can try organizing by type or date instead.", 'assistant');
+      return;
+    }
+    
+    if (Object.keys(result.projects).length === 0) {
+      addChatMessage("I couldn't detect clear project groupings. Try " +
+                     "organizing by type or date instead.", 'assistant');
+      return;
+    }
+    
+    let message = "I've detected the following projects:\n\n";
+    for (const [project, files] of Object.entries(result.projects)) {
+      message += `• ${project}: ${files.length} files\n`;
+    }
+    message += describeRejectedFiles(result.rejected);
+    message += "\n\nReview the plan in the preview panel, then reply " +
+               "'yes' to execute it.";
+    
+    addChatMessage(message, 'assistant');
+    await proposeOrganization(result.projects);
+  } catch (error) {
+    console.error('Error detecting projects:', error);
+    addChatMessage("I had trouble detecting projects. You can try organizing " +
+                   "by type or date instead.", 'assistant');
+  }
+}
+
+// Embedding progress while the local similarity index catches up
+function handleIndexProgress(progress) {
+  setActivityStatus(`Indexing files for similarity: ${progress.done} of ` +
+                    `${progress.total}…`);
+}
+
+// Show ranked results in the file tree, best match first
+function displayRankedFiles(results) {
+  displayFileTree(results.map(result => ({ ...result.file, score: result.score })), 
+                  true);
+}
+
+// Files most like the selected one, by embedding similarity
+async function findSimilarFiles(file) {
+  if (!window.electronAPI?.findSimilarFiles) return;
+  
+  const files = getOrganizationFiles(true);
+  if (!files.some(f => f.path === file.path)) {
+    files.push(file);
+  }
+  
+  addChatMessage(`Looking for files similar to ${file.name}...`, 'assistant');
+  const result = await window.electronAPI.findSimilarFiles(file.path, files);
+  clearActivityStatus();
+  
+  if (!result.success) {
+    addChatMessage(`I couldn't compare files: ${result.error}`, 'assistant');
+    return;
+  }
+  if (result.results.length === 0) {
+    addChatMessage("There are no other files to compare with.", 'assistant');
+    return;
+  }
+  
+  let message = `Files most similar to ${file.name}:\n\n`;
+  result.results.slice(0, 10).forEach(({ file: match, score }) => {
+    message += `• ${match.name} (${Math.round(score * 100)}%)\n`;
+  });
+  message += "\nThe file list shows all matches, best first. Press Esc in the " +
+             "search box to see the folder again.";
+  addChatMessage(message, 'assistant');
+  displayRankedFiles(result.results);
+}
+
+// Search by meaning across the folder (and subfolders when checked)
+async function semanticSearch(query) {
+  if (!query) {
+    filterFiles('');
+    return;
+  }
+  
+  const result = await window.electronAPI.semanticSearch(query, 
+                                                         getOrganizationFiles(true));
+  clearActivityStatus();
+  if (!result.success) {
+    addChatMessage(`Semantic search failed: ${result.error}`, 'assistant');
+    return;
+  }
+  displayRankedFiles(result.results);
+}
+
+// Group files into topics by clustering their embeddings
+async function organizeByTopic() {
+  if (!currentDirectory) {
+    addChatMessage("Please select a folder first.", 'assistant');
+    return;
+  }
+  
+  addChatMessage("Grouping files by topic...", 'assistant');
+  const result = await window.electronAPI.clusterFiles(getOrganizationFiles());
+  clearActivityStatus();
+  
+  if (!result.success) {
+    addChatMessage(`I couldn't group files by topic: ${result.error}`, 'assistant');
+    return;
+  }
+  if (Object.keys(result.organized).length === 0) {
+    addChatMessage("There are no files to group.", 'assistant');
+    return;
+  }
+  
+  let message = "Files grouped by topic:\n\n";
+  for (const [topic, files] of Object.entries(result.organized)) {
+    message += `• ${topic}: ${files.length} files\n`;
+  }
+  message += "\n\nReview the plan in the preview panel, then reply " +
+             "'yes' to execute it.";
+  
+  addChatMessage(message, 'assistant');
+  await proposeOrganization(result.organized);
+}
+
+// Evaluate the user's rules against the folder and preview the result
+async function applyRules() {
+  if (!currentDirectory) {
+    addChatMessage("Please select a folder first.", 'assistant');
+    return;
+  }
+  
+  const plan = await window.electronAPI.applyRules(currentDirectory, 
+                                                   getOrganizationFiles());
+  if (!plan.success) {
+    addChatMessage(`Error applying rules: ${plan.error}`, 'assistant');
+    return;
+  }
+  
+  let message = '';
+  if (plan.errors.length > 0) {
+    message += "Some rules could not be loaded:\n";
+    plan.errors.forEach(error => { message += `• ${error}\n`; });
+    message += "\n";
+  }
+  
+  if (plan.matches.length === 0) {
+    message += "No files matched any enabled rule. Type 'edit rules' to " +
+               "open the rules folder.";
+    addChatMessage(message, 'assistant');
+    return;
+  }
+  
+  message += `${plan.matches.length} files matched your rules:\n\n`;
+  for (const [rule, count] of Object.entries(plan.summary)) {
+    message += `• ${rule}: ${count} files\n`;
+  }
+  message += "\n\nReview the plan in the preview panel, then reply " +
+             "'yes' to execute it.";
+  
+  addChatMessage(message, 'assistant');
+  await proposeOrganization({ operations: plan.operations });
+}
+
+// Find duplicate files by content hash (recursive, in the main process)
+async function findDuplicates() {
+  if (!currentDirectory) {
+    addChatMessage("Please select a folder first.", 'assistant');
+    return;
+  }
+  
+  if (!window.electronAPI?.findDuplicates) {
+    console.error('findDuplicates not available');
+    return;
+  }
+  
+  if (!confirmLeavePreview()) return;
+  
+  addChatMessage("Scanning for duplicates, including subfolders...", 
+                 'assistant');
+  document.getElementById('current-file-name').textContent = 'Duplicate scan';
+  document.getElementById('file-preview').innerHTML = `
+    <div class="empty-state">
+      <div class="file-icon">🔍</div>
+      <p>Scanning for duplicates...</p>
+      <p class="hint" id="duplicate-scan-status">Listing files</p>
+    </div>
+  `;
+  
+  try {
+    const result = await window.electronAPI.findDuplicates(currentDirectory, {
+      exclude: [QUARANTINE_FOLDER]
+    });
+    
+    if (!result.success) {
+      resetPreviewPanel();
+      addChatMessage(`Error scanning for duplicates: ${result.error}`, 
+                     'assistant');
+      return;
+    }
+    
+    if (result.groups.length === 0) {
+      resetPreviewPanel();
+      addChatMessage("No duplicate files found.", 'assistant');
+      return;
+    }
+    
+    const wasted = result.groups.reduce((sum, group) => 
+      sum + group.size * (group.files.length - 1), 0);
+    addChatMessage(`Found ${result.groups.length} groups of identical files ` +
+                   `(${formatFileSize(wasted)} reclaimable). Choose which ` +
+                   `copy to keep in the preview panel.`, 'assistant');
+    
+    duplicateReview = {
+      groups: result.groups,
+      keep: [],
+      include: result.groups.map(() => true),
+      strategy: 'newest',
+      action: 'quarantine'
+    };
+    applyKeepStrategy('newest');
+    renderDuplicateReview();
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    resetPreviewPanel();
+    addChatMessage('Error: Failed to scan for duplicates. ' + error.message, 
+                   'assistant');
+  }
+}
+
+function updateDuplicateScanProgress(progress) {
+  const status = document.getElementById('duplicate-scan-status');
+  if (!status) return;
+  
+  const phases = {
+    'scan': 'Found',
+    'partial-hash': 'Quick-hashed',
+    'full-hash': 'Fully hashed'
+  };
+  status.textContent = `${phases[progress.phase]} ${progress.processed} ` +
+                       `of ${progress.total} files`;
+}
+
+// Pick the file to keep in every group: newest, oldest or shortest path
+function applyKeepStrategy(strategy) {
+  duplicateReview.strategy = strategy;
+  duplicateReview.keep = duplicateReview.groups.map(group => {
+    let best = 0;
+    group.files.forEach((file, i) => {
+      const current = group.files[best];
+      if (strategy === 'newest' && 
+          new Date(file.modified) > new Date(current.modified)) {
+        best = i;
+      } else if (strategy === 'oldest' && 
+                 new Date(file.modified) < new Date(current.modified)) {
+        best = i;
+      } else if (strategy === 'shortest-path' && 
+                 file.path.length < current.path.length) {
+        best = i;
+      }
+    });
+    return best;
+  });
+}
+
+// Batch operations resolving every included group
+function buildDuplicateOperations() {
+  const operations = [];
+  const folders = new Set();
+  
+  duplicateReview.groups.forEach((group, g) => {
+    if (!duplicateReview.include[g]) return;
+    const kept = group.files[duplicateReview.keep[g]];
+    
+    group.files.forEach(file => {
+      if (file === kept) return;
+      
+      if (duplicateReview.action === 'delete') {
+        operations.push({ type: 'delete', path: file.path });
+      } else if (duplicateReview.action === 'hardlink') {
+        operations.push({ 
+          type: 'hardlink', 
+          source: kept.path, 
+          destination: file.path 
+        });
+      } else {
+        // Keep the relative layout inside the quarantine folder
+        const destination = joinPath(currentDirectory, QUARANTINE_FOLDER, 
+                                     relativePath(file.path));
+        const folder = dirname(destination);
+        if (!folders.has(folder)) {
+          folders.add(folder);
+          operations.push({ type: 'create-folder', path: folder });
+        }
+        operations.push({ 
+          type: 'move', 
+          source: file.path, 
+          destination: destination 
+        });
+      }
+    });
+  });
+  
+  return operations;
+}
+
+function renderDuplicateReview() {
+  const review = duplicateReview;
+  const included = review.include.filter(Boolean).length;
+  
+  document.getElementById('current-file-name').textContent = 
+    `Duplicates (${review.groups.length} groups)`;
+  
+  const groupsHtml = review.groups.map((group, g) => `
+    <div class="duplicate-group ${review.include[g] ? '' : 'excluded'}">
+      <label class="duplicate-group-header">
+        <input type="checkbox" class="dup-include" data-group="${g}"
+               ${review.include[g] ? 'checked' : ''}>
+        Group ${g + 1} · ${group.files.length} copies · 
+        ${formatFileSize(group.size)} each
+        <span class="duplicate-hash">${group.hash.slice(0, 12)}</span>
+      </label>
+      ${group.files.map((file, f) => `
+        <label class="duplicate-file ${review.keep[g] === f ? 'kept' : ''}">
+          <input type="radio" class="dup-keep" name="dup-keep-${g}" 
+                 data-group="${g}" data-file="${f}"
+                 ${review.keep[g] === f ? 'checked' : ''}>
+          <span class="file-name">${escapeHtml(relativePath(file.path))}</span>
+          <span class="file-size">
+            ${new Date(file.modified).toLocaleDateString()}
+          </span>
+        </label>
+      `).join('')}
+    </div>
+  `).join('');
+  
+  document.getElementById('file-preview').innerHTML = `
+    <div class="duplicate-review">
+      <div class="plan-toolbar">
+        <label class="plan-summary">Keep
+          <select id="dup-strategy">
+            <option value="newest">newest</option>
+            <option value="oldest">oldest</option>
+            <option value="shortest-path">shortest path</option>
+          </select>
+        </label>
+        <label class="plan-summary">Others
+          <select id="dup-action">
+            <option value="quarantine">move to quarantine</option>
+            <option value="hardlink">replace with hard links</option>
+            <option value="delete">move to trash</option>
+          </select>
+        </label>
+        <button class="secondary-button" id="dup-cancel">Close</button>
+        <button class="primary-button" id="dup-apply"
+                ${included === 0 ? 'disabled' : ''}>
+          Resolve ${included} groups
+        </button>
+      </div>
+      <div class="duplicate-groups">${groupsHtml}</div>
+    </div>
+  `;
+  
+  document.getElementById('file-details').innerHTML = `
+    <div class="detail-row">
+      <span class="detail-label">Selected copies stay in place.</span>
+      <span class="detail-value">Quarantine: ${escapeHtml(QUARANTINE_FOLDER)}</span>
+    </div>
+  `;
+  
+  document.getElementById('dup-strategy').value = review.strategy;
+  document.getElementById('dup-action').value = review.action;
+  
+  document.getElementById('dup-strategy').addEventListener('change', (e) => {
+    applyKeepStrategy(e.target.value);
+    renderDuplicateReview();
+  });
+  document.getElementById('dup-action').addEventListener('change', (e) => {
+    review.action = e.target.value;
+  });
+  document.querySelectorAll('.dup-include').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      review.include[parseInt(checkbox.dataset.group, 10)] = checkbox.checked;
+      renderDuplicateReview();
+    });
+  });
+  document.querySelectorAll('.dup-keep').forEach(radio => {
+    radio.addEventListener('change', () => {
+      review.keep[parseInt(radio.dataset.group, 10)] = 
+        parseInt(radio.dataset.file, 10);
+      renderDuplicateReview();
+    });
+  });
+  document.getElementById('dup-cancel').addEventListener('click', () => {
+    duplicateReview = null;
+    resetPreviewPanel();
+  });
+  document.getElementById('dup-apply').addEventListener('click', 
+                                                        resolveDuplicates);
+}
+
+async function resolveDuplicates() {
+  const operations = buildDuplicateOperations();
+  if (operations.length === 0) return;
+  
+  if (duplicateReview.action === 'delete') {
+    const count = operations.length;
+    if (!confirm(`Move ${count} duplicate files to the trash?`)) {
+      return;
+    }
+  }
+  
+  try {
+    const result = await window.electronAPI.batchOperations(operations, {
+      label: `Resolve duplicates in ${currentDirectory}`,
+      collisionPolicy: 'suffix'
+    });
+    
+    duplicateReview = null;
+    resetPreviewPanel();
+    addChatMessage(formatBatchResult(result), 'assistant');
+    
+    if (result.successful > 0) {
+      await loadDirectory(currentDirectory);
+    }
+  } catch (error) {
+    addChatMessage(`Error resolving duplicates: ${error.message}`, 
+                   'assistant');
+  }
+}
+
+// Ask the AI for cleaner names and open them for review
+async function suggestRenames() {
+  if (!currentDirectory) {
+    addChatMessage("Please select a folder first.", 'assistant');
+    return;
+  }
+  
+  const files = getOrganizationFiles().filter(f => !f.isDirectory);
+  setActivityStatus('AI: suggesting file names…');
+  
+  let result;
+  try {
+    result = await window.electronAPI.suggestRenames(files);
+  } catch (error) {
+    result = { renames: [], rejected: [], error: error.message };
+  } finally {
+    clearActivityStatus();
+  }
+  
+  if (result.unavailable) {
+    addChatMessage("Rename suggestions need an AI provider. Choose one in " +
+                   "Settings (⚙).", 'assistant');
+    return;
+  }
+  if (result.error) {
+    addChatMessage(`I had trouble suggesting names: ${result.error}`, 'assistant');
+    return;
+  }
+  if (result.renames.length === 0) {
+    addChatMessage("These file names look fine already; I have nothing to " +
+                   "suggest." + describeRejectedFiles(result.rejected), 'assistant');
+    return;
+  }
+  
+  if (!confirmLeavePreview()) return;
+  addChatMessage(`I have ${result.renames.length} name suggestions. Review ` +
+                 "and edit them in the preview panel, then press Rename." + 
+                 describeRejectedFiles(result.rejected), 'assistant');
+  
+  renameReview = {
+    items: result.renames.map(rename => ({
+      ...rename,
+      include: true,
+      error: null
+    })),
+    checkTimer: null
+  };
+  await checkRenameReview();
+  renderRenameReview();
+}
+
+// Included renames that change a name; the others need no check
+function getChangedRenames() {
+  return renameReview.items.filter(item => 
+    item.include && item.suggested !== item.original);
+}
+
+// Check names and conflicts in the main process and store each item's error
+async function checkRenameReview() {
+  const review = renameReview;
+  const changed = getChangedRenames();
+  review.items.forEach(item => { item.error = null; });
+  
+  const result = await window.electronAPI.checkRenames(changed.map(item => ({
+    path: item.path,
+    name: item.suggested
+  })));
+  if (review !== renameReview) return;
+  
+  if (!result.success) {
+    changed.forEach(item => { item.error = result.error; });
+    return;
+  }
+  result.results.forEach((check, i) => {
+    changed[i].error = check.error;
+    changed[i].newPath = check.newPath;
+  });
+}
+
+function renderRenameReview() {
+  const review = renameReview;
+  
+  document.getElementById('current-file-name').textContent = 
+    `Rename suggestions (${review.items.length})`;
+  
+  const rowsHtml = review.items.map((item, i) => `
+    <div class="rename-row ${item.include ? '' : 'excluded'}" data-index="${i}">
+      <input type="checkbox" class="rename-include" data-index="${i}"
+             ${item.include ? 'checked' : ''}>
+      <div class="rename-names">
+        <span class="rename-original" title="${escapeHtml(relativePath(item.path))}">
+          ${escapeHtml(item.original)}
+        </span>
+        <input type="text" class="rename-input" data-index="${i}" 
+               value="${escapeHtml(item.suggested)}" spellcheck="false">
+        <span class="rename-reason">${escapeHtml(item.reason)}</span>
+        <span class="rename-error"></span>
+      </div>
+    </div>
+  `).join('');
+  
+  document.getElementById('file-preview').innerHTML = `
+    <div class="rename-review">
+      <div class="plan-toolbar">
+        <span class="plan-summary" id="rename-summary"></span>
+        <button class="secondary-button" id="rename-cancel">Close</button>
+        <button class="primary-button" id="rename-apply">Rename</button>
+      </div>
+      <div class="rename-list">${rowsHtml}</div>
+    </div>
+  `;
+  
+  document.getElementById('file-details').innerHTML = `
+    <div class="detail-row">
+      <span class="detail-label">Edit a suggestion to change it.</span>
+      <span class="detail-value">Unchecked files keep their names.</span>
+    </div>
+  `;
+  
+  document.querySelectorAll('.rename-include').forEach(checkbox => {
+    checkbox.addEventListener('change', async () => {
+      const index = parseInt(checkbox.dataset.index, 10);
+      review.items[index].include = checkbox.checked;
+      checkbox.closest('.rename-row').classList.toggle('excluded', !checkbox.checked);
+      await checkRenameReview();
+      updateRenameReviewStatus();
+    });
+  });
+  document.querySelectorAll('.rename-input').forEach(input => {
+    input.addEventListener('input', () => {
+      review.items[parseInt(input.dataset.index, 10)].suggested = input.value.trim();
+      // Check once typing pauses
+      clearTimeout(review.checkTimer);
+      review.checkTimer = setTimeout(async () => {
+        await checkRenameReview();
+        updateRenameReviewStatus();
+      }, 250);
+    });
+  });
+  document.getElementById('rename-cancel').addEventListener('click', () => {
+    clearTimeout(review.checkTimer);
+    renameReview = null;
+    resetPreviewPanel();
+  });
+  document.getElementById('rename-apply').addEventListener('click', applyRenames);
+  
+  updateRenameReviewStatus();
+}
+
+// Show each row's problem and the count on the Rename button, leaving the
+// inputs alone so editing keeps its focus
+function updateRenameReviewStatus() {
+  const review = renameReview;
+  if (!review || !document.querySelector('.rename-review')) return;
+  
+  review.items.forEach((item, i) => {
+    const row = document.querySelector(`.rename-row[data-index="${i}"]`);
+    row.classList.toggle('invalid', Boolean(item.error));
+    row.querySelector('.rename-error').textContent = item.error || '';
+  });
+  
+  const changed = getChangedRenames();
+  const ready = changed.filter(item => !item.error).length;
+  const problems = changed.length - ready;
+  document.getElementById('rename-summary').textContent = 
+    `${ready} of ${review.items.length} files will be renamed` + 
+    (problems ? ` · ${problems} need attention` : '');
+  
+  const apply = document.getElementById('rename-apply');
+  apply.disabled = ready === 0;
+  apply.textContent = `Rename ${ready} files`;
+}
+
+// Batch operations for checked renames ({ path, newPath }). Files whose 
+// name another rename takes move to a temporary name first, so swaps and 
+// chains (a → b, b → c) run in one batch.
+function buildRenameOperations(renames) {
+  const sources = new Set(renames.map(rename => rename.path.toLowerCase()));
+  const vacated = new Set(renames
+    .filter(rename => rename.newPath.toLowerCase() !== rename.path.toLowerCase())
+    .map(rename => rename.newPath.toLowerCase())
+    .filter(key => sources.has(key)));
+  
+  const parked = [];
+  const operations = renames.map(rename => {
+    let oldPath = rename.path;
+    if (vacated.has(oldPath.toLowerCase())) {
+      const tempPath = 
+        `${oldPath}.${Math.random().toString(36).slice(2, 10)}.sortmagic-rename`;
+      parked.push({ type: 'rename', oldPath: oldPath, newPath: tempPath });
+      oldPath = tempPath;
+    }
+    return { type: 'rename', oldPath: oldPath, newPath: rename.newPath };
+  });
+  
+  return [...parked, ...operations];
+}
+
+// Run the checked renames that passed the check as one undoable batch
+async function applyRenames() {
+  clearTimeout(renameReview.checkTimer);
+  
+  // Names may have changed since the last check finished
+  await checkRenameReview();
+  const ready = getChangedRenames().filter(item => !item.error);
+  if (ready.length === 0) {
+    updateRenameReviewStatus();
+    return;
+  }
+  
+  const operations = buildRenameOperations(ready);
+  
+  try {
+    const result = await window.electronAPI.batchOperations(operations, {
+      label: `Rename files in ${currentDirectory}`,
+      collisionPolicy: 'skip'
+    });
+    
+    renameReview = null;
+    resetPreviewPanel();
+    addChatMessage(formatBatchResult(result), 'assistant');
+    
+    if (result.successful > 0) {
+      await loadDirectory(currentDirectory);
+    }
+  } catch (error) {
+    addChatMessage(`Error renaming files: ${error.message}`, 'assistant');
+  }
+}
+
+// Files the bulk renamer works on: the selected files, or else the files
+// listed in the tree, so a search narrows them down
+function getBulkRenameFiles() {
+  const files = selectedPaths.size > 0 ? getSelectedFiles() : displayedFiles;
+  return files.filter(file => !file.isDirectory);
+}
+
+// Open the template renamer over the listed files
+async function showBulkRename() {
+  const files = getBulkRenameFiles();
+  if (files.length === 0) {
+    addChatMessage("There are no files listed to rename. Select a folder " +
+                   "or clear the search first.", 'assistant');
+    return;
+  }
+  if (!confirmLeavePreview()) return;
   
-  // Escape HTML to prevent XSS attacks
-  const escapedContent = escapeHtml(content);
+  bulkRename = {
+    files: files,
+    options: {
+      template: '{name}{ext}',
+      find: '',
+      replace: '',
+      regex: false,
+      ignoreCase: false,
+      caseMode: '',
+      transliterate: false,
+      counterStart: 1
+    },
+    results: [],
+    error: null,
+    timer: null
+  };
+  renderBulkRename();
+  await refreshBulkRename();
+}
+
+function renderBulkRename() {
+  const options = bulkRename.options;
   
-  messageDiv.innerHTML = `
-    <div class="message-avatar">${type === 'user' ? '👤' : '🤖'}</div>
-    <div class="message-content">
-      <p>${escapedContent.replace(/\n/g, '<br>')}</p>
+  document.getElementById('current-file-name').textContent = 
+    `Bulk rename (${bulkRename.files.length} files)`;
+  
+  document.getElementById('file-preview').innerHTML = `
+    <div class="bulk-rename">
+      <div class="bulk-rename-form">
+        <label class="bulk-rename-field bulk-rename-template">
+          <span>Name</span>
+          <input type="text" id="bulk-template" spellcheck="false"
+                 value="${escapeHtml(options.template)}">
+        </label>
+        <label class="bulk-rename-field">
+          <span>Find</span>
+          <input type="text" id="bulk-find" spellcheck="false"
+                 value="${escapeHtml(options.find)}">
+        </label>
+        <label class="bulk-rename-field">
+          <span>Replace</span>
+          <input type="text" id="bulk-replace" spellcheck="false"
+                 value="${escapeHtml(options.replace)}">
+        </label>
+        <div class="bulk-rename-options">
+          <label><input type="checkbox" id="bulk-regex"
+                        ${options.regex ? 'checked' : ''}> Regex</label>
+          <label><input type="checkbox" id="bulk-ignore-case"
+                        ${options.ignoreCase ? 'checked' : ''}> Ignore case</label>
+          <label>Case
+            <select id="bulk-case">
+              <option value="">unchanged</option>
+              <option value="lower">lower case</option>
+              <option value="upper">UPPER CASE</option>
+              <option value="title">Title Case</option>
+              <option value="sentence">Sentence case</option>
+            </select>
+          </label>
+          <label><input type="checkbox" id="bulk-transliterate"
+                        ${options.transliterate ? 'checked' : ''}> ASCII only</label>
+          <label>Counter from
+            <input type="number" id="bulk-counter-start" min="0"
+                   value="${options.counterStart}">
+          </label>
+        </div>
+        <p class="hint">
+          Tokens: {name} {ext} {parent} {counter:3} {date:YYYY-MM-DD} 
+          {exif.date:YYYY-MM-DD}. Find and replace run on the new name; 
+          with Regex, use $1 for groups.
+        </p>
+      </div>
+      <div class="plan-toolbar">
+        <span class="plan-summary" id="bulk-summary"></span>
+        <button class="secondary-button" id="bulk-cancel">Close</button>
+        <button class="primary-button" id="bulk-apply" disabled>Rename</button>
+      </div>
+      <div class="bulk-rename-table" id="bulk-table"></div>
     </div>
   `;
+  document.getElementById('file-details').innerHTML = '';
+  document.getElementById('bulk-case').value = options.caseMode;
   
-  messagesContainer.appendChild(messageDiv);
-  messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  const fields = {
+    'bulk-template': ['template', input => input.value],
+    'bulk-find': ['find', input => input.value],
+    'bulk-replace': ['replace', input => input.value],
+    'bulk-regex': ['regex', input => input.checked],
+    'bulk-ignore-case': ['ignoreCase', input => input.checked],
+    'bulk-case': ['caseMode', input => input.value],
+    'bulk-transliterate': ['transliterate', input => input.checked],
+    'bulk-counter-start': ['counterStart', input => parseInt(input.value, 10) || 0]
+  };
+  Object.entries(fields).forEach(([id, [option, read]]) => {
+    const input = document.getElementById(id);
+    const event = input.type === 'checkbox' || input.tagName === 'SELECT' ? 
+                  'change' : 'input';
+    input.addEventListener(event, () => {
+      options[option] = read(input);
+      // Preview once typing pauses
+      clearTimeout(bulkRename.timer);
+      bulkRename.timer = setTimeout(refreshBulkRename, 200);
+    });
+  });
+  
+  document.getElementById('bulk-cancel').addEventListener('click', () => {
+    clearTimeout(bulkRename.timer);
+    bulkRename = null;
+    resetPreviewPanel();
+  });
+  document.getElementById('bulk-apply').addEventListener('click', applyBulkRename);
 }
 
-// Process AI commands
-async function processAICommand(command) {
-  if (!currentFiles.length) {
-    addChatMessage("Please select a folder first to organize files.", 
-                   'assistant');
+// Compute the new names in the main process and show them
+async function refreshBulkRename() {
+  const state = bulkRename;
+  const result = await window.electronAPI.previewBulkRename(state.files, state.options);
+  if (state !== bulkRename) return;
+  
+  state.results = result.success ? result.results : [];
+  state.error = result.success ? null : result.error;
+  renderBulkRenameTable();
+}
+
+// Renames the preview found nothing wrong with
+function getReadyBulkRenames() {
+  return bulkRename.results.filter(result => result.changed && !result.error);
+}
+
+function renderBulkRenameTable() {
+  const state = bulkRename;
+  const table = document.getElementById('bulk-table');
+  if (!table) return;
+  
+  const ready = getReadyBulkRenames();
+  const problems = state.results.filter(result => result.changed && result.error);
+  const apply = document.getElementById('bulk-apply');
+  apply.disabled = ready.length === 0;
+  apply.textContent = `Rename ${ready.length} files`;
+  
+  if (state.error) {
+    document.getElementById('bulk-summary').textContent = state.error;
+    table.innerHTML = '';
     return;
   }
+  document.getElementById('bulk-summary').textContent = 
+    `${ready.length} of ${state.results.length} files will be renamed` + 
+    (problems.length ? ` · ${problems.length} need attention` : '');
   
-  const lowerCommand = command.toLowerCase();
+  table.innerHTML = `
+    <div class="bulk-rename-row bulk-rename-header">
+      <span>Before</span><span>After</span>
+    </div>
+    ${state.results.map(result => `
+      <div class="bulk-rename-row ${result.changed ? '' : 'unchanged'} 
+                  ${result.error ? 'invalid' : ''}"
+           title="${escapeHtml(result.error || relativePath(result.path))}">
+        <span>${escapeHtml(result.original)}</span>
+        <span>${escapeHtml(result.name)}
+          ${result.error ? `<em>${escapeHtml(result.error)}</em>` : ''}
+        </span>
+      </div>
+    `).join('')}
+  `;
+}
+
+// Run the renames as one undoable batch
+async function applyBulkRename() {
+  clearTimeout(bulkRename.timer);
   
-  // Check if user wants to execute pending organization
-  if ((lowerCommand === 'yes' || lowerCommand === 'execute' || 
-       lowerCommand === 'y') && window.pendingOrganization) {
-    await executeOrganization(window.pendingOrganization);
-    window.pendingOrganization = null;
-    return;
+  // Options may have changed since the last preview finished
+  await refreshBulkRename();
+  const operations = buildRenameOperations(getReadyBulkRenames());
+  if (operations.length === 0) return;
+  
+  try {
+    const result = await window.electronAPI.batchOperations(operations, {
+      label: `Bulk rename in ${currentDirectory}`,
+      collisionPolicy: 'skip'
+    });
+    
+    bulkRename = null;
+    resetPreviewPanel();
+    addChatMessage(formatBatchResult(result), 'assistant');
+    
+    if (result.successful > 0) {
+      await loadDirectory(currentDirectory);
+    }
+  } catch (error) {
+    addChatMessage(`Error renaming files: ${error.message}`, 'assistant');
+  }
+}
+
+// Find large files
+function findLargeFiles() {
+  // Include subfolders once the recursive scan has found anything
+  const files = treeFiles.length ? treeFiles : currentFiles;
+  const largeFiles = files
+    .filter(f => !f.isDirectory)
+    .sort((a, b) => b.size - a.size)
+    .slice(0, 10);
+  
+  let message = "Top 10 largest files:\n\n";
+  largeFiles.forEach((file, i) => {
+    message += `${i + 1}. ${relativePath(file.path)} - ` +
+               `${formatFileSize(file.size)}\n`;
+  });
+  
+  addChatMessage(message, 'assistant');
+}
+
+// Helper function for path joining (since we can't use Node.js path in renderer)
+function joinPath(...parts) {
+  const filtered = parts.filter(p => p && p !== '.');
+  if (filtered.length === 0) return '';
+  
+  // Determine separator based on first path
+  const firstPath = filtered[0];
+  const separator = firstPath.includes('\\') ? '\\' : '/';
+  
+  let result = filtered[0];
+  for (let i = 1; i < filtered.length; i++) {
+    const part = filtered[i];
+    // Remove leading separator from part
+    const cleanPart = part.replace(/^[\\\/]+/, '');
+    if (!result.endsWith(separator) && result !== '') {
+      result += separator;
+    }
+    result += cleanPart;
   }
   
-  // Check for direct file operation commands
-  if (await handleDirectFileOperation(command)) {
+  // Normalize separators
+  return result.replace(/[\\\/]+/g, separator);
+}
+
+function basename(filePath) {
+  return filePath.split(/[\\\/]/).pop();
+}
+
+function dirname(filePath) {
+  if (!filePath) return '';
+  const separator = filePath.includes('\\') ? '\\' : '/';
+  const parts = filePath.split(separator);
+  parts.pop();
+  return parts.join(separator) || separator;
+}
+
+// Turn an organization plan into batch operations
+function buildOrganizationOperations(organized) {
+  // Plans that already spell out their operations (rules) are used as-is
+  if (Array.isArray(organized.operations)) {
+    return organized.operations;
+  }
+  
+  const operations = [];
+  const basePath = currentDirectory;
+  
+  // Category (or project) name -> file records
+  for (const [category, files] of Object.entries(organized)) {
+    if (!Array.isArray(files) || files.length === 0) continue;
+    
+    // Create folder for category
+    const categoryFolder = joinPath(basePath, category);
+    operations.push({
+      type: 'create-folder',
+      path: categoryFolder
+    });
+    
+    // Move files to category folder
+    files.forEach(file => {
+      if (file.path && file.name) {
+        const destination = joinPath(categoryFolder, file.name);
+        if (file.path !== destination) {
+          operations.push({
+            type: 'move',
+            source: file.path,
+            destination: destination
+          });
+        }
+      }
+    });
+  }
+  
+  return operations;
+}
+
+// Execute organization plan from AI suggestions
+async function executeOrganization(organized) {
+  if (!currentDirectory) {
+    addChatMessage("Error: No directory selected.", 'assistant');
     return;
   }
   
-  if (!window.electronAPI?.suggestOrganization) {
-    // Fallback to basic commands without AI
-    await processBasicCommand(command);
+  // Only run what was left enabled in the preview, if one is open
+  const operations = planPreview ? getEnabledPlanOperations() :
+                     buildOrganizationOperations(organized);
+  const collisionPolicy = planPreview ? planPreview.collisionPolicy : 
+                          DEFAULT_PLAN_COLLISION_POLICY;
+  closePlanPreview();
+  
+  if (operations.length === 0) {
+    addChatMessage("No operations to perform.", 'assistant');
     return;
   }
   
-  // Try AI-powered organization first
-  if (lowerCommand.includes('organize') && lowerCommand.includes('project')) {
-    await organizeByProject();
-  } else if (lowerCommand.includes('organize')) {
-    // Use AI for organization suggestions
-    try {
-      const organized = await window.electronAPI.suggestOrganization(
-        currentFiles, 
-        command
-      );
-      
-      let message = "Here's my suggested organization:\n\n";
-      for (const [category, files] of Object.entries(organized)) {
-        message += `• ${category}: ${files.length} files\n`;
-      }
-      message += "\n\nWould you like me to execute this organization? " +
-                 "Reply 'yes' or 'execute' to proceed.";
-      addChatMessage(message, 'assistant');
-      
-      // Store the organization plan for execution
-      window.pendingOrganization = organized;
-    } catch (error) {
-      console.error('AI organization error:', error);
-      // Fallback to basic organization
-      await processBasicCommand(command);
+  addChatMessage("Executing organization... This may take a moment.", 
+                 'assistant');
+  
+  try {
+    // Execute batch operations
+    const result = await window.electronAPI.batchOperations(operations, {
+      label: `Organize ${currentDirectory}`,
+      collisionPolicy: collisionPolicy
+    });
+    
+    addChatMessage(formatBatchResult(result), 'assistant');
+    
+    // Reload directory to show changes
+    if (result.successful > 0) {
+      await loadDirectory(currentDirectory);
     }
-  } else if (lowerCommand.includes('duplicate')) {
-    findDuplicates();
-  } else if (lowerCommand.includes('large') || lowerCommand.includes('biggest')) {
-    findLargeFiles();
-  } else {
-    // Use AI for general queries
-    try {
-      const organized = await window.electronAPI.suggestOrganization(
-        currentFiles, 
-        command
-      );
-      let message = "Based on your request, here's my suggestion:\n\n";
-      for (const [category, files] of Object.entries(organized)) {
-        message += `• ${category}: ${files.length} files\n`;
+  } catch (error) {
+    addChatMessage(`Error executing organization: ${error.message}`, 
+                   'assistant');
+  }
+}
+
+// Summarize a batch-operations result for the chat panel
+function formatBatchResult(result) {
+  let message = `Completed: ${result.successful} successful, ` +
+                (result.skipped ? `${result.skipped} skipped, ` : '') +
+                `${result.failed} failed out of ${result.total} operations.\n\n`;
+  
+  // Which collision policy fired for each file that hit an existing one
+  const collisions = result.results.filter(r => r.collision);
+  if (collisions.length > 0) {
+    message += "Existing files:\n";
+    collisions.forEach(r => {
+      const name = basename(r.operation.destination || r.operation.newPath || '');
+      message += `• ${name}: ${describeCollision(r.collision)}\n`;
+    });
+    message += "\n";
+  }
+  
+  if (result.batchId) {
+    message += `Saved as batch ${result.batchId}. Type 'undo' to roll ` +
+               `it back.\n\n`;
+  }
+  
+  if (result.failed > 0) {
+    message += "Errors:\n";
+    result.results.forEach(r => {
+      if (!r.success) {
+        message += `• ${r.operation.type}: ${r.error}\n`;
       }
-      message += "\n\nReply 'yes' to execute, or give me more specific " +
-                 "instructions.";
-      addChatMessage(message, 'assistant');
-      window.pendingOrganization = organized;
-    } catch (error) {
-      const helpMsg = "I can help you organize files by type, date, or " +
-                      "project, find duplicates, or identify large files. " +
-                      "What would you like to do?";
-      addChatMessage(helpMsg, 'assistant');
-    }
+    });
   }
+  
+  return message;
 }
 
-// Fallback to basic commands without AI
-async function processBasicCommand(command) {
-  const lowerCommand = command.toLowerCase();
+// One-line description of what a collision policy did to a file
+function describeCollision(collision) {
+  const policy = COLLISION_POLICY_LABELS[collision.policy] || collision.policy;
+  switch (collision.action) {
+    case 'renamed':
+      return `saved as "${basename(collision.destination)}" (${policy})`;
+    case 'overwritten':
+      return `overwritten (${policy})`;
+    case 'kept-existing':
+      return `existing file is newer, left in place (${policy})`;
+    case 'skipped':
+      return `skipped (${policy})`;
+    default:
+      return `${collision.action} (${policy})`;
+  }
+}
+
+// Store a proposed plan and show its dry-run preview
+async function proposeOrganization(organized) {
+  if (!confirmLeavePreview()) {
+    addChatMessage("I didn't open the plan, to keep your unsaved edits. " +
+                   "Save or close the file, then ask again.", 'assistant');
+    return;
+  }
+  window.pendingOrganization = organized;
+  await showPlanPreview(organized);
+}
+
+// Validate the plan's operations in the main process and open the preview
+async function showPlanPreview(organized) {
+  const operations = buildOrganizationOperations(organized);
+  if (operations.length === 0) {
+    closePlanPreview();
+    return;
+  }
   
-  if (lowerCommand.includes('organize') && lowerCommand.includes('type')) {
-    await organizeByType();
-  } else if (lowerCommand.includes('organize') && lowerCommand.includes('date')) {
-    await organizeByDate();
-  } else if (lowerCommand.includes('duplicate')) {
-    findDuplicates();
-  } else if (lowerCommand.includes('large') || lowerCommand.includes('biggest')) {
-    findLargeFiles();
-  } else {
-    addChatMessage("I can help you organize files by type, date, find " +
-                   "duplicates, or identify large files. What would you like to do?", 
+  planPreview = {
+    collisionPolicy: DEFAULT_PLAN_COLLISION_POLICY,
+    items: operations.map(operation => ({
+      operation: operation,
+      valid: true,
+      error: null,
+      warnings: [],
+      collision: null,
+      enabled: true
+    }))
+  };
+  
+  const validation = await validatePlan();
+  if (validation && validation.failed > 0) {
+    addChatMessage(`${validation.failed} of ${validation.total} operations ` +
+                   `failed validation and were unchecked in the preview.`, 
                    'assistant');
   }
+  
+  renderPlanPreview();
 }
 
-// Handle quick actions
-function handleQuickAction(action) {
-  switch(action) {
-    case 'organize-by-type':
-      organizeByType();
-      break;
-    case 'organize-by-date':
-      organizeByDate();
-      break;
-    case 'organize-by-project':
-      organizeByProject();
-      break;
-    case 'find-duplicates':
-      findDuplicates();
-      break;
+// Dry-run the plan with its collision policy and update each item's status.
+// Items that become invalid are unchecked; the user's other choices stay.
+async function validatePlan() {
+  const operations = planPreview.items.map(item => item.operation);
+  
+  let validation = null;
+  try {
+    validation = await window.electronAPI.batchOperations(operations, {
+      dryRun: true,
+      collisionPolicy: planPreview.collisionPolicy
+    });
+  } catch (error) {
+    console.error('Error validating plan:', error);
+    return null;
   }
+  
+  planPreview.items.forEach((item, i) => {
+    const check = validation.results[i];
+    if (item.valid && !check.success) {
+      item.enabled = false;
+    }
+    item.valid = check.success;
+    item.error = check.error;
+    item.warnings = check.warnings || [];
+    item.collision = check.collision;
+  });
+  
+  return validation;
 }
 
-// Organize files by type
-async function organizeByType() {
-  if (!window.electronAPI?.organizeFiles) {
-    console.error('organizeFiles not available');
-    return;
+// The move, rename or delete the plan makes to a file, if any
+function findPlanFileItem(filePath) {
+  return planPreview.items.find(item => {
+    const op = item.operation;
+    return (op.source || op.oldPath || (op.type === 'delete' && op.path)) === 
+           filePath;
+  });
+}
+
+// Plan items the user can switch on and off. Folders follow the files moved 
+// into them; tags follow their file's change, or have their own checkbox
+function isToggleableItem(item) {
+  const op = item.operation;
+  if (op.type === 'create-folder') return false;
+  return op.type !== 'tag' || !findPlanFileItem(op.path);
+}
+
+// Enabled operations, plus only the folders those operations need
+function getEnabledPlanOperations() {
+  if (!planPreview) return [];
+  
+  const enabled = planPreview.items.filter(item => 
+    item.enabled && isToggleableItem(item));
+  
+  return planPreview.items
+    .filter(item => {
+      if (item.operation.type === 'tag') {
+        const fileItem = findPlanFileItem(item.operation.path);
+        return fileItem ? item.valid && fileItem.enabled : item.enabled;
+      }
+      if (item.operation.type !== 'create-folder') return item.enabled;
+      return item.valid && enabled.some(e => 
+        e.operation.destination && 
+        dirname(e.operation.destination) === item.operation.path);
+    })
+    .map(item => item.operation);
+}
+
+function closePlanPreview() {
+  if (!planPreview) return;
+  planPreview = null;
+  
+  // Leave the panel alone if the user has since opened a file
+  if (document.querySelector('.plan-preview')) {
+    resetPreviewPanel();
+  }
+}
+
+// Put the center panel back into its "nothing selected" state
+function resetPreviewPanel() {
+  document.getElementById('current-file-name').textContent = 'No file selected';
+  document.getElementById('file-preview').innerHTML = `
+    <div class="empty-state">
+      <div class="file-icon">📄</div>
+      <p>Select a file to preview</p>
+    </div>
+  `;
+  document.getElementById('file-details').innerHTML = '';
+}
+
+// Path relative to the current directory, for display in the plan trees
+function relativePath(filePath) {
+  if (currentDirectory && filePath.startsWith(currentDirectory)) {
+    return filePath.slice(currentDirectory.length).replace(/^[\\\/]+/, '');
   }
+  return filePath;
+}
+
+// Render the current tree next to the proposed tree
+function renderPlanPreview() {
+  const items = planPreview.items;
+  const toggleable = items.filter(isToggleableItem);
+  const enabledCount = toggleable.filter(item => item.enabled).length;
+  
+  // Current tree: files as they are, marking those a plan item touches
+  const before = new Map();
+  getOrganizationFiles(true).forEach(file => {
+    before.set(relativePath(file.path), { isDirectory: file.isDirectory });
+  });
+  items.forEach((item, index) => {
+    if (item.operation.type === 'tag') {
+      const entry = before.get(relativePath(item.operation.path));
+      if (!entry) return;
+      
+      // Tags on their own get a checkbox here; others follow the file's row
+      const fileItem = findPlanFileItem(item.operation.path);
+      if (!fileItem) {
+        Object.assign(entry, {
+          tags: item.operation.tags,
+          index: index,
+          enabled: item.enabled,
+          valid: item.valid,
+          error: item.error || item.warnings.join('; '),
+          className: item.valid && item.enabled ? '' : 'plan-skipped'
+        });
+      } else if (item.valid && fileItem.enabled) {
+        entry.tags = item.operation.tags;
+      }
+      return;
+    }
+    
+    const source = item.operation.source || item.operation.oldPath || 
+                   (item.operation.type === 'delete' && item.operation.path);
+    const entry = source && before.get(relativePath(source));
+    if (entry && item.enabled) {
+      entry.className = item.operation.type === 'delete' ? 'plan-deleted' : 
+                        'plan-moved-out';
+    }
+  });
   
-  try {
-    const organized = await window.electronAPI.organizeFiles(currentFiles, 
-                                                              'by-type');
+  // Proposed tree: apply the enabled operations, keep disabled ones in place
+  const after = new Map();
+  before.forEach((entry, relPath) => {
+    after.set(relPath, { isDirectory: entry.isDirectory });
+  });
+  items.forEach((item, index) => {
+    const op = item.operation;
     
-    let message = "I've analyzed your files and found:\n\n";
-    for (const [ext, files] of Object.entries(organized)) {
-      message += `• ${ext}: ${files.length} files\n`;
+    if (op.type === 'create-folder') {
+      const relPath = relativePath(op.path);
+      if (!after.has(relPath)) {
+        after.set(relPath, { isDirectory: true, className: 'plan-new-folder' });
+      }
+      return;
     }
-    message += "\n\nReply 'yes' to execute this organization.";
     
-    addChatMessage(message, 'assistant');
-    window.pendingOrganization = organized;
-  } catch (error) {
-    console.error('Error organizing files:', error);
-    addChatMessage('Error: Failed to organize files. ' + error.message, 
-                   'assistant');
-  }
+    // Tags are shown on the file in the current tree
+    if (op.type === 'tag') return;
+    
+    const source = op.source || op.oldPath || op.path;
+    const destination = op.destination || op.newPath;
+    const entry = {
+      isDirectory: (before.get(relativePath(source)) || {}).isDirectory,
+      index: index,
+      enabled: item.enabled,
+      valid: item.valid,
+      error: item.error || item.warnings.join('; ')
+    };
+    const collision = item.collision;
+    
+    if (!item.valid) {
+      after.set(relativePath(source), { ...entry, className: 'plan-invalid' });
+    } else if (!item.enabled) {
+      after.set(relativePath(source), { ...entry, className: 'plan-skipped' });
+    } else if (collision && !collision.destination) {
+      // The collision policy will leave this file where it is
+      after.set(relativePath(source), { ...entry, className: 'plan-conflict' });
+    } else if (op.type === 'delete') {
+      after.delete(relativePath(source));
+    } else {
+      if (op.type !== 'copy') after.delete(relativePath(source));
+      const target = collision ? collision.destination : destination;
+      after.set(relativePath(target), { 
+        ...entry, 
+        className: collision ? 'plan-moved-in plan-conflict' : 'plan-moved-in' 
+      });
+    }
+  });
+  
+  document.getElementById('current-file-name').textContent = 
+    `Plan preview (${enabledCount} of ${toggleable.length} changes)`;
+  
+  document.getElementById('file-preview').innerHTML = `
+    <div class="plan-preview">
+      <div class="plan-toolbar">
+        <span class="plan-summary">
+          Uncheck any change you don't want, then apply.
+        </span>
+        <label class="plan-summary">If a file exists
+          <select id="plan-collision-policy">
+            ${Object.entries(COLLISION_POLICY_LABELS).map(([value, label]) => 
+              `<option value="${value}">${label}</option>`).join('')}
+          </select>
+        </label>
+        <button class="secondary-button" id="plan-cancel">Cancel</button>
+        <button class="primary-button" id="plan-apply" 
+                ${enabledCount === 0 ? 'disabled' : ''}>
+          Apply ${enabledCount} changes
+        </button>
+      </div>
+      <div class="plan-columns">
+        <div class="plan-column">
+          <div class="plan-column-title">Current</div>
+          ${renderPlanTree(before)}
+        </div>
+        <div class="plan-column">
+          <div class="plan-column-title">Proposed</div>
+          ${renderPlanTree(after)}
+        </div>
+      </div>
+    </div>
+  `;
+  
+  document.getElementById('file-details').innerHTML = `
+    <div class="detail-row">
+      <span class="detail-label">Changes selected:</span>
+      <span class="detail-value">${enabledCount} of ${toggleable.length}</span>
+    </div>
+    <div class="detail-row">
+      <span class="detail-label">Failed validation:</span>
+      <span class="detail-value">${items.filter(i => !i.valid).length}</span>
+    </div>
+    <div class="detail-row">
+      <span class="detail-label">Destinations that already exist:</span>
+      <span class="detail-value">${items.filter(i => i.collision).length}</span>
+    </div>
+  `;
+  
+  const policySelect = document.getElementById('plan-collision-policy');
+  policySelect.value = planPreview.collisionPolicy;
+  policySelect.addEventListener('change', async () => {
+    planPreview.collisionPolicy = policySelect.value;
+    await validatePlan();
+    renderPlanPreview();
+  });
+  
+  document.querySelectorAll('.plan-toggle').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      planPreview.items[parseInt(checkbox.dataset.index, 10)].enabled = 
+        checkbox.checked;
+      renderPlanPreview();
+    });
+  });
+  
+  document.getElementById('plan-apply').addEventListener('click', async () => {
+    const organized = window.pendingOrganization;
+    window.pendingOrganization = null;
+    await executeOrganization(organized);
+  });
+  
+  document.getElementById('plan-cancel').addEventListener('click', () => {
+    window.pendingOrganization = null;
+    closePlanPreview();
+    addChatMessage("Plan discarded.", 'assistant');
+  });
 }
 
-// Organize by date
-async function organizeByDate() {
-  const filesByMonth = {};
+// Render a map of relative path -> entry as an indented tree
+function renderPlanTree(entries) {
+  const root = { children: new Map() };
   
-  currentFiles.forEach(file => {
-    if (!file.isDirectory) {
-      const date = new Date(file.modified);
-      const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      
-      if (!filesByMonth[key]) {
-        filesByMonth[key] = [];
+  entries.forEach((entry, relPath) => {
+    const parts = relPath.split(/[\\\/]/).filter(Boolean);
+    let node = root;
+    parts.forEach((part, i) => {
+      if (!node.children.has(part)) {
+        node.children.set(part, { 
+          name: part, 
+          entry: { isDirectory: i < parts.length - 1 }, 
+          children: new Map() 
+        });
       }
-      filesByMonth[key].push(file);
-    }
+      node = node.children.get(part);
+    });
+    node.entry = entry;
   });
   
-  let message = "Files organized by month:\n\n";
-  for (const [month, files] of Object.entries(filesByMonth)) {
-    message += `• ${month}: ${files.length} files\n`;
-  }
-  message += "\n\nReply 'yes' to execute this organization.";
+  return renderPlanNodes(root, 0);
+}
+
+function renderPlanNodes(node, depth) {
+  const children = [...node.children.values()].sort((a, b) => {
+    const aDir = a.entry.isDirectory || a.children.size > 0;
+    const bDir = b.entry.isDirectory || b.children.size > 0;
+    if (aDir && !bDir) return -1;
+    if (!aDir && bDir) return 1;
+    return a.name.localeCompare(b.name);
+  });
   
-  addChatMessage(message, 'assistant');
-  window.pendingOrganization = filesByMonth;
+  return children.map(child => {
+    const entry = child.entry;
+    const isDirectory = entry.isDirectory || child.children.size > 0;
+    const dot = child.name.lastIndexOf('.');
+    const icon = getFileIcon({ 
+      isDirectory: isDirectory, 
+      extension: dot > 0 ? child.name.slice(dot) : null 
+    });
+    const toggle = entry.index !== undefined ? `
+      <input type="checkbox" class="plan-toggle" data-index="${entry.index}"
+             ${entry.enabled ? 'checked' : ''} ${entry.valid ? '' : 'disabled'}>
+    ` : '';
+    const title = entry.error ? `title="${escapeHtml(entry.error)}"` : '';
+    const tags = entry.tags ? `
+      <span class="plan-tags">${entry.tags.map(tag => 
+        '#' + escapeHtml(tag)).join(' ')}</span>
+    ` : '';
+    
+    return `
+      <div class="plan-item ${entry.className || ''}" ${title}
+           style="padding-left: ${8 + depth * 16}px">
+        ${toggle}
+        <span class="file-icon">${icon}</span>
+        <span class="file-name">${escapeHtml(child.name)}</span>
+        ${tags}
+      </div>
+      ${renderPlanNodes(child, depth + 1)}
+    `;
+  }).join('');
 }
 
-// Organize by project using AI
-async function organizeByProject() {
-  if (!window.electronAPI?.detectProjects) {
-    addChatMessage("AI features are not available. Please configure your " +
-                   "OpenAI API key in the .env file.", 'assistant');
+// Trash browser in the center panel
+async function showTrashPanel() {
+  if (!window.electronAPI?.listTrash) {
+    console.error('listTrash not available');
     return;
   }
+  if (!confirmLeavePreview()) return;
   
+  let items;
+  let settings;
   try {
-    addChatMessage("Analyzing files to detect projects...", 'assistant');
-    const projects = await window.electronAPI.detectProjects(currentFiles);
-    
-    if (Object.keys(projects).length === 0) {
-      addChatMessage("I couldn't detect clear project groupings. Try " +
-                     "organizing by type or date instead.", 'assistant');
+    [items, settings] = await Promise.all([
+      window.electronAPI.listTrash(),
+      window.electronAPI.getSettings()
+    ]);
+  } catch (error) {
+    addChatMessage('Error: Failed to open the trash. ' + error.message, 
+                   'assistant');
+    return;
+  }
+  
+  const purgeDays = settings.trash.autoPurgeDays;
+  const purgeOptions = [0, 7, 30, 90, 365];
+  if (!purgeOptions.includes(purgeDays)) purgeOptions.push(purgeDays);
+  
+  // Items other apps put in the system trash are left alone by Empty trash
+  const ownedItems = items.filter(item => item.ownedByApp);
+  
+  document.getElementById('current-file-name').textContent = 
+    `Trash (${items.length} items)`;
+  
+  const rows = items.map(item => `
+    <div class="trash-item" data-id="${escapeHtml(item.id)}">
+      <span class="file-icon">${getFileIcon({ 
+        isDirectory: item.isDirectory, 
+        extension: item.name.includes('.') ? 
+          item.name.slice(item.name.lastIndexOf('.')) : null 
+      })}</span>
+      <div class="trash-item-info">
+        <span class="file-name">${escapeHtml(item.name)}</span>
+        <span class="trash-item-origin">
+          ${escapeHtml(item.originalPath ? dirname(item.originalPath) : 'Unknown location')}
+        </span>
+      </div>
+      <span class="file-size">
+        ${item.deletedAt ? new Date(item.deletedAt).toLocaleString() : ''}
+      </span>
+      <button class="secondary-button trash-restore">Restore</button>
+      <button class="secondary-button trash-purge">Delete</button>
+    </div>
+  `).join('');
+  
+  document.getElementById('file-preview').innerHTML = `
+    <div class="trash-panel">
+      <div class="plan-toolbar">
+        <label class="plan-summary">Automatically delete items this app 
+          trashed after
+          <select id="trash-auto-purge">
+            ${purgeOptions.sort((a, b) => a - b).map(days => `
+              <option value="${days}">
+                ${days === 0 ? 'never' : days + ' days'}
+              </option>`).join('')}
+          </select>
+        </label>
+        <button class="secondary-button" id="trash-close">Close</button>
+        <button class="primary-button" id="trash-empty"
+                ${ownedItems.length === 0 ? 'disabled' : ''}>Empty trash</button>
+      </div>
+      <div class="trash-list">
+        ${rows || '<div class="empty-state"><p>The trash is empty</p></div>'}
+      </div>
+    </div>
+  `;
+  document.getElementById('file-details').innerHTML = '';
+  
+  const purgeSelect = document.getElementById('trash-auto-purge');
+  purgeSelect.value = String(purgeDays);
+  purgeSelect.addEventListener('change', async () => {
+    await window.electronAPI.updateSettings({ 
+      trash: { autoPurgeDays: parseInt(purgeSelect.value, 10) } 
+    });
+    await showTrashPanel();
+  });
+  
+  document.getElementById('trash-close').addEventListener('click', 
+                                                          resetPreviewPanel);
+  
+  document.getElementById('trash-empty').addEventListener('click', async () => {
+    const otherCount = items.length - ownedItems.length;
+    const message = 
+      `Permanently delete the ${ownedItems.length} items this app moved to the trash?` + 
+      (otherCount > 0 ? 
+        `\n\n${otherCount} items trashed by other apps will be kept.` : '');
+    if (!confirm(message)) {
       return;
     }
+    await purgeTrashItems(ownedItems.map(item => item.id));
+  });
+  
+  document.querySelectorAll('.trash-item').forEach(row => {
+    const item = items.find(i => i.id === row.dataset.id);
     
-    let message = "I've detected the following projects:\n\n";
-    for (const [project, files] of Object.entries(projects)) {
-      message += `• ${project}: ${Array.isArray(files) ? files.length : 'various'} files\n`;
-    }
-    message += "\n\nReply 'yes' to execute this organization.";
+    row.querySelector('.trash-restore').addEventListener('click', async () => {
+      const result = await window.electronAPI.restoreFromTrash(item.id);
+      if (result.success) {
+        addChatMessage(`Restored "${item.name}" to ${result.restoredTo}.`, 
+                       'assistant');
+        if (currentDirectory) {
+          await loadDirectory(currentDirectory);
+        }
+      } else {
+        addChatMessage(`Error restoring "${item.name}": ${result.error}`, 
+                       'assistant');
+      }
+      await showTrashPanel();
+    });
     
-    addChatMessage(message, 'assistant');
-    window.pendingOrganization = { projects: projects, files: currentFiles };
-  } catch (error) {
-    console.error('Error detecting projects:', error);
-    addChatMessage("I had trouble detecting projects. You can try organizing " +
-                   "by type or date instead.", 'assistant');
-  }
+    row.querySelector('.trash-purge').addEventListener('click', async () => {
+      if (!confirm(`Permanently delete "${item.name}"? This cannot be undone.`)) {
+        return;
+      }
+      await purgeTrashItems([item.id]);
+    });
+  });
 }
 
-// Find duplicate files
-function findDuplicates() {
-  const sizeMap = {};
-  const duplicates = [];
+// AI provider settings in the center panel: which server to talk to and
+// which model each task uses
+async function showSettingsPanel() {
+  if (!confirmLeavePreview()) return;
   
-  currentFiles.forEach(file => {
-    if (!file.isDirectory) {
-      if (!sizeMap[file.size]) {
-        sizeMap[file.size] = [];
-      }
-      sizeMap[file.size].push(file);
+  const [settings, providers] = await Promise.all([
+    window.electronAPI.getSettings(),
+    window.electronAPI.listAiProviders()
+  ]);
+  const ai = settings.ai;
+  
+  document.getElementById('current-file-name').textContent = 'Settings';
+  document.getElementById('file-preview').innerHTML = `
+    <div class="trash-panel settings-panel">
+      <div class="plan-toolbar">
+        <span class="plan-summary" id="settings-status"></span>
+        <button class="secondary-button" id="settings-close">Close</button>
+        <button class="primary-button" id="settings-save">Save</button>
+      </div>
+      <div class="settings-form">
+        <div class="plan-column-title">AI provider</div>
+        <label class="settings-row">
+          <span>Provider</span>
+          <select id="ai-provider">
+            ${Object.entries(providers).map(([value, provider]) => `
+              <option value="${value}">${provider.label}</option>`).join('')}
+          </select>
+        </label>
+        <label class="settings-row">
+          <span>Server URL</span>
+          <input type="text" id="ai-base-url" value="${escapeHtml(ai.baseURL)}">
+        </label>
+        <label class="settings-row" id="ai-api-key-row">
+          <span>API key</span>
+          <input type="password" id="ai-api-key" value="${escapeHtml(ai.apiKey)}"
+                 placeholder="Uses OPENAI_API_KEY from .env when empty">
+        </label>
+        <p class="hint" id="ai-privacy"></p>
+        
+        <div class="plan-column-title">Models</div>
+        ${Object.entries(AI_TASK_LABELS).map(([task, label]) => `
+          <label class="settings-row">
+            <span>${label}</span>
+            <input type="text" class="ai-model" data-task="${task}" 
+                   list="ai-model-list" value="${escapeHtml(ai.models[task] || '')}">
+          </label>`).join('')}
+        <datalist id="ai-model-list"></datalist>
+        <div class="settings-row">
+          <span></span>
+          <button class="secondary-button" id="ai-load-models">
+            Test connection and list models
+          </button>
+        </div>
+        
+        <div class="plan-column-title">File contents</div>
+        <label class="settings-row">
+          <span>Send text excerpts</span>
+          <input type="checkbox" id="ai-content-enabled" 
+                 ${ai.content.enabled ? 'checked' : ''}>
+        </label>
+        <p class="hint">
+          Lets the AI read the start of text, Markdown, code, PDF, DOCX and ODT 
+          files when organizing and detecting projects.
+        </p>
+        <label class="settings-row">
+          <span>Characters per file</span>
+          <input type="number" id="ai-content-chars" min="100" max="10000" 
+                 step="100" value="${ai.content.excerptChars}">
+        </label>
+        <label class="settings-row">
+          <span>Never read</span>
+          <textarea id="ai-content-exclude" rows="4" 
+                    placeholder="One pattern per line, e.g. *.key or taxes/**">${escapeHtml(ai.content.exclude.join('\n'))}</textarea>
+        </label>
+        <p class="hint">
+          Files matching these patterns are organized by name only; their 
+          content is never read or sent.
+        </p>
+      </div>
+    </div>
+  `;
+  document.getElementById('file-details').innerHTML = '';
+  
+  const providerSelect = document.getElementById('ai-provider');
+  const status = document.getElementById('settings-status');
+  providerSelect.value = ai.provider;
+  
+  // Placeholders and hints follow the selected provider
+  function updateProviderFields(previous) {
+    const provider = providers[providerSelect.value];
+    document.getElementById('ai-base-url').placeholder = provider.baseURL;
+    document.getElementById('ai-api-key-row').hidden = 
+      providerSelect.value === 'ollama';
+    document.getElementById('ai-privacy').textContent = provider.local ?
+      'Requests go to a server you run; file names stay on your network.' :
+      'File names and details (and excerpts, if turned on below) are sent to this API.';
+    
+    // Swap in the new provider's default model where the old default was
+    if (previous) {
+      document.querySelectorAll('.ai-model').forEach(input => {
+        const task = input.dataset.task;
+        if (!input.value || input.value === defaultTaskModel(previous, task)) {
+          input.value = defaultTaskModel(providerSelect.value, task);
+        }
+      });
     }
-  });
+  }
   
-  for (const [size, files] of Object.entries(sizeMap)) {
-    if (files.length > 1) {
-      duplicates.push(files);
+  function defaultTaskModel(name, task) {
+    const provider = providers[name];
+    if (provider.taskModels && provider.taskModels[task]) {
+      return provider.taskModels[task];
     }
+    return task === 'embeddings' ? provider.embeddingModel : provider.defaultModel;
   }
   
-  if (duplicates.length > 0) {
-    let message = `Found ${duplicates.length} groups of potential duplicates:\n\n`;
-    duplicates.forEach((group, i) => {
-      message += `Group ${i + 1} (${formatFileSize(group[0].size)}):\n`;
-      group.forEach(file => {
-        message += `  • ${file.name}\n`;
-      });
+  function readForm() {
+    const models = {};
+    document.querySelectorAll('.ai-model').forEach(input => {
+      models[input.dataset.task] = input.value.trim();
     });
-    addChatMessage(message, 'assistant');
-  } else {
-    addChatMessage("No duplicate files found based on file size.", 'assistant');
+    return {
+      provider: providerSelect.value,
+      baseURL: document.getElementById('ai-base-url').value.trim(),
+      apiKey: document.getElementById('ai-api-key').value.trim(),
+      models: models,
+      content: {
+        enabled: document.getElementById('ai-content-enabled').checked,
+        excerptChars: Math.max(100, 
+          parseInt(document.getElementById('ai-content-chars').value, 10) || 1000),
+        exclude: document.getElementById('ai-content-exclude').value
+          .split('\n').map(line => line.trim()).filter(Boolean)
+      }
+    };
   }
-}
-
-// Find large files
-function findLargeFiles() {
-  const largeFiles = currentFiles
-    .filter(f => !f.isDirectory)
-    .sort((a, b) => b.size - a.size)
-    .slice(0, 10);
   
-  let message = "Top 10 largest files:\n\n";
-  largeFiles.forEach((file, i) => {
-    message += `${i + 1}. ${file.name} - ${formatFileSize(file.size)}\n`;
+  updateProviderFields(null);
+  let previousProvider = providerSelect.value;
+  providerSelect.addEventListener('change', () => {
+    updateProviderFields(previousProvider);
+    previousProvider = providerSelect.value;
   });
   
-  addChatMessage(message, 'assistant');
+  document.getElementById('ai-load-models').addEventListener('click', async () => {
+    status.textContent = 'Connecting...';
+    const result = await window.electronAPI.listAiModels(readForm());
+    if (result.success) {
+      document.getElementById('ai-model-list').innerHTML = result.models
+        .map(model => `<option value="${escapeHtml(model)}">`).join('');
+      status.textContent = `Connected: ${result.models.length} models available.`;
+    } else {
+      status.textContent = `Connection failed: ${result.error}`;
+    }
+  });
+  
+  document.getElementById('settings-save').addEventListener('click', async () => {
+    const result = await window.electronAPI.updateSettings({ ai: readForm() });
+    status.textContent = result.success ? 'Settings saved.' : 
+                         `Error saving settings: ${result.error}`;
+  });
+  
+  document.getElementById('settings-close').addEventListener('click', 
+                                                             resetPreviewPanel);
 }
 
-// Helper function for path joining (since we can't use Node.js path in renderer)
-function joinPath(...parts) {
-  const filtered = parts.filter(p => p && p !== '.');
-  if (filtered.length === 0) return '';
+// Watched folders and their activity feed in the center panel
+async function showWatchPanel() {
+  if (!window.electronAPI?.listWatchedFolders) {
+    console.error('listWatchedFolders not available');
+    return;
+  }
+  if (!confirmLeavePreview()) return;
   
-  // Determine separator based on first path
-  const firstPath = filtered[0];
-  const separator = firstPath.includes('\\') ? '\\' : '/';
+  const { folders, strategies, activity } = 
+    await window.electronAPI.listWatchedFolders();
+  const canWatchCurrent = currentDirectory && 
+    !folders.some(folder => folder.path === currentDirectory);
   
-  let result = filtered[0];
-  for (let i = 1; i < filtered.length; i++) {
-    const part = filtered[i];
-    // Remove leading separator from part
-    const cleanPart = part.replace(/^[\\\/]+/, '');
-    if (!result.endsWith(separator) && result !== '') {
-      result += separator;
-    }
-    result += cleanPart;
+  document.getElementById('current-file-name').textContent = 
+    `Watched folders (${folders.length})`;
+  
+  const rows = folders.map(folder => `
+    <div class="trash-item" data-path="${escapeHtml(folder.path)}">
+      <span class="file-icon">${folder.paused ? '⏸️' : '👁️'}</span>
+      <div class="trash-item-info">
+        <span class="file-name">${escapeHtml(basename(folder.path))}</span>
+        <span class="trash-item-origin">${escapeHtml(folder.path)}</span>
+      </div>
+      <select class="watch-strategy">
+        ${strategies.map(strategy => `
+          <option value="${strategy}" 
+                  ${strategy === folder.strategy ? 'selected' : ''}>
+            ${WATCH_STRATEGY_LABELS[strategy] || strategy}
+          </option>`).join('')}
+      </select>
+      <button class="secondary-button watch-pause">
+        ${folder.paused ? 'Resume' : 'Pause'}
+      </button>
+      <button class="secondary-button watch-remove">Remove</button>
+    </div>
+  `).join('');
+  
+  document.getElementById('file-preview').innerHTML = `
+    <div class="trash-panel watch-panel">
+      <div class="plan-toolbar">
+        <span class="plan-summary">
+          New files in these folders are organized as soon as they finish 
+          arriving. Each run can be undone like any other batch.
+        </span>
+        <button class="secondary-button" id="watch-close">Close</button>
+        <button class="primary-button" id="watch-add"
+                ${canWatchCurrent ? '' : 'disabled'}>Watch current folder</button>
+      </div>
+      <div class="trash-list watch-folders">
+        ${rows || '<div class="empty-state"><p>No folders are watched</p></div>'}
+      </div>
+      <div class="plan-column-title">Activity</div>
+      <div class="watch-activity-feed" id="watch-activity-feed">
+        ${activity.slice().reverse().map(renderWatchActivity).join('')}
+      </div>
+    </div>
+  `;
+  document.getElementById('file-details').innerHTML = '';
+  
+  document.getElementById('watch-close').addEventListener('click', 
+                                                          resetPreviewPanel);
+  document.getElementById('watch-add').addEventListener('click', () => 
+    watchCurrentFolder('rules'));
+  
+  document.querySelectorAll('.watch-folders .trash-item').forEach(row => {
+    const folder = folders.find(f => f.path === row.dataset.path);
+    
+    row.querySelector('.watch-strategy').addEventListener('change', async (e) => {
+      await window.electronAPI.updateWatchedFolder(folder.path, 
+                                                   { strategy: e.target.value });
+      await showWatchPanel();
+    });
+    
+    row.querySelector('.watch-pause').addEventListener('click', async () => {
+      await window.electronAPI.updateWatchedFolder(folder.path, 
+                                                   { paused: !folder.paused });
+      await showWatchPanel();
+    });
+    
+    row.querySelector('.watch-remove').addEventListener('click', async () => {
+      await window.electronAPI.removeWatchedFolder(folder.path);
+      await showWatchPanel();
+    });
+  });
+}
+
+async function watchCurrentFolder(strategy) {
+  if (!currentDirectory) {
+    addChatMessage("Please select a folder first.", 'assistant');
+    return;
   }
   
-  // Normalize separators
-  return result.replace(/[\\\/]+/g, separator);
+  const result = await window.electronAPI.addWatchedFolder(currentDirectory, 
+                                                           strategy);
+  if (result.success) {
+    addChatMessage(`Watching ${currentDirectory}. New files will be ` +
+                   `organized with ${WATCH_STRATEGY_LABELS[strategy] || strategy}; ` +
+                   `change the strategy or pause it in the watch panel.`, 
+                   'assistant');
+  } else {
+    addChatMessage(`Error: ${result.error}`, 'assistant');
+  }
+  await showWatchPanel();
 }
 
-function dirname(filePath) {
-  if (!filePath) return '';
-  const separator = filePath.includes('\\') ? '\\' : '/';
-  const parts = filePath.split(separator);
-  parts.pop();
-  return parts.join(separator) || separator;
+function renderWatchActivity(entry) {
+  return `
+    <div class="watch-activity ${entry.level === 'error' ? 'watch-error' : ''}">
+      <span class="watch-activity-time">
+        ${new Date(entry.time).toLocaleTimeString()}
+      </span>
+      <span class="watch-activity-folder">${escapeHtml(basename(entry.folder))}</span>
+      <span>${escapeHtml(entry.message)}</span>
+    </div>
+  `;
 }
 
-// Execute organization plan from AI suggestions
-async function executeOrganization(organized) {
-  if (!currentDirectory) {
-    addChatMessage("Error: No directory selected.", 'assistant');
-    return;
+// Live activity from the main process
+function handleWatchActivity(entry) {
+  const feed = document.getElementById('watch-activity-feed');
+  if (feed) {
+    feed.insertAdjacentHTML('afterbegin', renderWatchActivity(entry));
   }
   
-  addChatMessage("Executing organization... This may take a moment.", 
-                 'assistant');
+  // Refresh the tree once a burst of changes to the open folder is over
+  if (entry.batchId && currentDirectory === entry.folder) {
+    clearTimeout(watchReloadTimer);
+    watchReloadTimer = setTimeout(() => loadDirectory(currentDirectory), 500);
+  }
+}
+
+async function purgeTrashItems(trashIds) {
+  const results = await window.electronAPI.purgeFromTrash(trashIds);
+  const failed = results.filter(r => !r.success);
   
-  const operations = [];
-  const basePath = currentDirectory;
+  if (failed.length > 0) {
+    addChatMessage(`Could not delete ${failed.length} items: ` +
+                   failed.map(r => r.error).join('; '), 'assistant');
+  }
+  await showTrashPanel();
+}
+
+// Handle undo commands: "undo", "undo last organization", "undo batch 3",
+// and "history" to list journaled batches
+async function handleUndoCommand(command) {
+  const lowerCommand = command.toLowerCase().trim();
   
-  // Handle project-based organization (different structure)
-  if (organized.projects && organized.files) {
-    const projects = organized.projects;
-    const allFiles = organized.files;
-    
-    for (const [projectName, projectFiles] of Object.entries(projects)) {
-      // Create folder for project
-      const projectFolder = joinPath(basePath, projectName);
-      operations.push({
-        type: 'create-folder',
-        path: projectFolder
-      });
-      
-      // Move files to project folder (projectFiles might be array or pattern)
-      if (Array.isArray(projectFiles)) {
-        projectFiles.forEach(fileName => {
-          const file = allFiles.find(f => f.name === fileName || 
-            f.name.includes(fileName));
-          if (file && file.path) {
-            const destination = joinPath(projectFolder, file.name);
-            if (file.path !== destination) {
-              operations.push({
-                type: 'move',
-                source: file.path,
-                destination: destination
-              });
-            }
-          }
-        });
-      } else {
-        // If it's a pattern, try to match files
-        const pattern = projectFiles.toLowerCase();
-        allFiles.forEach(file => {
-          if (file.name.toLowerCase().includes(pattern)) {
-            const destination = joinPath(projectFolder, file.name);
-            if (file.path !== destination) {
-              operations.push({
-                type: 'move',
-                source: file.path,
-                destination: destination
-              });
-            }
-          }
-        });
-      }
-    }
-  } else {
-    // Standard organization (category-based)
-    for (const [category, files] of Object.entries(organized)) {
-      if (!Array.isArray(files) || files.length === 0) continue;
-      
-      // Create folder for category
-      const categoryFolder = joinPath(basePath, category);
-      operations.push({
-        type: 'create-folder',
-        path: categoryFolder
-      });
-      
-      // Move files to category folder
-      files.forEach(file => {
-        if (file.path && file.name) {
-          const destination = joinPath(categoryFolder, file.name);
-          if (file.path !== destination) {
-            operations.push({
-              type: 'move',
-              source: file.path,
-              destination: destination
-            });
-          }
-        }
-      });
+  if (lowerCommand === 'history' || lowerCommand === 'undo history') {
+    const batches = await window.electronAPI.listBatches();
+    if (batches.length === 0) {
+      addChatMessage("No batches have been recorded yet.", 'assistant');
+      return true;
     }
+    
+    let message = "Recent batches:\n\n";
+    batches.slice(0, 10).forEach(batch => {
+      const status = batch.undoneAt ? 'undone' : 
+                     `${batch.pending} of ${batch.operations} pending`;
+      message += `• Batch ${batch.id}: ${batch.label} ` +
+                 `(${new Date(batch.createdAt).toLocaleString()}, ${status})\n`;
+    });
+    message += "\nType 'undo batch N' to roll one back.";
+    addChatMessage(message, 'assistant');
+    return true;
   }
   
-  if (operations.length === 0) {
-    addChatMessage("No operations to perform.", 'assistant');
-    return;
+  if (lowerCommand !== 'undo' && !lowerCommand.startsWith('undo ')) {
+    return false;
+  }
+  
+  const match = lowerCommand.match(/^undo\s+batch\s+#?(\d+)$/);
+  if (!match && !/^undo(\s+(the\s+)?last(\s+(organization|batch))?)?$/.test(lowerCommand)) {
+    return false;
+  }
+  
+  const batchId = match ? parseInt(match[1], 10) : null;
+  const label = batchId ? `batch ${batchId}` : 'the last organization';
+  
+  if (!confirm(`Undo ${label}? Files will be moved back to where they were.`)) {
+    addChatMessage("Undo cancelled.", 'assistant');
+    return true;
   }
   
   try {
-    // Execute batch operations
-    const result = await window.electronAPI.batchOperations(operations);
+    const result = await window.electronAPI.undoBatch(batchId);
+    if (!result.success) {
+      addChatMessage(`Cannot undo: ${result.error}`, 'assistant');
+      return true;
+    }
     
-    let message = `Completed: ${result.successful} successful, ` +
-                  `${result.failed} failed out of ${result.total} operations.\n\n`;
+    let message = `Undid batch ${result.batchId} (${result.label}): ` +
+                  `${result.undone} of ${result.total} operations reversed.\n`;
     
-    if (result.failed > 0) {
-      message += "Errors:\n";
-      result.results.forEach(r => {
-        if (!r.success) {
-          message += `• ${r.operation.type}: ${r.error}\n`;
-        }
+    const problems = result.results.filter(r => !r.success || r.warning);
+    if (problems.length > 0) {
+      message += "\nConflicts:\n";
+      problems.forEach(r => {
+        const reason = r.conflict || r.skipped || r.error || r.warning;
+        message += `• ${r.operation.type}: ${reason}\n`;
       });
     }
     
     addChatMessage(message, 'assistant');
     
-    // Reload directory to show changes
-    if (result.successful > 0) {
+    if (currentDirectory) {
       await loadDirectory(currentDirectory);
     }
   } catch (error) {
-    addChatMessage(`Error executing organization: ${error.message}`, 
-                   'assistant');
+    addChatMessage(`Error: ${error.message}`, 'assistant');
   }
+  return true;
 }
 
 // Handle direct file operation commands
@@ -755,7 +4041,7 @@ async function handleDirectFileOperation(command) {
     }
     
     // Confirm deletion
-    const confirmed = confirm(`Delete "${file.name}"? This cannot be undone.`);
+    const confirmed = confirm(`Move "${file.name}" to the trash?`);
     if (!confirmed) {
       addChatMessage("Deletion cancelled.", 'assistant');
       return true;
@@ -764,7 +4050,8 @@ async function handleDirectFileOperation(command) {
     try {
       const result = await window.electronAPI.deleteFile(file.path);
       if (result.success) {
-        addChatMessage(`Deleted "${file.name}" successfully.`, 'assistant');
+        addChatMessage(`Moved "${file.name}" to the trash. Type 'trash' ` +
+                       `to restore it.`, 'assistant');
         await loadDirectory(currentDirectory);
       } else {
         addChatMessage(`Error deleting file: ${result.error}`, 'assistant');
@@ -797,9 +4084,14 @@ async function handleDirectFileOperation(command) {
       const newPath = joinPath(fileDir, newName);
       
       try {
-        const result = await window.electronAPI.renameFile(file.path, newPath);
-        if (result.success) {
-          addChatMessage(`Renamed "${oldName}" to "${newName}".`, 'assistant');
+        const result = await window.electronAPI.renameFile(file.path, newPath, 
+                                                           'ask');
+        if (result.success && result.skipped) {
+          addChatMessage(`"${newName}" already exists; "${oldName}" was ` +
+                         `left unchanged.`, 'assistant');
+        } else if (result.success) {
+          const finalName = basename(result.destination);
+          addChatMessage(`Renamed "${oldName}" to "${finalName}".`, 'assistant');
           await loadDirectory(currentDirectory);
         } else {
           addChatMessage(`Error renaming: ${result.error}`, 'assistant');
@@ -0,0 +1,196 @@
+// JSON schemas for AI results, and a validator for the subset of JSON
+// Schema they use (type, properties, required, additionalProperties,
+// items, minItems, minLength, maxLength, pattern, enum).
+
+const FILE_LIST = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 }
+};
+
+// Folder name: one path segment, nothing a file system would reject, and
+// not "." or ".." (which would point at the folder itself or its parent)
+const FOLDER_NAME = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 120,
+  pattern: '^(?!\\.+$)[^\\\\/:*?"<>|]+$'
+};
+
+const ORGANIZATION_SCHEMA = {
+  type: 'object',
+  required: ['folders'],
+  additionalProperties: false,
+  properties: {
+    folders: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'files'],
+        additionalProperties: false,
+        properties: {
+          name: FOLDER_NAME,
+          files: FILE_LIST
+        }
+      }
+    }
+  }
+};
+
+// Reduce step of chunked organization: final folders and the batch
+// folders each one combines
+const MERGE_SCHEMA = {
+  type: 'object',
+  required: ['folders'],
+  additionalProperties: false,
+  properties: {
+    folders: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'merge'],
+        additionalProperties: false,
+        properties: {
+          name: FOLDER_NAME,
+          merge: { type: 'array', items: { type: 'string', minLength: 1 } }
+        }
+      }
+    }
+  }
+};
+
+const PROJECTS_SCHEMA = {
+  type: 'object',
+  required: ['projects'],
+  additionalProperties: false,
+  properties: {
+    projects: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'files'],
+        additionalProperties: false,
+        properties: {
+          name: FOLDER_NAME,
+          files: FILE_LIST
+        }
+      }
+    }
+  }
+};
+
+const RENAMES_SCHEMA = {
+  type: 'object',
+  required: ['renames'],
+  additionalProperties: false,
+  properties: {
+    renames: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['original', 'suggested'],
+        additionalProperties: false,
+        properties: {
+          original: { type: 'string', minLength: 1 },
+          suggested: { ...FOLDER_NAME, maxLength: 255 },
+          reason: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema. Returns a list of messages such as
+ * `$.folders[2].name: expected string, got number`; empty when valid.
+ */
+function validateSchema(value, schema, where = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const matches = schema.type === actual ||
+      (schema.type === 'number' && actual === 'integer');
+    if (!matches) {
+      return [`${where}: expected ${schema.type}, got ${actual}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${where}: must not be empty`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${where}: longer than ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: "${value}" contains characters that are not allowed`);
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${where}: needs at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${where}[${i}]`));
+      });
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${where}: missing property "${key}"`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${where}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${where}: unexpected property "${key}"`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Pull the JSON value out of a model reply, tolerating code fences and
+ * text around it. Throws a SyntaxError when there is none.
+ */
+function extractJSON(text) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  const body = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    const start = body.search(/[[{]/);
+    const end = Math.max(body.lastIndexOf('}'), body.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(body.slice(start, end + 1));
+  }
+}
+
+module.exports = {
+  ORGANIZATION_SCHEMA,
+  MERGE_SCHEMA,
+  PROJECTS_SCHEMA,
+  RENAMES_SCHEMA,
+  validateSchema,
+  extractJSON
+};
@@ -1,154 +1,495 @@
-const OpenAI = require('openai');
+const path = require('path');
+const {
+  ORGANIZATION_SCHEMA,
+  MERGE_SCHEMA,
+  PROJECTS_SCHEMA,
+  RENAMES_SCHEMA,
+  validateSchema,
+  extractJSON
+} = require('./ai-schemas');
+
+// Model used for each task unless the settings pick another
+const DEFAULT_TASK_MODELS = {
+  chat: 'gpt-4',
+  organize: 'gpt-4',
+  projects: 'gpt-3.5-turbo',
+  renames: 'gpt-3.5-turbo',
+  embeddings: 'text-embedding-3-small'
+};
+
+// Replies are re-requested with the validation errors up to this many times
+const MAX_ATTEMPTS = 3;
+
+// Approximate prompt size per batch of files when organizing large folders
+const BATCH_TOKEN_BUDGET = 2000;
+
+/**
+ * The model did not produce a usable reply within MAX_ATTEMPTS
+ */
+class AIResponseError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'AIResponseError';
+    this.errors = errors;
+  }
+}
+
+// How a file is named to the model: its path relative to the folder being
+// organized, so files with the same name in different subfolders differ
+function fileKey(file) {
+  return (file.relativePath || file.name).split(path.sep).join('/');
+}
+
+/**
+ * Map names the model returned back to file records. Keys match exactly;
+ * a bare file name matches when only one file has it.
+ */
+function createFileResolver(files) {
+  const byKey = new Map();
+  const byName = new Map();
+
+  for (const file of files) {
+    byKey.set(fileKey(file), file);
+    byName.set(file.name, [...(byName.get(file.name) || []), file]);
+  }
+
+  return (name) => {
+    if (byKey.has(name)) return byKey.get(name);
+    const matches = byName.get(name);
+    return matches && matches.length === 1 ? matches[0] : null;
+  };
+}
+
+// Rough token count: about four characters per token for English and paths
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// One line per file in organization prompts, with the start of its text
+// when content excerpts are turned on
+function describeFile(file, excerpts = {}) {
+  return JSON.stringify({
+    file: fileKey(file),
+    type: file.extension,
+    size: file.size,
+    modified: file.modified,
+    excerpt: excerpts[file.path]
+  });
+}
+
+/**
+ * Split files into consecutive batches whose descriptions stay within
+ * `budget` tokens. Files are sorted by path first so related files tend to
+ * land in the same batch.
+ */
+function splitIntoBatches(files, budget, excerpts) {
+  const sorted = [...files].sort((a, b) => fileKey(a).localeCompare(fileKey(b)));
+  const batches = [];
+  let batch = [];
+  let tokens = 0;
+
+  for (const file of sorted) {
+    const cost = estimateTokens(describeFile(file, excerpts)) + 1;
+    if (batch.length > 0 && tokens + cost > budget) {
+      batches.push(batch);
+      batch = [];
+      tokens = 0;
+    }
+    batch.push(file);
+    tokens += cost;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('AI request cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+function findUnknownFiles(names, resolve) {
+  const unknown = names.filter(name => !resolve(name));
+  if (unknown.length === 0) return [];
+  return [`These files are not in the list, use the names exactly as given: ${unknown.slice(0, 20).join(', ')}`];
+}
+
+/**
+ * Turn [{ name, files }] into { name: [file records] }. Unknown names and
+ * files already placed in an earlier group are returned as `rejected`.
+ */
+function resolveFileGroups(groups, resolve) {
+  const resolved = {};
+  const placed = new Set();
+  const rejected = [];
+
+  for (const group of groups) {
+    for (const name of group.files) {
+      const file = resolve(name);
+      if (!file || placed.has(file.path)) {
+        rejected.push(name);
+        continue;
+      }
+      placed.add(file.path);
+      (resolved[group.name] = resolved[group.name] || []).push(file);
+    }
+  }
+
+  return { resolved, rejected };
+}
 
 class AIOrganizer {
-  constructor(apiKey) {
-    this.openai = new OpenAI({
-      apiKey: apiKey || process.env.OPENAI_API_KEY
+  /**
+   * `provider` is an LLM provider from llm-providers.js; `models` maps
+   * each task (organize, projects, renames) to a model name.
+   */
+  constructor(provider, models = {}) {
+    this.provider = provider;
+    this.models = { ...DEFAULT_TASK_MODELS, ...models };
+  }
+
+  /**
+   * Run one chat request for a task with that task's model
+   */
+  async complete(task, messages, options = {}) {
+    const response = await this.provider.chat({
+      model: this.models[task],
+      messages: messages,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      json: true,
+      signal: options.signal,
+      onToken: options.onToken
+    });
+    return response.content;
+  }
+
+  /**
+   * One step of a tool-using conversation with the chat model. Returns
+   * { content, toolCalls: [{ id, name, arguments }] }.
+   *
+   * Options: { signal, onToken(text) } - onToken streams the reply text
+   */
+  async converse(messages, tools, options = {}) {
+    const response = await this.provider.chat({
+      model: this.models.chat,
+      messages: messages,
+      tools: tools,
+      temperature: 0.3,
+      signal: options.signal,
+      onToken: options.onToken
     });
+    return { content: response.content || '', toolCalls: response.toolCalls || [] };
   }
 
   /**
-   * Analyze files and suggest organization structure
+   * Embedding vectors for texts, with the embeddings model
    */
-  async suggestOrganization(files, userQuery) {
-    const fileList = files.map(f => ({
-      name: f.name,
-      type: f.extension,
-      size: f.size,
-      modified: f.modified
-    }));
-
-    try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4",
-        messages: [
-          {
-            role: "system",
-            content: `You are a file organization assistant. Analyze the given files and suggest an optimal folder structure. 
-                     Consider file types, names, dates, and potential projects. 
-                     Respond with a JSON structure showing the suggested organization.`
-          },
-          {
-            role: "user",
-            content: `User request: "${userQuery}"\n\nFiles to organize:\n${JSON.stringify(fileList, null, 2)}`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 1500
-      });
-
-      return JSON.parse(completion.choices[0].message.content);
-    } catch (error) {
-      console.error('AI Error:', error);
-      return this.fallbackOrganization(files);
+  async embed(texts, signal) {
+    return this.provider.embed({
+      model: this.models.embeddings,
+      input: texts,
+      signal: signal
+    });
+  }
+
+  /**
+   * Request a JSON reply matching `schema`. Invalid replies are sent back
+   * with the validation errors for another try. `options.check` can add
+   * problems the schema cannot express (such as unknown file names); those
+   * are retried too, but the last reply is accepted despite them.
+   */
+  async completeJSON(task, messages, schema, options = {}) {
+    const conversation = [
+      ...messages,
+      {
+        role: 'user',
+        content: `Reply with JSON only, matching this JSON schema:\n${JSON.stringify(schema)}`
+      }
+    ];
+    let errors = [];
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const content = await this.complete(task, conversation, options);
+
+      let value;
+      try {
+        value = extractJSON(content);
+        errors = validateSchema(value, schema);
+      } catch (error) {
+        errors = [`The reply is not valid JSON: ${error.message}`];
+      }
+
+      if (errors.length === 0) {
+        const problems = options.check ? options.check(value) : [];
+        if (problems.length === 0 || attempt === MAX_ATTEMPTS) {
+          return value;
+        }
+        errors = problems;
+      }
+
+      conversation.push(
+        { role: 'assistant', content: content },
+        {
+          role: 'user',
+          content: `That reply was invalid:\n- ${errors.slice(0, 20).join('\n- ')}\n\n` +
+                   'Reply again with only the corrected JSON.'
+        }
+      );
     }
+
+    throw new AIResponseError(
+      `No valid ${task} reply after ${MAX_ATTEMPTS} attempts: ${errors.slice(0, 3).join('; ')}`,
+      errors
+    );
   }
 
   /**
-   * Detect potential projects based on file patterns
+   * Analyze files and suggest organization structure.
+   * Returns { organized: { folder: [file records] }, rejected: [names] }.
+   *
+   * Large folders are split into batches that fit BATCH_TOKEN_BUDGET; each
+   * batch is organized on its own, then the folder names are merged into
+   * one taxonomy. `options.onProgress` receives { stage, done, total } and
+   * `options.signal` cancels between and during requests. `options.excerpts`
+   * ({ path: text }) adds the start of each file's content to the prompt.
    */
-  async detectProjects(files) {
-    const fileNames = files.map(f => f.name).join('\n');
-
-    try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: `Analyze these file names and identify potential projects or logical groupings. 
-                     Look for patterns, common prefixes, related content, etc.
-                     Return a JSON object with project names as keys and file patterns as values.`
-          },
-          {
-            role: "user",
-            content: fileNames
-          }
-        ],
-        temperature: 0.5,
-        max_tokens: 800
-      });
-
-      return JSON.parse(completion.choices[0].message.content);
-    } catch (error) {
-      console.error('Project detection error:', error);
-      return {};
+  async suggestOrganization(files, userQuery, options = {}) {
+    const candidates = files.filter(f => !f.isDirectory);
+    const batches = splitIntoBatches(candidates, BATCH_TOKEN_BUDGET, options.excerpts);
+    const onProgress = options.onProgress || (() => {});
+    throwIfAborted(options.signal);
+
+    if (batches.length <= 1) {
+      onProgress({ stage: 'organize', done: 0, total: 1 });
+      return this.organizeBatch(candidates, userQuery, [], options);
+    }
+
+    const results = [];
+    const knownFolders = new Set();
+    for (let i = 0; i < batches.length; i++) {
+      throwIfAborted(options.signal);
+      onProgress({ stage: 'batch', done: i, total: batches.length });
+
+      const result = await this.organizeBatch(batches[i], userQuery, [...knownFolders], options);
+      Object.keys(result.organized).forEach(name => knownFolders.add(name));
+      results.push(result);
     }
+
+    throwIfAborted(options.signal);
+    onProgress({ stage: 'merge', done: batches.length, total: batches.length });
+    return this.mergeBatches(results, userQuery, options);
   }
 
   /**
-   * Generate smart rename suggestions
+   * Organize one batch of files. `knownFolders` are names chosen for
+   * earlier batches, offered so batches agree where they can.
    */
-  async suggestRenames(files) {
-    const problematicFiles = files.filter(f => 
-      f.name.includes(' ') || 
-      f.name.match(/[^a-zA-Z0-9._-]/) ||
-      f.name.length > 50
-    );
+  async organizeBatch(files, userQuery, knownFolders, options = {}) {
+    const resolve = createFileResolver(files);
+    const fileList = files.map(file => describeFile(file, options.excerpts)).join('\n');
+    const existing = knownFolders.length > 0 ?
+      `\n\nFolders already used for other files (reuse them where they fit):\n${knownFolders.join('\n')}` :
+      '';
 
-    if (problematicFiles.length === 0) {
-      return [];
+    const result = await this.completeJSON('organize', [
+      {
+        role: "system",
+        content: `You are a file organization assistant. Analyze the given files and suggest an optimal folder structure. 
+                 Consider file types, names, dates, and potential projects. 
+                 Where a file has an "excerpt" of its text, use it to judge what the file is about. 
+                 List each folder with the files (by their "file" value) that belong in it.`
+      },
+      {
+        role: "user",
+        content: `User request: "${userQuery}"\n\nFiles to organize:\n${fileList}${existing}`
+      }
+    ], ORGANIZATION_SCHEMA, {
+      temperature: 0.7,
+      maxTokens: Math.max(1500, Math.ceil(estimateTokens(fileList) * 1.5)),
+      signal: options.signal,
+      onToken: options.onToken,
+      check: value => findUnknownFiles(value.folders.flatMap(f => f.files), resolve)
+    });
+
+    const { resolved, rejected } = resolveFileGroups(result.folders, resolve);
+    return { organized: resolved, rejected: rejected };
+  }
+
+  /**
+   * Reduce step: ask for one consistent set of folders covering the
+   * folders each batch came up with, and regroup the files accordingly
+   */
+  async mergeBatches(results, userQuery, options = {}) {
+    const batchFolders = new Map();
+    for (const result of results) {
+      for (const [name, files] of Object.entries(result.organized)) {
+        batchFolders.set(name, [...(batchFolders.get(name) || []), ...files]);
+      }
     }
+    const rejected = results.flatMap(result => result.rejected);
+
+    const summary = [...batchFolders].map(([name, files]) => 
+      `${name} (${files.length} files, e.g. ${files.slice(0, 3).map(f => f.name).join(', ')})`
+    ).join('\n');
 
-    try {
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: `Suggest better file names that are:
-                     1. Clean (no spaces, use hyphens or underscores)
-                     2. Descriptive but concise
-                     3. Follow naming conventions (lowercase, consistent separators)
-                     Return a JSON array with {original: "old_name", suggested: "new_name", reason: "explanation"}`
-          },
-          {
-            role: "user",
-            content: JSON.stringify(problematicFiles.map(f => f.name))
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 1000
-      });
-
-      return JSON.parse(completion.choices[0].message.content);
-    } catch (error) {
-      console.error('Rename suggestion error:', error);
-      return [];
+    const findUnmerged = (value) => {
+      const merged = new Set(value.folders.flatMap(f => f.merge));
+      const problems = [];
+      const unknown = [...merged].filter(name => !batchFolders.has(name));
+      const missing = [...batchFolders.keys()].filter(name => !merged.has(name));
+      if (unknown.length > 0) {
+        problems.push(`These folders are not in the list: ${unknown.slice(0, 20).join(', ')}`);
+      }
+      if (missing.length > 0) {
+        problems.push(`Every folder must be merged somewhere; missing: ${missing.slice(0, 20).join(', ')}`);
+      }
+      return problems;
+    };
+
+    const result = await this.completeJSON('organize', [
+      {
+        role: "system",
+        content: `Files were organized in batches, so similar folders may have different names. 
+                 Merge these folders into one consistent folder structure. 
+                 Each final folder lists, in "merge", the names of the folders it combines; 
+                 every folder must appear in exactly one "merge" list.`
+      },
+      {
+        role: "user",
+        content: `User request: "${userQuery}"\n\nFolders:\n${summary}`
+      }
+    ], MERGE_SCHEMA, {
+      temperature: 0.3,
+      maxTokens: Math.max(1000, Math.ceil(estimateTokens(summary))),
+      signal: options.signal,
+      onToken: options.onToken,
+      check: findUnmerged
+    });
+
+    // Folders the merge left out keep their batch name
+    const organized = {};
+    const remaining = new Map(batchFolders);
+    for (const folder of result.folders) {
+      for (const name of folder.merge) {
+        if (!remaining.has(name)) continue;
+        organized[folder.name] = [...(organized[folder.name] || []), ...remaining.get(name)];
+        remaining.delete(name);
+      }
     }
+    for (const [name, files] of remaining) {
+      organized[name] = [...(organized[name] || []), ...files];
+    }
+
+    return { organized, rejected };
   }
 
   /**
-   * Analyze file content similarity for better grouping
+   * Detect potential projects based on file patterns.
+   * Returns { projects: { project: [file records] }, rejected: [names] }.
+   * `options.excerpts` ({ path: text }) lets related content count too.
    */
-  async findSimilarFiles(files, targetFile) {
-    // This would ideally analyze actual file content
-    // For now, we'll use metadata similarity
-    
-    const target = files.find(f => f.path === targetFile.path);
-    if (!target) return [];
+  async detectProjects(files, options = {}) {
+    const candidates = files.filter(f => !f.isDirectory);
+    const resolve = createFileResolver(candidates);
+    const excerpts = options.excerpts || {};
+    const fileList = candidates.map(f => excerpts[f.path] ?
+      JSON.stringify({ file: fileKey(f), excerpt: excerpts[f.path] }) :
+      fileKey(f));
 
-    const similar = files.filter(f => {
-      if (f.path === target.path) return false;
-      
-      // Check extension similarity
-      if (f.extension === target.extension) return true;
-      
-      // Check name similarity
-      const targetWords = target.name.toLowerCase().split(/[^a-z0-9]+/);
-      const fileWords = f.name.toLowerCase().split(/[^a-z0-9]+/);
-      const commonWords = targetWords.filter(w => fileWords.includes(w));
-      
-      return commonWords.length >= 2;
+    const result = await this.completeJSON('projects', [
+      {
+        role: "system",
+        content: `Analyze these file names and identify potential projects or logical groupings. 
+                 Look for patterns, common prefixes, related content, etc. 
+                 Some files are given as JSON with an "excerpt" of their text; name those by their "file" value.
+                 List each project with the files that belong to it, named exactly as given.`
+      },
+      {
+        role: "user",
+        content: fileList.join('\n')
+      }
+    ], PROJECTS_SCHEMA, {
+      temperature: 0.5,
+      maxTokens: 800,
+      signal: options.signal,
+      onToken: options.onToken,
+      check: value => findUnknownFiles(value.projects.flatMap(p => p.files), resolve)
     });
 
-    return similar;
+    const { resolved, rejected } = resolveFileGroups(result.projects, resolve);
+    return { projects: resolved, rejected: rejected };
+  }
+
+  /**
+   * Generate smart rename suggestions.
+   * Returns { renames: [{ path, original, suggested, reason }], rejected: [names] }.
+   */
+  async suggestRenames(files) {
+    const problematicFiles = files.filter(f => 
+      !f.isDirectory && (
+        f.name.includes(' ') || 
+        f.name.match(/[^a-zA-Z0-9._-]/) ||
+        f.name.length > 50
+      )
+    );
+
+    if (problematicFiles.length === 0) {
+      return { renames: [], rejected: [] };
+    }
+
+    const resolve = createFileResolver(problematicFiles);
+    const result = await this.completeJSON('renames', [
+      {
+        role: "system",
+        content: `Suggest better file names that are:
+                 1. Clean (no spaces, use hyphens or underscores)
+                 2. Descriptive but concise
+                 3. Follow naming conventions (lowercase, consistent separators)
+                 Keep each file's extension. "original" is the file as given, "suggested" the new file name only.`
+      },
+      {
+        role: "user",
+        content: JSON.stringify(problematicFiles.map(fileKey))
+      }
+    ], RENAMES_SCHEMA, {
+      temperature: 0.3,
+      maxTokens: 1000,
+      check: value => findUnknownFiles(value.renames.map(r => r.original), resolve)
+    });
+
+    const renames = [];
+    const rejected = [];
+    for (const suggestion of result.renames) {
+      const file = resolve(suggestion.original);
+      if (!file || renames.some(r => r.path === file.path)) {
+        rejected.push(suggestion.original);
+      } else if (suggestion.suggested !== file.name) {
+        renames.push({
+          path: file.path,
+          original: file.name,
+          suggested: suggestion.suggested,
+          reason: suggestion.reason || ''
+        });
+      }
+    }
+    return { renames, rejected };
   }
 
   /**
    * Fallback organization when AI is unavailable
    */
   fallbackOrganization(files) {
+    return AIOrganizer.fallbackOrganization(files);
+  }
+
+  /**
+   * Group files into broad categories by extension. Static so it can be
+   * used without an API key.
+   */
+  static fallbackOrganization(files) {
     const organized = {
       'Documents': [],
       'Images': [],
@@ -171,9 +512,11 @@ class AIOrganizer {
     files.forEach(file => {
       if (file.isDirectory) return;
       
+      // Exact matches only: ".c" is not ".cpp", and no extension is "Other"
+      const extension = (file.extension || '').toLowerCase();
       let category = 'Other';
       for (const [extensions, cat] of Object.entries(typeMap)) {
-        if (extensions.includes(file.extension)) {
+        if (extension && extensions.split(',').includes(extension)) {
           category = cat;
           break;
         }
@@ -225,3 +568,6 @@ class AIOrganizer {
 }
 
 module.exports = AIOrganizer;
+module.exports.DEFAULT_TASK_MODELS = DEFAULT_TASK_MODELS;
+module.exports.estimateTokens = estimateTokens;
+module.exports.AIResponseError = AIResponseError;
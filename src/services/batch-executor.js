@@ -0,0 +1,253 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { resolveCollision } = require('./collision');
+const { movePath } = require('./file-transfer');
+
+// Source/destination fields of the operation types that can collide
+const COLLIDING_FIELDS = {
+  move: ['source', 'destination'],
+  rename: ['oldPath', 'newPath'],
+  copy: ['source', 'destination']
+};
+
+/**
+ * Apply a collision policy to an operation. Returns the operation to run
+ * (null when it should be skipped) and a report of which policy fired.
+ */
+async function applyCollisionPolicy(operation, policy, ask) {
+  const fields = COLLIDING_FIELDS[operation.type];
+  if (!fields) {
+    return { operation: operation, collision: null };
+  }
+
+  const [sourceKey, destinationKey] = fields;
+  const resolution = await resolveCollision(operation[sourceKey],
+                                            operation[destinationKey],
+                                            operation.collisionPolicy || policy,
+                                            ask);
+  if (!resolution.action) {
+    return { operation: operation, collision: null };
+  }
+
+  return {
+    operation: resolution.destination ?
+      { ...operation, [destinationKey]: resolution.destination } : null,
+    collision: {
+      policy: resolution.policy,
+      action: resolution.action,
+      destination: resolution.destination
+    }
+  };
+}
+
+// Copy a file or directory recursively
+async function copyFileOrDirectory(sourcePath, destinationPath) {
+  const stats = await fs.stat(sourcePath);
+
+  if (stats.isDirectory()) {
+    await fs.mkdir(destinationPath, { recursive: true });
+    const entries = await fs.readdir(sourcePath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const srcPath = path.join(sourcePath, entry.name);
+      const destPath = path.join(destinationPath, entry.name);
+
+      if (entry.isDirectory()) {
+        await copyFileOrDirectory(srcPath, destPath);
+      } else {
+        await fs.copyFile(srcPath, destPath);
+      }
+    }
+  } else {
+    await fs.copyFile(sourcePath, destinationPath);
+  }
+}
+
+// Delete a file or directory recursively
+async function deleteFileOrDirectory(filePath) {
+  const stats = await fs.stat(filePath);
+
+  if (stats.isDirectory()) {
+    const entries = await fs.readdir(filePath, { withFileTypes: true });
+
+    for (const entry of entries) {
+      await deleteFileOrDirectory(path.join(filePath, entry.name));
+    }
+
+    await fs.rmdir(filePath);
+  } else {
+    await fs.unlink(filePath);
+  }
+}
+
+/**
+ * Runs batch operations against the file system and records them in the
+ * operation journal. Shared by the app's IPC handlers, watched folders and
+ * the command line.
+ */
+class BatchExecutor {
+  constructor({ journal, trash, tagStore }) {
+    this.journal = journal;
+    this.trash = trash;
+    this.tagStore = tagStore;
+  }
+
+  /**
+   * Move what an overwrite would replace at `destination` to the trash, so
+   * undo can put it back. Returns its trash id, or null when nothing is
+   * there (or only the source itself, on a case-only rename).
+   */
+  async trashReplaced(source, destination) {
+    let existing;
+    try {
+      existing = await fs.stat(destination);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const sourceStats = await fs.stat(source);
+    if (sourceStats.ino === existing.ino && sourceStats.dev === existing.dev) {
+      return null;
+    }
+    return (await this.trash.moveToTrash(destination)).id;
+  }
+
+  /**
+   * Execute a single batch operation, throwing on failure. onProgress
+   * receives byte progress for large files moved across devices. Deletes
+   * resolve to the trash entry they created, tags to the tags they added,
+   * and moves, renames and copies to { replacedTrashId } for a file they
+   * replaced.
+   */
+  async execute(operation, onProgress) {
+    switch (operation.type) {
+      case 'move': {
+        const replacedTrashId = await this.trashReplaced(operation.source, operation.destination);
+        await movePath(operation.source, operation.destination, onProgress);
+        await this.tagStore.movePath(operation.source, operation.destination);
+        return { replacedTrashId };
+      }
+      case 'copy': {
+        const replacedTrashId = await this.trashReplaced(operation.source, operation.destination);
+        await copyFileOrDirectory(operation.source, operation.destination);
+        return { replacedTrashId };
+      }
+      case 'delete':
+        if (operation.permanent) {
+          await deleteFileOrDirectory(operation.path);
+          break;
+        }
+        return await this.trash.moveToTrash(operation.path);
+      case 'restore':
+        // Put a trashed item back, refusing to replace anything at its path
+        return await this.trash.restore(operation.trashId, operation.path, 'skip');
+      case 'rename': {
+        const replacedTrashId = await this.trashReplaced(operation.oldPath, operation.newPath);
+        await fs.rename(operation.oldPath, operation.newPath);
+        await this.tagStore.movePath(operation.oldPath, operation.newPath);
+        return { replacedTrashId };
+      }
+      case 'tag':
+        await fs.access(operation.path);
+        return { added: await this.tagStore.addTags(operation.path, operation.tags) };
+      case 'untag':
+        await this.tagStore.removeTags(operation.path, operation.tags);
+        break;
+      case 'create-folder':
+        await fs.mkdir(operation.path, { recursive: true });
+        break;
+      case 'create-file':
+        await fs.mkdir(path.dirname(operation.path), { recursive: true });
+        await fs.writeFile(operation.path, operation.content || '', 'utf-8');
+        break;
+      case 'hardlink': {
+        // Replace destination with a hard link to source via a temporary name,
+        // so the destination is never missing if linking fails
+        const tempPath = `${operation.destination}.${crypto.randomBytes(4).toString('hex')}.sortmagic-link`;
+        await fs.link(operation.source, tempPath);
+        try {
+          await fs.rename(tempPath, operation.destination);
+        } catch (error) {
+          await fs.unlink(tempPath).catch(() => {});
+          throw error;
+        }
+        break;
+      }
+      default:
+        throw new Error('Unknown operation type: ' + operation.type);
+    }
+  }
+
+  /**
+   * Run operations as one journaled batch. `ask` settles "ask" collisions
+   * and onProgress receives byte progress of large cross-device moves.
+   *
+   * Options:
+   *   label            name shown in the undo history
+   *   collisionPolicy  policy for operations that don't set their own
+   */
+  async run(operations, options = {}, ask, onProgress) {
+    const results = [];
+    const batch = this.journal.beginBatch(options.label);
+
+    for (const operation of operations) {
+      try {
+        // Settle destination conflicts first; the journal records what really ran
+        const resolved = await applyCollisionPolicy(operation,
+                                                    options.collisionPolicy, ask);
+        if (!resolved.operation) {
+          results.push({
+            operation: operation,
+            success: true,
+            skipped: true,
+            collision: resolved.collision,
+            error: null
+          });
+          continue;
+        }
+
+        const preState = await this.journal.capturePreState(resolved.operation);
+        const outcome = await this.execute(resolved.operation, onProgress);
+        const postState = await this.journal.capturePostState(resolved.operation,
+                                                              outcome);
+        this.journal.record(batch, resolved.operation, preState, postState);
+
+        results.push({
+          operation: operation,
+          success: true,
+          skipped: false,
+          collision: resolved.collision,
+          error: null
+        });
+      } catch (err) {
+        results.push({
+          operation: operation,
+          success: false,
+          error: err.message
+        });
+      }
+    }
+
+    // Journal the batch so it can be rolled back later
+    let batchId = null;
+    if (batch.entries.length > 0) {
+      try {
+        batchId = await this.journal.commit(batch);
+      } catch (error) {
+        console.error('Failed to write operation journal:', error);
+      }
+    }
+
+    return {
+      batchId: batchId,
+      total: operations.length,
+      successful: results.filter(r => r.success && !r.skipped).length,
+      skipped: results.filter(r => r.skipped).length,
+      failed: results.filter(r => !r.success).length,
+      results: results
+    };
+  }
+}
+
+module.exports = { BatchExecutor, applyCollisionPolicy };
@@ -0,0 +1,155 @@
+const path = require('path');
+const exifr = require('exifr');
+const { renderTemplate } = require('./template');
+const { checkRenames } = require('./file-names');
+
+// Formats exifr reads capture dates from
+const EXIF_EXTENSIONS = new Set(['.jpg', '.jpeg', '.tif', '.tiff', '.heic', '.heif', '.png', '.avif', '.webp']);
+
+// Letters that do not decompose into a base letter plus accents
+const TRANSLITERATIONS = {
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+  'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th',
+  'ı': 'i', 'ħ': 'h', 'Ħ': 'H',
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'e', 'ж': 'zh',
+  'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+  'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts',
+  'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
+  'я': 'ya', 'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g'
+};
+
+/**
+ * ASCII spelling of text: accents are dropped ("café" -> "cafe") and
+ * other Latin and Cyrillic letters are spelled out ("straße" -> "strasse")
+ */
+function transliterate(text) {
+  return Array.from(text.normalize('NFKD').replace(/[\u0300-\u036f]/g, ''), char => {
+    if (Object.prototype.hasOwnProperty.call(TRANSLITERATIONS, char)) {
+      return TRANSLITERATIONS[char];
+    }
+    const lower = char.toLowerCase();
+    if (lower !== char && Object.prototype.hasOwnProperty.call(TRANSLITERATIONS, lower)) {
+      const spelled = TRANSLITERATIONS[lower];
+      return spelled.charAt(0).toUpperCase() + spelled.slice(1);
+    }
+    return char;
+  }).join('');
+}
+
+const CASE_TRANSFORMS = {
+  lower: text => text.toLowerCase(),
+  upper: text => text.toUpperCase(),
+  title: text => text.toLowerCase().replace(/(^|[\s_\-.(])(\p{L})/gu,
+    (match, before, letter) => before + letter.toUpperCase()),
+  sentence: text => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase()
+};
+
+/**
+ * Capture date from a photo's EXIF data, or null when it has none
+ */
+async function readExifDate(filePath) {
+  if (!EXIF_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    return null;
+  }
+  try {
+    const tags = await exifr.parse(filePath, { pick: ['DateTimeOriginal', 'CreateDate'] });
+    const date = tags && (tags.DateTimeOriginal || tags.CreateDate);
+    return date instanceof Date && !isNaN(date) ? date : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The new name of each file. Steps run in this order:
+ *
+ *   template       name template, see renderTemplate; {counter} counts the
+ *                  files in the order given, from `counterStart` (default 1)
+ *   find/replace   text or, with `regex`, a regular expression (with
+ *                  `ignoreCase`); replacements can use $1 etc.
+ *   caseMode       lower, upper, title or sentence, applied to the name
+ *                  without its extension
+ *   transliterate  spell the name in ASCII
+ *
+ * Returns [{ path, original, name, error }]. A bad regular expression
+ * throws, since it affects every file.
+ */
+async function buildBulkRenames(files, options = {}) {
+  const template = options.template || '{name}{ext}';
+  const usesExif = /\{exif\./.test(template);
+  const start = Number.isInteger(options.counterStart) ? options.counterStart : 1;
+
+  let find = null;
+  if (options.find) {
+    const flags = options.ignoreCase ? 'gi' : 'g';
+    find = options.regex ?
+      new RegExp(options.find, flags) :
+      new RegExp(options.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+  }
+
+  const results = [];
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const values = { counter: start + i };
+    let error = null;
+
+    if (usesExif) {
+      const date = await readExifDate(file.path);
+      if (date) {
+        values['exif.date'] = date;
+      } else {
+        error = 'No EXIF date';
+      }
+    }
+
+    let name = renderTemplate(template, file, values);
+    if (find) {
+      name = name.replace(find, options.replace || '');
+    }
+
+    const ext = path.extname(name);
+    let base = name.slice(0, name.length - ext.length);
+    if (CASE_TRANSFORMS[options.caseMode]) {
+      base = CASE_TRANSFORMS[options.caseMode](base);
+    }
+    name = base + ext;
+    if (options.transliterate) {
+      name = transliterate(name);
+    }
+
+    results.push({ path: file.path, original: file.name, name: name.trim(), error });
+  }
+  return results;
+}
+
+/**
+ * New names for the files, with each rename checked for illegal names and
+ * collisions. Returns [{ path, original, name, newPath, changed, error }];
+ * unchanged files are listed but never report an error.
+ */
+async function previewBulkRename(files, options) {
+  const renames = await buildBulkRenames(files, options);
+  const changed = renames.filter(rename => !rename.error && rename.name !== rename.original);
+  const checks = new Map();
+  (await checkRenames(changed)).forEach((check, i) => checks.set(changed[i], check));
+
+  return renames.map(rename => {
+    const check = checks.get(rename);
+    return {
+      path: rename.path,
+      original: rename.original,
+      name: rename.name,
+      newPath: check ? check.newPath : rename.path,
+      changed: rename.name !== rename.original,
+      error: rename.error || (check ? check.error : null)
+    };
+  });
+}
+
+module.exports = {
+  buildBulkRenames,
+  previewBulkRename,
+  transliterate,
+  readExifDate,
+  CASE_TRANSFORMS
+};
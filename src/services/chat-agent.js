@@ -0,0 +1,496 @@
+const path = require('path');
+const { scanDirectory, statEntry } = require('./directory-scanner');
+const { findDuplicates } = require('./duplicate-finder');
+const { validateOperations } = require('./operation-validator');
+const { buildCategoryOperations } = require('./strategies');
+const { getMimeType } = require('./mime-types');
+const { matchesGlob } = require('./glob');
+const { estimateTokens } = require('./ai-service');
+
+// Model calls per user message before the turn is cut short
+const MAX_TOOL_ROUNDS = 8;
+
+// Estimated tokens of the conversation kept for later turns
+const MAX_HISTORY_TOKENS = 8000;
+
+// Tool results are truncated to this many characters before the model sees them
+const MAX_TOOL_RESULT_CHARS = 12000;
+
+// Deepest folder level tools look into
+const MAX_SCAN_DEPTH = 10;
+
+// Proposed plans are checked with the same default as the plan preview
+const PLAN_COLLISION_POLICY = 'suffix';
+
+/**
+ * Resolve a path the model gave, relative to the current folder, refusing
+ * anything outside it
+ */
+function resolveInside(rootPath, relativePath = '.') {
+  const root = path.resolve(rootPath);
+  const resolved = path.resolve(root, relativePath);
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`${relativePath} is outside the current folder`);
+  }
+  return resolved;
+}
+
+function toRelative(rootPath, fullPath) {
+  return path.relative(rootPath, fullPath).split(path.sep).join('/') || '.';
+}
+
+function summarizeFile(rootPath, file) {
+  return {
+    path: toRelative(rootPath, file.path),
+    type: file.isDirectory ? 'folder' : 'file',
+    size: file.isDirectory ? undefined : file.size,
+    modified: file.modified
+  };
+}
+
+async function scanFiles(context, folder, recursive) {
+  const scan = await scanDirectory(resolveInside(context.rootPath, folder), {
+    maxDepth: recursive ? MAX_SCAN_DEPTH : 0,
+    signal: context.signal
+  });
+  return scan.entries;
+}
+
+function describeOperation(rootPath, operation) {
+  const rel = filePath => toRelative(rootPath, filePath);
+  switch (operation.type) {
+    case 'create-folder':
+      return `create folder ${rel(operation.path)}`;
+    case 'move':
+      return `move ${rel(operation.source)} to ${rel(operation.destination)}`;
+    case 'rename':
+      return `rename ${rel(operation.oldPath)} to ${path.basename(operation.newPath)}`;
+    case 'delete':
+      return `move ${rel(operation.path)} to the trash`;
+    default:
+      return operation.type;
+  }
+}
+
+/**
+ * Build an operation for each requested change. Changes that cannot be
+ * built (e.g. paths outside the folder) are reported, not fatal.
+ */
+function buildEach(items, build) {
+  const operations = [];
+  const rejected = [];
+  for (const item of items) {
+    try {
+      operations.push(build(item));
+    } catch (error) {
+      rejected.push({ change: JSON.stringify(item), error: error.message });
+    }
+  }
+  return { operations, rejected };
+}
+
+/**
+ * Dry-run new operations after the ones already in the plan. Valid ones
+ * join the plan; the result tells the model what was accepted and why the
+ * rest were not.
+ */
+async function addToPlan(context, operations, rejectedEarlier = []) {
+  const validation = await validateOperations([...context.plan, ...operations], {
+    collisionPolicy: PLAN_COLLISION_POLICY
+  });
+  const results = validation.results.slice(context.plan.length);
+  const rejected = results.filter(r => !r.success);
+
+  // Folders are only worth creating for moves that made it into the plan
+  const valid = results.filter(r => r.success).map(r => r.operation);
+  const destinations = valid.filter(op => op.type === 'move').map(op => op.destination);
+  const accepted = valid.filter(op => op.type !== 'create-folder' ||
+    destinations.some(destination => destination.startsWith(op.path + path.sep)));
+
+  context.plan.push(...accepted);
+  return {
+    proposed: accepted.length,
+    rejected: [...rejectedEarlier, ...rejected.map(r => ({
+      change: describeOperation(context.rootPath, r.operation),
+      error: r.error
+    }))],
+    note: 'Nothing has changed yet. The user reviews the plan and approves it in the app.'
+  };
+}
+
+// Folders a set of destinations needs, parents first, skipping the root
+function createFolderOperations(rootPath, destinations) {
+  const folders = new Set();
+  for (const destination of destinations) {
+    let folder = path.dirname(destination);
+    while (folder !== path.resolve(rootPath) && folder.startsWith(path.resolve(rootPath))) {
+      folders.add(folder);
+      folder = path.dirname(folder);
+    }
+  }
+  return [...folders]
+    .sort((a, b) => a.length - b.length)
+    .map(folder => ({ type: 'create-folder', path: folder }));
+}
+
+/**
+ * Tools the model can call. Paths are relative to the current folder.
+ * Tools marked `mutating` never touch files: they add operations to the
+ * turn's plan, which the user approves before the batch runs.
+ */
+const CHAT_TOOLS = {
+  list_files: {
+    label: 'listing files',
+    description: 'List files and folders in a folder.',
+    parameters: {
+      type: 'object',
+      properties: {
+        folder: { type: 'string', description: 'Folder to list; default is the current folder' },
+        recursive: { type: 'boolean', description: 'Include subfolders' },
+        sort: { type: 'string', enum: ['name', 'size', 'modified'] },
+        limit: { type: 'integer', description: 'Most entries to return (default 200)' }
+      }
+    },
+    async run(args, context) {
+      const entries = await scanFiles(context, args.folder, args.recursive);
+      const sorters = {
+        name: (a, b) => a.path.localeCompare(b.path),
+        size: (a, b) => b.size - a.size,
+        modified: (a, b) => new Date(b.modified) - new Date(a.modified)
+      };
+      entries.sort(sorters[args.sort] || sorters.name);
+      const limit = Math.min(args.limit || 200, 500);
+      return {
+        total: entries.length,
+        entries: entries.slice(0, limit).map(file => summarizeFile(context.rootPath, file))
+      };
+    }
+  },
+
+  stat_file: {
+    label: 'checking a file',
+    description: 'Details of one file or folder: size, dates and type.',
+    parameters: {
+      type: 'object',
+      required: ['path'],
+      properties: {
+        path: { type: 'string' }
+      }
+    },
+    async run(args, context) {
+      const entry = await statEntry(context.rootPath, resolveInside(context.rootPath, args.path));
+      return {
+        ...summarizeFile(context.rootPath, entry),
+        created: entry.created,
+        mimeType: entry.isDirectory ? undefined : getMimeType(entry.path)
+      };
+    }
+  },
+
+  search_files: {
+    label: 'searching',
+    description: 'Find files in the current folder and its subfolders, by name ' +
+                 '(substring or glob such as "*.pdf") or, with semantic, by meaning.',
+    parameters: {
+      type: 'object',
+      required: ['query'],
+      properties: {
+        query: { type: 'string' },
+        semantic: { type: 'boolean', description: 'Match by meaning using embeddings' },
+        limit: { type: 'integer', description: 'Most results to return (default 50)' }
+      }
+    },
+    async run(args, context) {
+      const files = (await scanFiles(context, '.', true)).filter(file => !file.isDirectory);
+      const limit = Math.min(args.limit || 50, 200);
+
+      if (args.semantic) {
+        const ranked = await context.semanticSearch(args.query, files, limit);
+        return {
+          results: ranked.map(({ file, score }) => ({
+            ...summarizeFile(context.rootPath, file),
+            score: Math.round(score * 100) / 100
+          }))
+        };
+      }
+
+      const query = args.query.toLowerCase();
+      const isGlob = /[*?{]/.test(query);
+      const matches = files.filter(file => isGlob ?
+        matchesGlob(args.query, file.name, file.relativePath) :
+        file.name.toLowerCase().includes(query));
+      return {
+        total: matches.length,
+        results: matches.slice(0, limit).map(file => summarizeFile(context.rootPath, file))
+      };
+    }
+  },
+
+  find_duplicates: {
+    label: 'looking for duplicates',
+    description: 'Find files with identical content in the current folder and its subfolders.',
+    parameters: { type: 'object', properties: {} },
+    async run(args, context) {
+      const groups = await findDuplicates(context.rootPath);
+      return {
+        groups: groups.length,
+        largest: groups.slice(0, 20).map(group => ({
+          size: group.size,
+          files: group.files.map(file => toRelative(context.rootPath, file.path))
+        }))
+      };
+    }
+  },
+
+  propose_moves: {
+    label: 'planning moves',
+    mutating: true,
+    description: 'Propose moving files. Each destination is the new path including ' +
+                 'the file name; missing folders are created.',
+    parameters: {
+      type: 'object',
+      required: ['moves'],
+      properties: {
+        moves: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['source', 'destination'],
+            properties: {
+              source: { type: 'string' },
+              destination: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    async run(args, context) {
+      const { operations, rejected } = buildEach(args.moves, move => ({
+        type: 'move',
+        source: resolveInside(context.rootPath, move.source),
+        destination: resolveInside(context.rootPath, move.destination)
+      }));
+      const folders = createFolderOperations(context.rootPath, operations.map(m => m.destination))
+        .filter(folder => !context.plan.some(op =>
+          op.type === 'create-folder' && op.path === folder.path));
+      return addToPlan(context, [...folders, ...operations], rejected);
+    }
+  },
+
+  propose_renames: {
+    label: 'planning renames',
+    mutating: true,
+    description: 'Propose renaming files in place. newName is a file name, not a path.',
+    parameters: {
+      type: 'object',
+      required: ['renames'],
+      properties: {
+        renames: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['path', 'newName'],
+            properties: {
+              path: { type: 'string' },
+              newName: { type: 'string' }
+            }
+          }
+        }
+      }
+    },
+    async run(args, context) {
+      const { operations, rejected } = buildEach(args.renames, rename => {
+        if (/[\\/]/.test(rename.newName)) {
+          throw new Error(`"${rename.newName}" must be a file name, not a path`);
+        }
+        const oldPath = resolveInside(context.rootPath, rename.path);
+        return {
+          type: 'rename',
+          oldPath: oldPath,
+          newPath: path.join(path.dirname(oldPath), rename.newName)
+        };
+      });
+      return addToPlan(context, operations, rejected);
+    }
+  },
+
+  propose_deletions: {
+    label: 'planning deletions',
+    mutating: true,
+    description: 'Propose moving files to the trash (they can be restored).',
+    parameters: {
+      type: 'object',
+      required: ['paths'],
+      properties: {
+        paths: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    async run(args, context) {
+      const { operations, rejected } = buildEach(args.paths, filePath => ({
+        type: 'delete',
+        path: resolveInside(context.rootPath, filePath)
+      }));
+      return addToPlan(context, operations, rejected);
+    }
+  },
+
+  propose_organization: {
+    label: 'planning an organization',
+    mutating: true,
+    description: 'Propose sorting every file in the current folder into subfolders, ' +
+                 'following instructions such as "by client" or "by year and type". ' +
+                 'Handles large folders; prefer it over listing and moving files one by one.',
+    parameters: {
+      type: 'object',
+      required: ['instructions'],
+      properties: {
+        instructions: { type: 'string' },
+        recursive: { type: 'boolean', description: 'Include files in subfolders' }
+      }
+    },
+    async run(args, context) {
+      const files = (await scanFiles(context, '.', args.recursive))
+        .filter(file => !file.isDirectory);
+      // The JSON reply is not shown, but its size tells the user it is arriving
+      let received = 0;
+      const { organized } = await context.organizer.suggestOrganization(files, args.instructions, {
+        signal: context.signal,
+        excerpts: context.loadExcerpts ? await context.loadExcerpts(files) : undefined,
+        onProgress: context.onProgress,
+        onToken: context.onProgress && (text => {
+          received += text.length;
+          context.onProgress({ stage: 'receiving', chars: received });
+        })
+      });
+      return addToPlan(context, buildCategoryOperations(context.rootPath, organized));
+    }
+  }
+};
+
+// Tool definitions in the shape providers send to the model
+const TOOL_DEFINITIONS = Object.entries(CHAT_TOOLS).map(([name, tool]) => ({
+  name: name,
+  description: tool.description,
+  parameters: tool.parameters
+}));
+
+function systemPrompt(rootPath) {
+  return `You are the assistant of a file organizer app. The user is working in the folder ${rootPath}.
+Use the tools to look at the files instead of guessing; tool paths are relative to that folder.
+You cannot change files yourself. The propose_* tools add changes to a plan that the user
+reviews and approves in the app. After proposing changes, briefly say what the plan does.
+Keep replies short.`;
+}
+
+function messageTokens(message) {
+  const calls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+  return estimateTokens((message.content || '') + calls);
+}
+
+// Keep the recent turns that fit MAX_HISTORY_TOKENS (always the last one),
+// starting at a user message so no tool result is left without the call
+// that produced it
+function trimHistory(messages) {
+  let start = messages.map(message => message.role).lastIndexOf('user');
+  let tokens = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    tokens += messageTokens(messages[i]);
+    if (tokens > MAX_HISTORY_TOKENS) break;
+    if (messages[i].role === 'user') start = i;
+  }
+  return messages.slice(start);
+}
+
+function parseArguments(text) {
+  if (!text) return {};
+  return typeof text === 'string' ? JSON.parse(text) : text;
+}
+
+/**
+ * Answer one user message, letting the model call tools until it replies.
+ *
+ * Options:
+ *   rootPath       folder the conversation is about
+ *   organizer      AIOrganizer used for the model and propose_organization
+ *   semanticSearch async (query, files, limit) => [{ file, score }]
+ *   loadExcerpts   async (files) => { path: text }, for content-aware organizing
+ *   selection      paths the user attached to this message as context
+ *   signal         AbortSignal
+ *   onToolCall     ({ name, label }) before each tool runs
+ *   onToken        (text) as the model's reply streams in
+ *   onProgress     batch and receiving progress of propose_organization
+ *
+ * Returns { reply, operations, history }; `operations` is the plan the
+ * mutating tools built, for the user to approve.
+ */
+async function runChatTurn(history, text, options) {
+  const selection = (options.selection || [])
+    .map(filePath => toRelative(options.rootPath, filePath));
+  const content = selection.length > 0 ?
+    `${text}\n\nFiles I selected:\n${selection.map(p => `- ${p}`).join('\n')}` : text;
+  const messages = [...history, { role: 'user', content: content }];
+  const context = {
+    rootPath: options.rootPath,
+    organizer: options.organizer,
+    semanticSearch: options.semanticSearch,
+    loadExcerpts: options.loadExcerpts,
+    signal: options.signal,
+    onProgress: options.onProgress,
+    plan: []
+  };
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const response = await options.organizer.converse([
+      { role: 'system', content: systemPrompt(options.rootPath) },
+      ...messages
+    ], TOOL_DEFINITIONS, { signal: options.signal, onToken: options.onToken });
+
+    if (response.toolCalls.length === 0) {
+      messages.push({ role: 'assistant', content: response.content });
+      return {
+        reply: response.content,
+        operations: context.plan,
+        history: trimHistory(messages)
+      };
+    }
+
+    messages.push({
+      role: 'assistant',
+      content: response.content || '',
+      tool_calls: response.toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    for (const call of response.toolCalls) {
+      const tool = CHAT_TOOLS[call.name];
+      let result;
+      try {
+        if (!tool) {
+          throw new Error(`Unknown tool ${call.name}`);
+        }
+        if (options.onToolCall) {
+          options.onToolCall({ name: call.name, label: tool.label });
+        }
+        result = await tool.run(parseArguments(call.arguments), context);
+      } catch (error) {
+        if (options.signal && options.signal.aborted) throw error;
+        result = { error: error.message };
+      }
+
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(result).slice(0, MAX_TOOL_RESULT_CHARS)
+      });
+    }
+  }
+
+  const reply = 'I stopped after too many steps. Could you narrow the request down?';
+  messages.push({ role: 'assistant', content: reply });
+  return { reply, operations: context.plan, history: trimHistory(messages) };
+}
+
+module.exports = { runChatTurn, CHAT_TOOLS, TOOL_DEFINITIONS, resolveInside };
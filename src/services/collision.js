@@ -0,0 +1,87 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// What to do when a move, rename or copy destination already exists
+const COLLISION_POLICIES = ['skip', 'suffix', 'overwrite', 'keep-newer', 'ask'];
+const DEFAULT_COLLISION_POLICY = 'skip';
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * First "name (N).ext" next to destination that `exists` reports as free
+ */
+async function nextFreePath(destination, exists) {
+  const dir = path.dirname(destination);
+  const ext = path.extname(destination);
+  const base = path.basename(destination, ext);
+
+  for (let n = 1; ; n++) {
+    const candidate = path.join(dir, `${base} (${n})${ext}`);
+    if (!(await exists(candidate))) return candidate;
+  }
+}
+
+/**
+ * Decide where (and whether) source should go when destination may exist.
+ *
+ * Returns { destination, policy, action } where destination is null when
+ * the file should be left alone and action is null when nothing collided.
+ * `ask` is called with { source, destination } for the "ask" policy and
+ * resolves to one of the other policies; without it "ask" behaves as skip.
+ */
+async function resolveCollision(source, destination, policy, ask) {
+  policy = policy || DEFAULT_COLLISION_POLICY;
+  if (!COLLISION_POLICIES.includes(policy)) {
+    throw new Error('Unknown collision policy: ' + policy);
+  }
+
+  const existing = await statOrNull(destination);
+  if (!existing) {
+    return { destination: destination, policy: null, action: null };
+  }
+
+  // Same file under another name (case-only rename on a case-insensitive disk)
+  const sourceStats = await statOrNull(source);
+  if (sourceStats && sourceStats.ino === existing.ino && sourceStats.dev === existing.dev) {
+    return { destination: destination, policy: null, action: null };
+  }
+
+  let effective = policy;
+  if (policy === 'ask') {
+    effective = ask ? await ask({ source, destination }) : 'skip';
+  }
+
+  switch (effective) {
+    case 'skip':
+      return { destination: null, policy: policy, action: 'skipped' };
+    case 'suffix':
+      return {
+        destination: await nextFreePath(destination, async p => Boolean(await statOrNull(p))),
+        policy: policy,
+        action: 'renamed'
+      };
+    case 'overwrite':
+      return { destination: destination, policy: policy, action: 'overwritten' };
+    case 'keep-newer':
+      if (sourceStats && sourceStats.mtimeMs > existing.mtimeMs) {
+        return { destination: destination, policy: policy, action: 'overwritten' };
+      }
+      return { destination: null, policy: policy, action: 'kept-existing' };
+    default:
+      throw new Error('Unknown collision policy: ' + effective);
+  }
+}
+
+module.exports = {
+  COLLISION_POLICIES,
+  DEFAULT_COLLISION_POLICY,
+  resolveCollision,
+  nextFreePath
+};
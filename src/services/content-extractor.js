@@ -0,0 +1,149 @@
+const path = require('path');
+const fs = require('fs').promises;
+const JSZip = require('jszip');
+const pdfParse = require('pdf-parse');
+const { getMimeType, isTextMimeType } = require('./mime-types');
+const { matchesGlob } = require('./glob');
+
+// Documents larger than this are not opened for text extraction
+const MAX_DOCUMENT_BYTES = 25 * 1024 * 1024;
+
+// Only the first pages of a PDF are parsed; an excerpt never needs more
+const PDF_MAX_PAGES = 3;
+
+// Zip entry holding the body text of each office format
+const ZIPPED_DOCUMENTS = {
+  '.docx': 'word/document.xml',
+  '.odt': 'content.xml'
+};
+
+async function readHead(filePath, bytes) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await handle.read(buffer, 0, bytes, 0);
+    return buffer.toString('utf-8', 0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Text of a WordprocessingML or OpenDocument body: paragraph and line
+ * break elements become newlines, tabs become spaces, other markup goes
+ */
+function xmlToText(xml) {
+  return xml
+    .replace(/<\/(?:w:p|text:p|text:h)>|<(?:w:br|text:line-break)\b[^>]*\/>/g, '\n')
+    .replace(/<(?:w:tab|text:tab|text:s)\b[^>]*\/>/g, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name])
+    .replace(/&#(x[0-9a-f]+|\d+);/gi, (match, code) =>
+      String.fromCodePoint(code[0].toLowerCase() === 'x' ?
+        parseInt(code.slice(1), 16) : parseInt(code, 10)));
+}
+
+// Collapse runs of blank space so excerpts spend their length on words
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\f\v]+/g, ' ')
+    .replace(/ ?\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Whether text can be extracted from a file: plain text, Markdown and
+ * code, PDF, DOCX and ODT
+ */
+function canExtract(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return ext === '.pdf' || Boolean(ZIPPED_DOCUMENTS[ext]) ||
+    isTextMimeType(getMimeType(filePath));
+}
+
+/**
+ * Up to `maxChars` characters of a file's text, or null when the format is
+ * not supported or has no text
+ */
+async function extractText(filePath, maxChars) {
+  const ext = path.extname(filePath).toLowerCase();
+  let text;
+
+  if (ext === '.pdf' || ZIPPED_DOCUMENTS[ext]) {
+    const stats = await fs.stat(filePath);
+    if (stats.size > MAX_DOCUMENT_BYTES) {
+      return null;
+    }
+    const buffer = await fs.readFile(filePath);
+
+    if (ext === '.pdf') {
+      text = (await pdfParse(buffer, { max: PDF_MAX_PAGES })).text;
+    } else {
+      const zip = await JSZip.loadAsync(buffer);
+      const entry = zip.file(ZIPPED_DOCUMENTS[ext]);
+      if (!entry) {
+        return null;
+      }
+      text = xmlToText(await entry.async('string'));
+    }
+  } else if (isTextMimeType(getMimeType(filePath))) {
+    // Read a little extra so whitespace collapsing still fills the excerpt
+    text = await readHead(filePath, maxChars * 2);
+  } else {
+    return null;
+  }
+
+  const excerpt = normalizeText(text).slice(0, maxChars);
+  return excerpt || null;
+}
+
+/**
+ * Whether a file matches the privacy exclude list (globs against the name
+ * or, for patterns with a slash, the relative path)
+ */
+function isExcluded(file, patterns) {
+  return patterns.some(pattern =>
+    matchesGlob(pattern, file.name, file.relativePath || file.name));
+}
+
+/**
+ * Excerpts for the files AI requests should see, as { path: text }.
+ * Excluded, unsupported and unreadable files are left out.
+ *
+ * Options: { maxChars, exclude, signal, onProgress({ done, total }) }
+ */
+async function extractExcerpts(files, options = {}) {
+  const exclude = options.exclude || [];
+  const candidates = files.filter(file =>
+    !file.isDirectory && canExtract(file.path) && !isExcluded(file, exclude));
+  const excerpts = {};
+
+  for (let i = 0; i < candidates.length; i++) {
+    if (options.signal && options.signal.aborted) break;
+    if (options.onProgress) {
+      options.onProgress({ done: i, total: candidates.length });
+    }
+
+    try {
+      const excerpt = await extractText(candidates[i].path, options.maxChars);
+      if (excerpt) {
+        excerpts[candidates[i].path] = excerpt;
+      }
+    } catch (error) {
+      // Damaged or encrypted documents are organized by name alone
+    }
+  }
+
+  return excerpts;
+}
+
+module.exports = {
+  extractText,
+  extractExcerpts,
+  canExtract,
+  isExcluded,
+  xmlToText
+};
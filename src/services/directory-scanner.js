@@ -0,0 +1,151 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { matchesGlob } = require('./glob');
+
+// Folders nobody wants organized or counted
+const DEFAULT_IGNORE = ['.git', 'node_modules', '.DS_Store', 'Thumbs.db', 'desktop.ini'];
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight
+ */
+async function mapWithLimit(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(run());
+  }
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * File record in the shape scans produce, for a single path under rootPath
+ */
+async function statEntry(rootPath, fullPath, depth) {
+  const stats = await fs.stat(fullPath);
+  const relativePath = path.relative(rootPath, fullPath);
+  return {
+    name: path.basename(fullPath),
+    path: fullPath,
+    relativePath: relativePath,
+    depth: depth != null ? depth : relativePath.split(path.sep).length - 1,
+    isDirectory: stats.isDirectory(),
+    size: stats.size,
+    modified: stats.mtime,
+    created: stats.birthtime,
+    extension: stats.isDirectory() ? null : path.extname(fullPath)
+  };
+}
+
+/**
+ * Walk rootPath breadth-first with bounded concurrency.
+ *
+ * Options:
+ *   maxDepth     levels below rootPath to descend into (0 = root only)
+ *   ignore       glob patterns matched against names or relative paths
+ *   concurrency  directories read / entries stat'ed at once
+ *   signal       AbortSignal that stops the walk early
+ *   onEntries    called with each directory's entries as they are read
+ *   onProgress   called with { scannedDirs, pendingDirs, totalEntries }
+ *
+ * Symlinked folders are listed but not followed. Entries that cannot be
+ * read are skipped and reported in `errors`.
+ */
+async function scanDirectory(rootPath, options = {}) {
+  const maxDepth = options.maxDepth != null ? options.maxDepth : Infinity;
+  const ignore = options.ignore || DEFAULT_IGNORE;
+  const concurrency = options.concurrency || 8;
+  const signal = options.signal;
+  const onEntries = options.onEntries || (() => {});
+  const onProgress = options.onProgress || (() => {});
+
+  const entries = [];
+  const errors = [];
+  const queue = [{ dirPath: rootPath, depth: 0 }];
+  let scannedDirs = 0;
+
+  async function readOne(task) {
+    let dirents;
+    try {
+      dirents = await fs.readdir(task.dirPath, { withFileTypes: true });
+    } catch (error) {
+      errors.push({ path: task.dirPath, error: error.message });
+      return;
+    }
+
+    const visible = dirents.filter(dirent => {
+      const relativePath = path.relative(rootPath, path.join(task.dirPath, dirent.name));
+      return !ignore.some(pattern => matchesGlob(pattern, dirent.name, relativePath));
+    });
+
+    const records = await mapWithLimit(visible, concurrency, async dirent => {
+      const fullPath = path.join(task.dirPath, dirent.name);
+      try {
+        const record = await statEntry(rootPath, fullPath, task.depth);
+        // Only real directories are descended into, never symlinks
+        record.descend = dirent.isDirectory();
+        return record;
+      } catch (error) {
+        errors.push({ path: fullPath, error: error.message });
+        return null;
+      }
+    });
+
+    const found = [];
+    for (const record of records) {
+      if (!record) continue;
+      if (record.descend && task.depth < maxDepth) {
+        queue.push({ dirPath: record.path, depth: task.depth + 1 });
+      }
+      delete record.descend;
+      found.push(record);
+    }
+
+    scannedDirs++;
+    entries.push(...found);
+    onEntries(found);
+    onProgress({
+      scannedDirs: scannedDirs,
+      pendingDirs: queue.length,
+      totalEntries: entries.length
+    });
+  }
+
+  // Pull directories off the queue with at most `concurrency` reads in flight
+  let active = 0;
+  await new Promise((resolve, reject) => {
+    function pump() {
+      const aborted = signal && signal.aborted;
+      while (!aborted && active < concurrency && queue.length > 0) {
+        const task = queue.shift();
+        active++;
+        readOne(task).then(() => {
+          active--;
+          pump();
+        }, reject);
+      }
+      if (active === 0 && (aborted || queue.length === 0)) {
+        resolve();
+      }
+    }
+    pump();
+  });
+
+  return {
+    entries: entries,
+    errors: errors,
+    scannedDirs: scannedDirs,
+    cancelled: Boolean(signal && signal.aborted)
+  };
+}
+
+module.exports = { scanDirectory, statEntry, mapWithLimit, DEFAULT_IGNORE };
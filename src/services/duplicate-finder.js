@@ -0,0 +1,146 @@
+const path = require('path');
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+
+// Bytes hashed in the partial pass; files this small skip the full pass
+const PARTIAL_HASH_BYTES = 64 * 1024;
+
+/**
+ * Streamed SHA-256 of a file, optionally limited to its first `bytes` bytes
+ */
+function hashFile(filePath, bytes) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const options = bytes ? { start: 0, end: bytes - 1 } : {};
+    const stream = fsSync.createReadStream(filePath, options);
+
+    stream.on('data', chunk => hash.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Recursively collect regular files under rootPath. Symlinks are not
+ * followed and folders named in `exclude` are skipped.
+ */
+async function collectFiles(rootPath, exclude = []) {
+  const files = [];
+  const pending = [rootPath];
+
+  while (pending.length > 0) {
+    const dirPath = pending.pop();
+    let entries;
+    try {
+      entries = await fs.readdir(dirPath, { withFileTypes: true });
+    } catch (error) {
+      console.warn('Skipping unreadable folder:', dirPath, error.message);
+      continue;
+    }
+
+    for (const entry of entries) {
+      const fullPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        if (!exclude.includes(entry.name)) pending.push(fullPath);
+      } else if (entry.isFile()) {
+        try {
+          const stats = await fs.stat(fullPath);
+          files.push({
+            name: entry.name,
+            path: fullPath,
+            size: stats.size,
+            modified: stats.mtime,
+            created: stats.birthtime,
+            extension: path.extname(entry.name)
+          });
+        } catch (error) {
+          console.warn('Skipping unreadable file:', fullPath, error.message);
+        }
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Group files by a key, keeping only groups with more than one member
+ */
+async function regroup(groups, keyFn) {
+  const result = [];
+
+  for (const group of groups) {
+    const buckets = new Map();
+    for (const file of group) {
+      let key;
+      try {
+        key = await keyFn(file);
+      } catch (error) {
+        console.warn('Skipping file that could not be hashed:', file.path, error.message);
+        continue;
+      }
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(file);
+    }
+
+    for (const [key, files] of buckets) {
+      if (files.length > 1) result.push({ key, files });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Find files with identical content under rootPath. Candidates are bucketed
+ * by size, then by a hash of their first 64 KB, then by a full hash.
+ * onProgress receives { phase, processed, total }.
+ */
+async function findDuplicates(rootPath, options = {}) {
+  const onProgress = options.onProgress || (() => {});
+  const files = await collectFiles(rootPath, options.exclude);
+  onProgress({ phase: 'scan', processed: files.length, total: files.length });
+
+  // Size buckets (empty files are trivially identical and not worth reporting)
+  const bySize = new Map();
+  for (const file of files) {
+    if (file.size === 0) continue;
+    if (!bySize.has(file.size)) bySize.set(file.size, []);
+    bySize.get(file.size).push(file);
+  }
+  const sizeGroups = [...bySize.values()].filter(group => group.length > 1);
+
+  let processed = 0;
+  let total = sizeGroups.reduce((sum, group) => sum + group.length, 0);
+  const partialGroups = await regroup(sizeGroups, async file => {
+    const digest = await hashFile(file.path, PARTIAL_HASH_BYTES);
+    onProgress({ phase: 'partial-hash', processed: ++processed, total });
+    return digest;
+  });
+
+  // Small files were hashed completely in the partial pass
+  const confirmed = partialGroups.filter(g => g.files[0].size <= PARTIAL_HASH_BYTES);
+  const needsFullHash = partialGroups
+    .filter(g => g.files[0].size > PARTIAL_HASH_BYTES)
+    .map(g => g.files);
+
+  processed = 0;
+  total = needsFullHash.reduce((sum, group) => sum + group.length, 0);
+  const fullGroups = await regroup(needsFullHash, async file => {
+    const digest = await hashFile(file.path);
+    onProgress({ phase: 'full-hash', processed: ++processed, total });
+    return digest;
+  });
+
+  return [...confirmed, ...fullGroups]
+    .map(group => ({
+      hash: group.key,
+      size: group.files[0].size,
+      files: group.files
+    }))
+    .sort((a, b) => b.size * (b.files.length - 1) - a.size * (a.files.length - 1));
+}
+
+module.exports = { findDuplicates, collectFiles, hashFile };
@@ -0,0 +1,310 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Texts sent to the embedding model per request
+const EMBED_BATCH_SIZE = 32;
+
+// Words too common in file names to say anything about a topic
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'copy', 'final', 'new', 'old', 'draft',
+  'file', 'untitled', 'img', 'image', 'scan', 'doc', 'document', 'version'
+]);
+
+function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+}
+
+function decodeVector(text) {
+  const buffer = Buffer.from(text, 'base64');
+  return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+}
+
+function normalize(vector) {
+  let length = 0;
+  for (let i = 0; i < vector.length; i++) length += vector[i] * vector[i];
+  length = Math.sqrt(length) || 1;
+  return Float32Array.from(vector, value => value / length);
+}
+
+// Vectors are stored normalized, so cosine similarity is a dot product
+function similarity(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Words in a file name, splitting camelCase, separators and digits
+ */
+function nameWords(name) {
+  return name
+    .replace(/\.[^.]+$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Text embedded for a file: its name as words, its folder, and an
+ * excerpt of its content when one is available
+ */
+function describeFile(file, excerpt) {
+  const folder = path.dirname(file.relativePath || file.name);
+  const parts = [
+    nameWords(file.name).join(' ') || file.name,
+    folder === '.' ? '' : `in ${folder.split(path.sep).join('/')}`,
+    excerpt || ''
+  ];
+  return parts.filter(Boolean).join('\n');
+}
+
+/**
+ * Embedding vectors for files, kept in a JSON file under the app data
+ * folder and keyed by absolute path. A file is embedded again only when
+ * its size or modification time changes, or the embedding model does.
+ */
+class EmbeddingIndex {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.model = null;
+    this.entries = new Map();
+  }
+
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this.model = saved.model;
+      this.entries = new Map(Object.entries(saved.entries).map(([filePath, entry]) =>
+        [filePath, { ...entry, vector: decodeVector(entry.vector) }]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read embedding index:', error);
+      }
+      this.model = null;
+      this.entries = new Map();
+    }
+  }
+
+  async save() {
+    const entries = {};
+    for (const [filePath, entry] of this.entries) {
+      entries[filePath] = { ...entry, vector: encodeVector(entry.vector) };
+    }
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({ model: this.model, entries }), 'utf-8');
+  }
+
+  isCurrent(file) {
+    const entry = this.entries.get(path.resolve(file.path));
+    return Boolean(entry) && entry.size === file.size &&
+      entry.mtime === new Date(file.modified).getTime();
+  }
+
+  /**
+   * Drop vectors of files that no longer exist. Returns how many went.
+   */
+  async prune() {
+    let removed = 0;
+    for (const filePath of [...this.entries.keys()]) {
+      try {
+        await fs.access(filePath);
+      } catch (error) {
+        this.entries.delete(filePath);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Embed the files that have no current vector, drop vectors of deleted
+   * files, and save the index if anything changed.
+   *
+   * Options:
+   *   model      embedding model name; a different model clears the index
+   *   embed      async (texts, signal) => one vector per text
+   *   excerpts   async (files) => { path: text } to include file content
+   *   signal     AbortSignal; vectors embedded so far are kept
+   *   onProgress ({ done, total }) after each request
+   *
+   * Returns { embedded, reused }; `embedded` counts only the vectors
+   * received, so it is lower than the stale files after an abort.
+   */
+  async update(files, options) {
+    let changed = false;
+    if (this.model !== options.model) {
+      changed = this.entries.size > 0;
+      this.model = options.model;
+      this.entries.clear();
+    }
+    if (await this.prune() > 0) changed = true;
+
+    const candidates = files.filter(file => !file.isDirectory);
+    const stale = candidates.filter(file => !this.isCurrent(file));
+    const excerpts = options.excerpts && stale.length > 0 ?
+      await options.excerpts(stale) || {} : {};
+
+    let embedded = 0;
+    try {
+      for (let i = 0; i < stale.length; i += EMBED_BATCH_SIZE) {
+        if (options.signal && options.signal.aborted) break;
+        if (options.onProgress) {
+          options.onProgress({ done: i, total: stale.length });
+        }
+
+        const batch = stale.slice(i, i + EMBED_BATCH_SIZE);
+        const vectors = await options.embed(
+          batch.map(file => describeFile(file, excerpts[file.path])),
+          options.signal
+        );
+        batch.forEach((file, j) => {
+          this.entries.set(path.resolve(file.path), {
+            size: file.size,
+            mtime: new Date(file.modified).getTime(),
+            vector: normalize(vectors[j])
+          });
+        });
+        embedded += batch.length;
+      }
+    } finally {
+      if (changed || embedded > 0) {
+        await this.save();
+      }
+    }
+
+    return { embedded: embedded, reused: candidates.length - stale.length };
+  }
+
+  getVector(filePath) {
+    const entry = this.entries.get(path.resolve(filePath));
+    return entry ? entry.vector : null;
+  }
+
+  /**
+   * Candidate files ordered by similarity to `vector`, best first, as
+   * [{ file, score }]. Files without a vector are left out.
+   */
+  rank(vector, candidates, limit = 20) {
+    const query = normalize(vector);
+    return candidates
+      .map(file => ({ file, vector: this.getVector(file.path) }))
+      .filter(item => item.vector)
+      .map(item => ({ file: item.file, score: similarity(query, item.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Files most similar to the one at `filePath`
+   */
+  similarTo(filePath, candidates, limit = 20) {
+    const vector = this.getVector(filePath);
+    if (!vector) return [];
+    const target = path.resolve(filePath);
+    return this.rank(vector, candidates.filter(file => path.resolve(file.path) !== target), limit);
+  }
+
+  /**
+   * Group files by topic with k-means over their vectors. Returns
+   * { name: [files] }, each group named after its most telling words.
+   */
+  cluster(files) {
+    const items = files
+      .map(file => ({ file, vector: this.getVector(file.path) }))
+      .filter(item => item.vector);
+    if (items.length === 0) return {};
+
+    const k = Math.max(1, Math.min(12, Math.round(Math.sqrt(items.length / 2))));
+    const assignments = kMeans(items.map(item => item.vector), k);
+
+    const groups = Array.from({ length: k }, () => []);
+    assignments.forEach((cluster, i) => groups[cluster].push(items[i].file));
+    return nameClusters(groups.filter(group => group.length > 0));
+  }
+}
+
+/**
+ * Spherical k-means: farthest-point seeding from the first vector (so the
+ * result is repeatable), then a fixed number of refinement rounds.
+ * Returns the cluster index of each vector.
+ */
+function kMeans(vectors, k, rounds = 20) {
+  const centroids = [vectors[0]];
+  while (centroids.length < k) {
+    let farthest = 0;
+    let lowest = Infinity;
+    vectors.forEach((vector, i) => {
+      const closest = Math.max(...centroids.map(c => similarity(c, vector)));
+      if (closest < lowest) {
+        lowest = closest;
+        farthest = i;
+      }
+    });
+    centroids.push(vectors[farthest]);
+  }
+
+  let assignments = new Array(vectors.length).fill(-1);
+  for (let round = 0; round < rounds; round++) {
+    let changed = false;
+    assignments = assignments.map((current, i) => {
+      let best = 0;
+      for (let c = 1; c < k; c++) {
+        if (similarity(centroids[c], vectors[i]) > similarity(centroids[best], vectors[i])) {
+          best = c;
+        }
+      }
+      if (best !== current) changed = true;
+      return best;
+    });
+    if (!changed) break;
+
+    for (let c = 0; c < k; c++) {
+      const sum = new Float32Array(vectors[0].length);
+      assignments.forEach((cluster, i) => {
+        if (cluster !== c) return;
+        for (let d = 0; d < sum.length; d++) sum[d] += vectors[i][d];
+      });
+      if (sum.some(value => value !== 0)) {
+        centroids[c] = normalize(sum);
+      }
+    }
+  }
+  return assignments;
+}
+
+/**
+ * Name each group after the name words that are frequent in it and rare
+ * elsewhere; groups without such words become "Topic N"
+ */
+function nameClusters(groups) {
+  const counts = groups.map(group => {
+    const words = new Map();
+    for (const file of group) {
+      for (const word of new Set(nameWords(file.name))) {
+        words.set(word, (words.get(word) || 0) + 1);
+      }
+    }
+    return words;
+  });
+  const spread = new Map();
+  counts.forEach(words => words.forEach((count, word) =>
+    spread.set(word, (spread.get(word) || 0) + 1)));
+
+  const named = {};
+  groups.forEach((group, i) => {
+    const top = [...counts[i]]
+      .filter(([, count]) => count >= Math.max(2, group.length * 0.2))
+      .map(([word, count]) => ({ word, score: count / spread.get(word) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 2)
+      .map(({ word }) => word[0].toUpperCase() + word.slice(1));
+
+    let name = top.length > 0 ? top.join(' ') : `Topic ${i + 1}`;
+    while (named[name]) name += ` ${i + 1}`;
+    named[name] = group;
+  });
+  return named;
+}
+
+module.exports = { EmbeddingIndex, describeFile, kMeans };
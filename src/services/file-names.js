@@ -0,0 +1,114 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Characters no file name may contain on Windows; "/" is also the separator
+// everywhere else
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f]/;
+
+// Device names Windows reserves, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+// Longest file name most file systems accept, in bytes
+const MAX_NAME_BYTES = 255;
+
+/**
+ * Why `name` cannot be used as a file name, or null when it can. Names are
+ * checked against the strictest common rules so a folder stays portable.
+ */
+function checkFileName(name) {
+  if (!name || !name.trim()) {
+    return 'Name is empty';
+  }
+  if (name === '.' || name === '..') {
+    return 'Name is reserved';
+  }
+  const illegal = name.match(ILLEGAL_CHARACTERS);
+  if (illegal) {
+    const shown = illegal[0] < ' ' ? 'control characters' : `"${illegal[0]}"`;
+    return `Names cannot contain ${shown}`;
+  }
+  if (RESERVED_NAMES.test(name)) {
+    return `"${name.split('.')[0]}" is a reserved device name`;
+  }
+  if (/[. ]$/.test(name)) {
+    return 'Names cannot end with a dot or a space';
+  }
+  if (Buffer.byteLength(name, 'utf-8') > MAX_NAME_BYTES) {
+    return `Name is longer than ${MAX_NAME_BYTES} bytes`;
+  }
+  return null;
+}
+
+async function statOrNull(filePath) {
+  try {
+    return await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check a set of renames before they run. Each rename is { path, name }
+ * with the file's current path and its new name.
+ *
+ * Returns one { path, name, newPath, error } per rename. `error` is null
+ * for renames that can run: a legal name that no other rename in the set
+ * and no existing file already uses. A name that another file in the set
+ * gives up is allowed, as long as that file's own rename can run; the
+ * batch then moves it aside first (see buildRenameOperations in the
+ * renderer). Names are compared case-insensitively, as Windows and macOS do.
+ */
+async function checkRenames(renames) {
+  const sources = new Set(renames.map(rename => path.resolve(rename.path).toLowerCase()));
+  const claimed = new Map();
+  for (const rename of renames) {
+    const key = path.join(path.dirname(path.resolve(rename.path)), rename.name).toLowerCase();
+    claimed.set(key, (claimed.get(key) || 0) + 1);
+  }
+
+  const results = [];
+  for (const rename of renames) {
+    const source = path.resolve(rename.path);
+    const newPath = path.join(path.dirname(source), rename.name);
+    const key = newPath.toLowerCase();
+    let error = checkFileName(rename.name);
+
+    if (!error && claimed.get(key) > 1) {
+      error = 'Another file in this list gets the same name';
+    } else if (!error && key !== source.toLowerCase()) {
+      if (!sources.has(key) && await statOrNull(newPath)) {
+        error = `${rename.name} already exists`;
+      }
+    } else if (!error && newPath !== source) {
+      // Only the case changes; fine unless it is a different file
+      const [from, to] = await Promise.all([statOrNull(source), statOrNull(newPath)]);
+      if (from && to && (from.ino !== to.ino || from.dev !== to.dev)) {
+        error = `${rename.name} already exists`;
+      }
+    }
+
+    results.push({ path: rename.path, name: rename.name, newPath, error });
+  }
+
+  // A file keeping its name (its rename can't run) still holds that name,
+  // which can in turn stop the rename onto it
+  const blocked = new Set();
+  let changed = true;
+  while (changed) {
+    changed = false;
+    results.forEach(result => {
+      if (result.error) blocked.add(path.resolve(result.path).toLowerCase());
+    });
+    for (const result of results) {
+      const key = result.newPath.toLowerCase();
+      if (!result.error && key !== path.resolve(result.path).toLowerCase() && blocked.has(key)) {
+        result.error = `${result.name} stays taken: that file's own rename can't run`;
+        changed = true;
+      }
+    }
+  }
+  return results;
+}
+
+module.exports = { checkFileName, checkRenames };
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const stream = require('stream');
+const { pathToFileURL } = require('url');
+const exifr = require('exifr');
+const pdfParse = require('pdf-parse');
+const { detectMimeType, isTextMimeType } = require('./mime-types');
+const { formatDate } = require('./template');
+const { openTextFile } = require('./text-file');
+
+// Bytes shown in the hex view of files with no other preview
+const HEX_PREVIEW_BYTES = 4096;
+
+// Archive entries listed; the rest are counted when the format allows
+const MAX_ARCHIVE_ENTRIES = 1000;
+
+// PDFs larger than this are shown without reading their page count
+const MAX_PDF_INFO_BYTES = 25 * 1024 * 1024;
+
+// Image formats Chromium can draw
+const DISPLAYABLE_IMAGES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/svg+xml', 'image/avif'
+];
+
+// EXIF tags shown next to an image, in this order, with their formatting
+const EXIF_FIELDS = [
+  ['Make', 'Camera make'],
+  ['Model', 'Camera'],
+  ['LensModel', 'Lens'],
+  ['DateTimeOriginal', 'Taken', value => formatDate(value, 'YYYY-MM-DD HH:mm:ss')],
+  ['ExposureTime', 'Exposure', value => value < 1 ? `1/${Math.round(1 / value)} s` : `${value} s`],
+  ['FNumber', 'Aperture', value => `f/${value}`],
+  ['ISO', 'ISO'],
+  ['FocalLength', 'Focal length', value => `${value} mm`],
+  ['ExifImageWidth', 'Width', value => `${value} px`],
+  ['ExifImageHeight', 'Height', value => `${value} px`],
+  ['Orientation', 'Orientation'],
+  ['latitude', 'Latitude', value => value.toFixed(6)],
+  ['longitude', 'Longitude', value => value.toFixed(6)],
+  ['Software', 'Software']
+];
+
+async function readHead(filePath, bytes) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await handle.read(buffer, 0, bytes, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * EXIF fields of an image as [{ label, value }], empty when it has none
+ */
+async function readExif(filePath) {
+  let tags;
+  try {
+    tags = await exifr.parse(filePath);
+  } catch (error) {
+    return [];
+  }
+  if (!tags) return [];
+
+  return EXIF_FIELDS
+    .filter(([key]) => tags[key] !== undefined && tags[key] !== null && tags[key] !== '')
+    .map(([key, label, format]) => ({
+      label: label,
+      value: format ? format(tags[key]) : String(tags[key])
+    }));
+}
+
+async function readPdfInfo(filePath, size) {
+  if (size > MAX_PDF_INFO_BYTES) return null;
+  try {
+    const result = await pdfParse(await fs.promises.readFile(filePath), { max: 1 });
+    return {
+      pages: result.numpages,
+      title: result.info && result.info.Title || null,
+      author: result.info && result.info.Author || null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+function dosDateTime(date, time) {
+  return new Date(
+    (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+  ).toISOString();
+}
+
+async function readRange(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Entries of a zip file from its central directory, without reading or
+ * inflating the data. Handles zip64 archives.
+ */
+async function listZip(filePath, size) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    // The end record is in the last 22 bytes plus up to 64KB of comment
+    const tailStart = Math.max(0, size - 65557);
+    const tail = await readRange(handle, tailStart, size - tailStart);
+    const end = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (end === -1) throw new Error('Not a zip archive');
+
+    let total = tail.readUInt16LE(end + 10);
+    let directorySize = tail.readUInt32LE(end + 12);
+    let directoryOffset = tail.readUInt32LE(end + 16);
+
+    const locator = end - 20;
+    if (directoryOffset === 0xffffffff && locator >= 0 && tail.readUInt32LE(locator) === 0x07064b50) {
+      const record = await readRange(handle, Number(tail.readBigUInt64LE(locator + 8)), 56);
+      total = Number(record.readBigUInt64LE(32));
+      directorySize = Number(record.readBigUInt64LE(40));
+      directoryOffset = Number(record.readBigUInt64LE(48));
+    }
+
+    // Enough of the directory for the entries that are listed
+    const directory = await readRange(handle, directoryOffset,
+      Math.min(directorySize, MAX_ARCHIVE_ENTRIES * 1024));
+    const entries = [];
+    let offset = 0;
+    while (entries.length < MAX_ARCHIVE_ENTRIES && offset + 46 <= directory.length &&
+           directory.readUInt32LE(offset) === 0x02014b50) {
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      if (offset + 46 + nameLength + extraLength > directory.length) break;
+
+      const utf8 = directory.readUInt16LE(offset + 8) & 0x0800;
+      const name = directory.toString(utf8 ? 'utf-8' : 'latin1', offset + 46, offset + 46 + nameLength);
+      let entrySize = directory.readUInt32LE(offset + 24);
+      if (entrySize === 0xffffffff) {
+        // The real size is the first value of the zip64 extra field
+        const extra = directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+        for (let e = 0; e + 4 <= extra.length; e += 4 + extra.readUInt16LE(e + 2)) {
+          if (extra.readUInt16LE(e) === 0x0001 && e + 12 <= extra.length) {
+            entrySize = Number(extra.readBigUInt64LE(e + 4));
+            break;
+          }
+        }
+      }
+
+      entries.push({
+        name: name,
+        size: entrySize,
+        modified: dosDateTime(directory.readUInt16LE(offset + 14), directory.readUInt16LE(offset + 12)),
+        isDirectory: name.endsWith('/')
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return { entries, total: total, truncated: entries.length < total };
+  } finally {
+    await handle.close();
+  }
+}
+
+function tarString(buffer, start, length) {
+  const field = buffer.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.toString('utf-8', 0, end === -1 ? field.length : end);
+}
+
+function tarNumber(buffer, start, length) {
+  return parseInt(tarString(buffer, start, length).trim() || '0', 8) || 0;
+}
+
+// A header block's checksum counts its own field as spaces
+function isTarHeader(header) {
+  let sum = 0;
+  for (let i = 0; i < 512; i++) {
+    sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  }
+  return sum === tarNumber(header, 148, 8);
+}
+
+// "path" record of a pax extended header
+function paxPath(data) {
+  const match = data.toString('utf-8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Entries of a tar stream, reading headers and skipping file data. Stops
+ * after MAX_ARCHIVE_ENTRIES; the total is then unknown.
+ */
+async function listTar(stream) {
+  const entries = [];
+  let buffer = Buffer.alloc(0);
+  let skip = 0;
+  let longName = null;
+
+  try {
+    for await (const chunk of stream) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+      while (true) {
+        if (skip > 0) {
+          const skipped = Math.min(skip, buffer.length);
+          buffer = buffer.subarray(skipped);
+          skip -= skipped;
+          if (skip > 0) break;
+        }
+        if (buffer.length < 512) break;
+
+        const header = buffer.subarray(0, 512);
+        if (header.every(byte => byte === 0)) {
+          return { entries, total: entries.length, truncated: false };
+        }
+        if (!isTarHeader(header)) {
+          throw new Error('Not a tar archive');
+        }
+
+        const size = tarNumber(header, 124, 12);
+        const type = String.fromCharCode(header[156]);
+        const padded = Math.ceil(size / 512) * 512;
+
+        // GNU long names and pax headers carry the next entry's name
+        if (type === 'L' || type === 'x') {
+          if (buffer.length < 512 + padded) break;
+          const data = buffer.subarray(512, 512 + size);
+          longName = type === 'L' ? tarString(data, 0, size) : paxPath(data) || longName;
+          buffer = buffer.subarray(512 + padded);
+          continue;
+        }
+
+        const prefix = tarString(header, 257, 6) === 'ustar' ? tarString(header, 345, 155) : '';
+        const name = tarString(header, 0, 100);
+        entries.push({
+          name: longName || (prefix ? `${prefix}/${name}` : name),
+          size: size,
+          modified: new Date(tarNumber(header, 136, 12) * 1000).toISOString(),
+          isDirectory: type === '5' || name.endsWith('/')
+        });
+        longName = null;
+        buffer = buffer.subarray(512);
+        skip = type === '5' ? 0 : padded;
+
+        if (entries.length >= MAX_ARCHIVE_ENTRIES) {
+          return { entries, total: null, truncated: true };
+        }
+      }
+    }
+  } finally {
+    stream.destroy();
+  }
+  return { entries, total: entries.length, truncated: false };
+}
+
+function isTarName(filePath) {
+  return /\.(tar\.gz|tgz)$/i.test(filePath);
+}
+
+/**
+ * What the preview pane shows for a file, by its detected MIME type:
+ *
+ *   text     see openTextFile; lines are then read with readTextLines
+ *   image    { url, displayable, exif: [{ label, value }] }
+ *   pdf      { url, info: { pages, title, author } | null }
+ *   audio    { url }
+ *   video    { url }
+ *   archive  { format, entries: [{ name, size, modified, isDirectory }],
+ *              total, truncated }
+ *   hex      { bytes } - the first bytes of anything else
+ *
+ * Every preview also has { type, mimeType, size }.
+ */
+async function previewFile(filePath) {
+  const stats = await fs.promises.stat(filePath);
+  const mimeType = await detectMimeType(filePath);
+  const base = { mimeType: mimeType, size: stats.size };
+  const url = pathToFileURL(filePath).href;
+
+  if (isTextMimeType(mimeType)) {
+    return { ...base, type: 'text', ...await openTextFile(filePath) };
+  }
+
+  if (mimeType.startsWith('image/')) {
+    return {
+      ...base,
+      type: 'image',
+      url: url,
+      displayable: DISPLAYABLE_IMAGES.includes(mimeType),
+      exif: await readExif(filePath)
+    };
+  }
+
+  if (mimeType === 'application/pdf') {
+    return { ...base, type: 'pdf', url: url, info: await readPdfInfo(filePath, stats.size) };
+  }
+
+  if (mimeType.startsWith('audio/') || mimeType.startsWith('video/')) {
+    return { ...base, type: mimeType.split('/')[0], url: url };
+  }
+
+  try {
+    if (mimeType === 'application/zip') {
+      return { ...base, type: 'archive', format: 'zip', ...await listZip(filePath, stats.size) };
+    }
+    if (mimeType === 'application/x-tar') {
+      return { ...base, type: 'archive', format: 'tar', ...await listTar(fs.createReadStream(filePath)) };
+    }
+    if (mimeType === 'application/gzip' && isTarName(filePath)) {
+      // pipeline() closes the file too when listTar stops reading early
+      const gunzip = zlib.createGunzip();
+      stream.pipeline(fs.createReadStream(filePath), gunzip, () => {});
+      return { ...base, type: 'archive', format: 'tar.gz', ...await listTar(gunzip) };
+    }
+  } catch (error) {
+    // Damaged or misnamed archives fall back to the hex view
+  }
+
+  return { ...base, type: 'hex', bytes: await readHead(filePath, HEX_PREVIEW_BYTES) };
+}
+
+module.exports = { previewFile, listZip, listTar };
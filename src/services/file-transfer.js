@@ -0,0 +1,151 @@
+const path = require('path');
+const crypto = require('crypto');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { hashFile } = require('./duplicate-finder');
+
+// Files at least this large report byte-level progress while copying
+const PROGRESS_THRESHOLD = 16 * 1024 * 1024;
+
+/**
+ * Copy one file while hashing what was read, then hash the written copy
+ * and compare. The copy goes to a temporary name first and only takes the
+ * destination name once verified, with the source's mode and times.
+ */
+async function copyFileVerified(source, destination, onProgress) {
+  const stats = await fs.stat(source);
+  const tempPath = destination + '.sortmagic-partial';
+  const hash = crypto.createHash('sha256');
+  const reportProgress = stats.size >= PROGRESS_THRESHOLD && onProgress;
+  let bytesCopied = 0;
+  let lastReported = 0;
+
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      bytesCopied += chunk.length;
+
+      const now = Date.now();
+      if (reportProgress && now - lastReported > 200) {
+        lastReported = now;
+        onProgress({ source, destination, bytesCopied, totalBytes: stats.size });
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(
+      fsSync.createReadStream(source),
+      tap,
+      fsSync.createWriteStream(tempPath, { flags: 'wx', mode: stats.mode })
+    );
+
+    const expected = hash.digest('hex');
+    const actual = await hashFile(tempPath);
+    if (expected !== actual) {
+      throw new Error(`Checksum mismatch copying ${source}`);
+    }
+
+    await fs.chmod(tempPath, stats.mode);
+    await fs.utimes(tempPath, stats.atime, stats.mtime);
+    await fs.rename(tempPath, destination);
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+
+  if (reportProgress) {
+    onProgress({ source, destination, bytesCopied, totalBytes: stats.size, done: true });
+  }
+}
+
+/**
+ * Replace a file's content without ever leaving it half-written: the data
+ * goes to a temporary file next to it, is flushed to disk, and then takes
+ * the file's name. The file keeps its mode; a symlink's target is written.
+ */
+async function writeFileAtomic(filePath, data) {
+  const target = await fs.realpath(filePath).catch(() => filePath);
+  const tempPath = `${target}.${crypto.randomBytes(4).toString('hex')}.sortmagic-partial`;
+  // A new file gets the default mode, less the umask
+  const mode = await fs.stat(target).then(stats => stats.mode, () => null);
+
+  let handle = null;
+  try {
+    handle = await fs.open(tempPath, 'wx', mode === null ? 0o666 : mode);
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    if (mode !== null) await fs.chmod(tempPath, mode);
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    if (handle) await handle.close().catch(() => {});
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Copy a file, symlink or folder tree with verification
+ */
+async function copyTreeVerified(source, destination, onProgress) {
+  const stats = await fs.lstat(source);
+
+  if (stats.isSymbolicLink()) {
+    await fs.symlink(await fs.readlink(source), destination);
+    return;
+  }
+
+  if (!stats.isDirectory()) {
+    await copyFileVerified(source, destination, onProgress);
+    return;
+  }
+
+  await fs.mkdir(destination, { mode: stats.mode });
+  const entries = await fs.readdir(source);
+  for (const entry of entries) {
+    await copyTreeVerified(path.join(source, entry), path.join(destination, entry), onProgress);
+  }
+  // Set folder times last, since adding entries updates them
+  await fs.utimes(destination, stats.atime, stats.mtime);
+}
+
+/**
+ * Move across file systems, where fs.rename fails with EXDEV: copy and
+ * verify everything first, then remove the source. If the copy fails the
+ * partial destination is removed and the source is left untouched.
+ */
+async function moveAcrossDevices(source, destination, onProgress) {
+  const existed = await fs.lstat(destination).then(() => true, () => false);
+
+  try {
+    await copyTreeVerified(source, destination, onProgress);
+  } catch (error) {
+    // Never clean up a destination that was there before (an overwrite)
+    if (!existed) {
+      await fs.rm(destination, { recursive: true, force: true }).catch(() => {});
+    }
+    throw error;
+  }
+
+  await fs.rm(source, { recursive: true });
+}
+
+/**
+ * fs.rename with a copy-verify-delete fallback for cross-device moves
+ */
+async function movePath(source, destination, onProgress) {
+  try {
+    await fs.rename(source, destination);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    await moveAcrossDevices(source, destination, onProgress);
+  }
+}
+
+module.exports = { movePath, moveAcrossDevices, copyFileVerified, writeFileAtomic };
@@ -0,0 +1,144 @@
+const path = require('path');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+
+// Names browsers and our own transfers use while a file is still arriving
+const TEMPORARY_FILE_PATTERNS = [
+  /\.crdownload$/i, /\.part$/i, /\.partial$/i, /\.download$/i, /\.tmp$/i,
+  /\.sortmagic-partial$/, /\.sortmagic-link$/, /\.sortmagic-rename$/, /^~\$/, /^\.~lock\./
+];
+
+function isTemporaryFile(name) {
+  return TEMPORARY_FILE_PATTERNS.some(pattern => pattern.test(name));
+}
+
+/**
+ * Watches folders (not their subfolders) for new files and reports them
+ * once they have stopped changing.
+ *
+ * A file counts as new when it appears in the folder (created, moved or
+ * renamed in); edits to files that were already there are ignored. It is
+ * settled once its size and modification time are the same on two checks
+ * `settleMs` apart. Settled files are reported together after `debounceMs`
+ * without further arrivals, so a burst of downloads becomes one batch.
+ *
+ * Options:
+ *   settleMs    time a file must stay unchanged (default 2000)
+ *   debounceMs  quiet period before reporting settled files (default 1000)
+ *   onArrivals  called with (folderPath, filePaths)
+ *   onError     called with (folderPath, error) when watching fails
+ */
+class FolderWatcher {
+  constructor(options = {}) {
+    this.settleMs = options.settleMs || 2000;
+    this.debounceMs = options.debounceMs || 1000;
+    this.onArrivals = options.onArrivals || (() => {});
+    this.onError = options.onError || (() => {});
+    // folderPath -> { watcher, pending: Map(name -> { timer, size, mtimeMs }), settled, flushTimer }
+    this.folders = new Map();
+  }
+
+  isWatching(folderPath) {
+    return this.folders.has(path.resolve(folderPath));
+  }
+
+  add(folderPath) {
+    const key = path.resolve(folderPath);
+    if (this.folders.has(key)) return;
+
+    const state = { watcher: null, pending: new Map(), settled: new Set(), flushTimer: null };
+    state.watcher = fsSync.watch(key, { persistent: false }, (eventType, name) => {
+      // "rename" covers files appearing in (and leaving) the folder
+      if (eventType === 'rename' && name) {
+        this.track(key, state, name.toString());
+      }
+    });
+    state.watcher.on('error', (error) => {
+      this.remove(key);
+      this.onError(key, error);
+    });
+
+    this.folders.set(key, state);
+  }
+
+  remove(folderPath) {
+    const key = path.resolve(folderPath);
+    const state = this.folders.get(key);
+    if (!state) return;
+
+    state.watcher.close();
+    state.pending.forEach(entry => clearTimeout(entry.timer));
+    clearTimeout(state.flushTimer);
+    this.folders.delete(key);
+  }
+
+  close() {
+    for (const key of [...this.folders.keys()]) {
+      this.remove(key);
+    }
+  }
+
+  track(folderPath, state, name) {
+    if (isTemporaryFile(name) || state.pending.has(name)) return;
+
+    const entry = { timer: null, size: -1, mtimeMs: -1 };
+    state.pending.set(name, entry);
+    this.scheduleCheck(folderPath, state, name, entry);
+  }
+
+  scheduleCheck(folderPath, state, name, entry) {
+    entry.timer = setTimeout(() => {
+      this.check(folderPath, state, name, entry).catch(error => {
+        state.pending.delete(name);
+        this.onError(folderPath, error);
+      });
+    }, this.settleMs);
+  }
+
+  // Compare with the previous check; report once nothing changed in between
+  async check(folderPath, state, name, entry) {
+    if (this.folders.get(folderPath) !== state) return;
+
+    let stats;
+    try {
+      stats = await fs.stat(path.join(folderPath, name));
+    } catch (error) {
+      // Gone again (moved out, or a temporary name that was renamed)
+      if (error.code !== 'ENOENT') throw error;
+      state.pending.delete(name);
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      state.pending.delete(name);
+      return;
+    }
+
+    if (stats.size === entry.size && stats.mtimeMs === entry.mtimeMs) {
+      state.pending.delete(name);
+      state.settled.add(name);
+      this.scheduleFlush(folderPath, state);
+      return;
+    }
+
+    entry.size = stats.size;
+    entry.mtimeMs = stats.mtimeMs;
+    this.scheduleCheck(folderPath, state, name, entry);
+  }
+
+  scheduleFlush(folderPath, state) {
+    clearTimeout(state.flushTimer);
+    state.flushTimer = setTimeout(() => {
+      // Hold off while other arrivals are still settling
+      if (state.pending.size > 0) {
+        this.scheduleFlush(folderPath, state);
+        return;
+      }
+      const names = [...state.settled];
+      state.settled.clear();
+      this.onArrivals(folderPath, names.map(name => path.join(folderPath, name)));
+    }, this.debounceMs);
+  }
+}
+
+module.exports = { FolderWatcher, isTemporaryFile };
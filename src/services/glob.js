@@ -0,0 +1,65 @@
+/**
+ * Minimal glob matching for ignore patterns and rules.
+ * Supports `*` (within a path segment), `**` (across segments), `?` and
+ * `{a,b}` alternatives. Patterns without a slash match the base name only.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" matches zero or more directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        const options = pattern.slice(i + 1, end).split(',').map(escapeRegExp);
+        source += `(?:${options.join('|')})`;
+        i = end;
+      }
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+const cache = new Map();
+
+/**
+ * Match a name or relative path (either separator) against a glob
+ */
+function matchesGlob(pattern, name, relativePath) {
+  if (!cache.has(pattern)) {
+    cache.set(pattern, globToRegExp(pattern));
+  }
+  const regex = cache.get(pattern);
+
+  if (pattern.includes('/') && relativePath) {
+    return regex.test(relativePath.replace(/\\/g, '/'));
+  }
+  return regex.test(name);
+}
+
+module.exports = { globToRegExp, matchesGlob };
@@ -0,0 +1,307 @@
+const OpenAI = require('openai');
+
+// Supported backends. Each one speaks to a server over HTTP, so local
+// servers keep file names and contents on this machine.
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI-compatible API',
+    baseURL: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4',
+    embeddingModel: 'text-embedding-3-small',
+    // Tasks whose default differs from defaultModel (see DEFAULT_TASK_MODELS)
+    taskModels: { projects: 'gpt-3.5-turbo', renames: 'gpt-3.5-turbo' },
+    local: false
+  },
+  ollama: {
+    label: 'Ollama',
+    baseURL: 'http://localhost:11434',
+    defaultModel: 'llama3.1',
+    embeddingModel: 'nomic-embed-text',
+    local: true
+  },
+  llamacpp: {
+    label: 'llama.cpp server',
+    baseURL: 'http://localhost:8080/v1',
+    // llama.cpp serves whichever model it was started with (embeddings
+    // need a server started with --embedding)
+    defaultModel: 'default',
+    embeddingModel: 'default',
+    local: true
+  }
+};
+
+/**
+ * Chat models behind the OpenAI chat completions API: OpenAI itself and
+ * any compatible server (LM Studio, vLLM, LocalAI, ...).
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseURL, apiKey }) {
+    this.client = new OpenAI({
+      baseURL: baseURL || PROVIDERS.openai.baseURL,
+      apiKey: apiKey
+    });
+  }
+
+  /**
+   * Send a chat request and return { content, toolCalls }.
+   *
+   * Request: { model, messages, temperature, maxTokens, json, tools, signal }
+   * `json` asks for a JSON reply where the backend supports forcing it.
+   * `tools` are [{ name, description, parameters }]; the model's calls come
+   * back as [{ id, name, arguments }] with arguments as a JSON string.
+   * Messages use the OpenAI shape, including assistant `tool_calls` and
+   * `tool` results. With `onToken(text)` the reply is streamed and each
+   * piece of text is passed on as it arrives.
+   */
+  async chat(request) {
+    const params = {
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      tools: request.tools && request.tools.map(tool => ({ type: 'function', function: tool }))
+    };
+    if (request.onToken) {
+      return this.streamChat(params, request);
+    }
+
+    const completion = await this.client.chat.completions.create(params, {
+      signal: request.signal
+    });
+
+    const message = completion.choices[0].message;
+    return {
+      content: message.content,
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments
+      }))
+    };
+  }
+
+  // Tool calls arrive in pieces keyed by index; names and arguments are
+  // concatenated until the stream ends
+  async streamChat(params, request) {
+    const stream = await this.client.chat.completions.create({ ...params, stream: true }, {
+      signal: request.signal
+    });
+
+    let content = '';
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0] ? chunk.choices[0].delta : {};
+      if (delta.content) {
+        content += delta.content;
+        request.onToken(delta.content);
+      }
+      for (const part of delta.tool_calls || []) {
+        const call = toolCalls[part.index] = toolCalls[part.index] ||
+          { id: '', name: '', arguments: '' };
+        if (part.id) call.id = part.id;
+        if (part.function && part.function.name) call.name += part.function.name;
+        if (part.function && part.function.arguments) call.arguments += part.function.arguments;
+      }
+    }
+
+    return { content, toolCalls: toolCalls.filter(Boolean) };
+  }
+
+  /**
+   * Embedding vectors for a list of texts: { model, input, signal }
+   */
+  async embed(request) {
+    const response = await this.client.embeddings.create({
+      model: request.model,
+      input: request.input
+    }, { signal: request.signal });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  async listModels() {
+    const models = [];
+    for await (const model of this.client.models.list()) {
+      models.push(model.id);
+    }
+    return models.sort();
+  }
+}
+
+/**
+ * llama.cpp's bundled server, through its OpenAI-compatible endpoints.
+ * It needs no API key unless started with --api-key.
+ */
+class LlamaCppProvider extends OpenAICompatibleProvider {
+  constructor({ baseURL, apiKey }) {
+    super({
+      baseURL: baseURL || PROVIDERS.llamacpp.baseURL,
+      apiKey: apiKey || 'no-key'
+    });
+  }
+}
+
+// Ollama takes tool call arguments as objects and tool results by name
+// (tool_name) rather than call id; the name comes from the call the
+// result answers
+function toOllamaMessage(message, index, messages) {
+  if (message.tool_calls) {
+    return {
+      role: 'assistant',
+      content: message.content,
+      tool_calls: message.tool_calls.map(call => ({
+        function: {
+          name: call.function.name,
+          arguments: JSON.parse(call.function.arguments || '{}')
+        }
+      }))
+    };
+  }
+  if (message.role === 'tool') {
+    const call = messages.slice(0, index)
+      .flatMap(earlier => earlier.tool_calls || [])
+      .find(earlier => earlier.id === message.tool_call_id);
+    return {
+      role: 'tool',
+      content: message.content,
+      tool_name: call ? call.function.name : undefined
+    };
+  }
+  return message;
+}
+
+/**
+ * Ollama's native chat API
+ */
+class OllamaProvider {
+  constructor({ baseURL }) {
+    this.baseURL = (baseURL || PROVIDERS.ollama.baseURL).replace(/\/+$/, '');
+  }
+
+  async send(endpoint, body, signal) {
+    const response = await fetch(this.baseURL + endpoint, {
+      method: body ? 'POST' : 'GET',
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal: signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`Ollama returned ${response.status}: ${text || response.statusText}`);
+    }
+    return response;
+  }
+
+  async request(endpoint, body, signal) {
+    return (await this.send(endpoint, body, signal)).json();
+  }
+
+  /**
+   * Streamed replies come as one JSON object per line
+   */
+  async *streamLines(endpoint, body, signal) {
+    const response = await this.send(endpoint, body, signal);
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    for await (const chunk of response.body) {
+      buffered += decoder.decode(chunk, { stream: true });
+      const lines = buffered.split('\n');
+      buffered = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield JSON.parse(line);
+      }
+    }
+    if (buffered.trim()) yield JSON.parse(buffered);
+  }
+
+  async chat(request) {
+    const body = {
+      model: request.model,
+      messages: request.messages.map(toOllamaMessage),
+      tools: request.tools && request.tools.map(tool => ({ type: 'function', function: tool })),
+      stream: Boolean(request.onToken),
+      format: request.json ? 'json' : undefined,
+      options: {
+        temperature: request.temperature,
+        num_predict: request.maxTokens
+      }
+    };
+
+    let content = '';
+    let calls = [];
+    if (request.onToken) {
+      for await (const part of this.streamLines('/api/chat', body, request.signal)) {
+        if (part.error) throw new Error(`Ollama: ${part.error}`);
+        if (part.message && part.message.content) {
+          content += part.message.content;
+          request.onToken(part.message.content);
+        }
+        if (part.message && part.message.tool_calls) {
+          calls.push(...part.message.tool_calls);
+        }
+      }
+    } else {
+      const result = await this.request('/api/chat', body, request.signal);
+      content = result.message.content;
+      calls = result.message.tool_calls || [];
+    }
+
+    // Ollama does not number tool calls; ids only need to be unique per reply
+    return {
+      content: content,
+      toolCalls: calls.map((call, i) => ({
+        id: `call_${i}`,
+        name: call.function.name,
+        arguments: JSON.stringify(call.function.arguments || {})
+      }))
+    };
+  }
+
+  async embed(request) {
+    const result = await this.request('/api/embed', {
+      model: request.model,
+      input: request.input
+    }, request.signal);
+
+    return result.embeddings;
+  }
+
+  async listModels() {
+    const result = await this.request('/api/tags');
+    return result.models.map(model => model.name).sort();
+  }
+}
+
+/**
+ * Build a provider from the "ai" settings: { provider, baseURL, apiKey }.
+ * Throws when the configuration cannot work (e.g. OpenAI without a key).
+ */
+function createProvider(config) {
+  switch (config.provider) {
+    case 'openai': {
+      const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+      if (!apiKey) {
+        throw new Error('OpenAI API key not found. Set one in Settings or in the .env file.');
+      }
+      return new OpenAICompatibleProvider({ baseURL: config.baseURL, apiKey: apiKey });
+    }
+    case 'ollama':
+      return new OllamaProvider({ baseURL: config.baseURL });
+    case 'llamacpp':
+      return new LlamaCppProvider({ baseURL: config.baseURL, apiKey: config.apiKey });
+    default:
+      throw new Error('Unknown AI provider: ' + config.provider);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  LlamaCppProvider
+};
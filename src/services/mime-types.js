@@ -0,0 +1,221 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+// Extension -> MIME type for the formats the organizer cares about
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.log': 'text/plain',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.ts': 'text/typescript',
+  '.py': 'text/x-python',
+  '.java': 'text/x-java',
+  '.cpp': 'text/x-c++',
+  '.c': 'text/x-c',
+  '.h': 'text/x-c',
+  '.sh': 'text/x-shellscript',
+  '.xml': 'application/xml',
+  '.json': 'application/json',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+  '.bmp': 'image/bmp',
+  '.heic': 'image/heic',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska',
+  '.webm': 'video/webm',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.zip': 'application/zip',
+  '.rar': 'application/vnd.rar',
+  '.7z': 'application/x-7z-compressed',
+  '.tar': 'application/x-tar',
+  '.gz': 'application/gzip',
+  '.tgz': 'application/gzip',
+  '.exe': 'application/vnd.microsoft.portable-executable'
+};
+
+/**
+ * MIME type guessed from the file extension
+ */
+function getMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Bytes read from the start of a file to recognize its format
+const SNIFF_BYTES = 512;
+
+// Signatures at the start of common formats: [offset, bytes, MIME type]
+const SIGNATURES = [
+  [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a], 'image/png'],
+  [0, [0xff, 0xd8, 0xff], 'image/jpeg'],
+  [0, 'GIF87a', 'image/gif'],
+  [0, 'GIF89a', 'image/gif'],
+  [0, 'BM', 'image/bmp'],
+  [0, [0x49, 0x49, 0x2a, 0x00], 'image/tiff'],
+  [0, [0x4d, 0x4d, 0x00, 0x2a], 'image/tiff'],
+  [0, '%PDF-', 'application/pdf'],
+  [0, [0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [0, [0x50, 0x4b, 0x05, 0x06], 'application/zip'],
+  [0, [0x1f, 0x8b], 'application/gzip'],
+  [0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], 'application/x-7z-compressed'],
+  [0, 'Rar!', 'application/vnd.rar'],
+  [257, 'ustar', 'application/x-tar'],
+  [0, 'fLaC', 'audio/flac'],
+  [0, 'OggS', 'audio/ogg'],
+  [0, 'ID3', 'audio/mpeg'],
+  [0, [0x1a, 0x45, 0xdf, 0xa3], 'video/x-matroska'],
+  [0, 'MZ', 'application/vnd.microsoft.portable-executable'],
+  [0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1], 'application/x-ole-storage']
+];
+
+// Signatures short enough to start ordinary text ("BMW ...", "MZ readme").
+// They only count when the file doesn't look like text, or its extension agrees
+const WEAK_SIGNATURES = ['BM', 'ID3', 'MZ'];
+
+// RIFF containers name their format at offset 8
+const RIFF_TYPES = { 'WEBP': 'image/webp', 'WAVE': 'audio/wav', 'AVI ': 'video/x-msvideo' };
+
+// ISO media files name their brand at offset 8, after "ftyp"
+const FTYP_BRANDS = {
+  'heic': 'image/heic', 'heix': 'image/heic', 'mif1': 'image/heic', 'avif': 'image/avif',
+  'qt  ': 'video/quicktime', 'M4A ': 'audio/mp4', 'M4B ': 'audio/mp4'
+};
+
+// Formats that are zip files inside, told apart by extension
+const ZIP_BASED = ['.docx', '.xlsx', '.pptx', '.odt'];
+
+// Formats that are OLE compound files inside, told apart by extension
+const OLE_BASED = ['.doc', '.xls', '.ppt'];
+
+function startsWith(buffer, offset, signature) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature;
+  if (buffer.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) {
+    if (buffer[offset + i] !== bytes[i]) return false;
+  }
+  return true;
+}
+
+// Text has no NUL bytes and almost no control characters besides tabs,
+// line breaks, form feeds and escapes. Bytes above 0x7f are allowed, so
+// Latin-1 and other single-byte encodings count as text as well as UTF-8
+function looksLikeText(buffer) {
+  if (buffer.includes(0)) return false;
+  let control = 0;
+  for (const byte of buffer) {
+    if (byte < 0x20 && ![0x08, 0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte)) control++;
+  }
+  return control <= buffer.length / 100;
+}
+
+/**
+ * MIME type from the first bytes of a file. Returns null when nothing is
+ * recognized.
+ */
+function sniffMimeType(buffer, filePath = '') {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (startsWith(buffer, 0, 'RIFF') && buffer.length >= 12) {
+    const type = RIFF_TYPES[buffer.toString('latin1', 8, 12)];
+    if (type) return type;
+  }
+  if (startsWith(buffer, 4, 'ftyp') && buffer.length >= 12) {
+    return FTYP_BRANDS[buffer.toString('latin1', 8, 12)] || 'video/mp4';
+  }
+  // UTF-16 text, whose byte order mark could pass for an MPEG frame
+  if (startsWith(buffer, 0, [0xff, 0xfe]) || startsWith(buffer, 0, [0xfe, 0xff])) {
+    const byExtension = getMimeType(filePath);
+    return isTextMimeType(byExtension) ? byExtension : 'text/plain';
+  }
+  // MPEG audio frame sync without an ID3 tag
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 &&
+      !startsWith(buffer, 0, [0xff, 0xd8])) {
+    return 'audio/mpeg';
+  }
+
+  for (const [offset, signature, mimeType] of SIGNATURES) {
+    if (!startsWith(buffer, offset, signature)) continue;
+    if (WEAK_SIGNATURES.includes(signature) && getMimeType(filePath) !== mimeType &&
+        looksLikeText(buffer)) {
+      continue;
+    }
+    if (mimeType === 'application/zip' && ZIP_BASED.includes(ext)) return MIME_TYPES[ext];
+    if (mimeType === 'application/x-ole-storage') {
+      return OLE_BASED.includes(ext) ? MIME_TYPES[ext] : 'application/octet-stream';
+    }
+    if (mimeType === 'video/x-matroska' && buffer.includes('webm')) return 'video/webm';
+    return mimeType;
+  }
+
+  if (buffer.length === 0 || looksLikeText(buffer)) {
+    const byExtension = getMimeType(filePath);
+    if (isTextMimeType(byExtension)) return byExtension;
+    return /<svg[\s>]/i.test(buffer.toString('utf-8')) ? 'image/svg+xml' : 'text/plain';
+  }
+  return null;
+}
+
+/**
+ * MIME type of a file from its content, falling back to the extension for
+ * formats without a recognizable signature
+ */
+async function detectMimeType(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return sniffMimeType(buffer.subarray(0, bytesRead), filePath) || getMimeType(filePath);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Match a MIME type against a pattern such as "image/*" or "application/pdf"
+ */
+function matchesMimeType(pattern, mimeType) {
+  if (pattern.endsWith('/*')) {
+    return mimeType.startsWith(pattern.slice(0, -1));
+  }
+  return pattern.toLowerCase() === mimeType;
+}
+
+function isTextMimeType(mimeType) {
+  return mimeType.startsWith('text/') ||
+    ['application/json', 'application/xml', 'application/yaml'].includes(mimeType);
+}
+
+module.exports = {
+  getMimeType,
+  detectMimeType,
+  sniffMimeType,
+  matchesMimeType,
+  isTextMimeType,
+  MIME_TYPES
+};
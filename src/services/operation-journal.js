@@ -0,0 +1,396 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+class OperationJournal {
+  constructor(journalDir) {
+    this.journalDir = journalDir;
+    // Commits in this process run one after another
+    this.commitQueue = Promise.resolve();
+  }
+
+  /**
+   * Snapshot a path on disk (null when it does not exist)
+   */
+  async snapshot(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      return {
+        isDirectory: stats.isDirectory(),
+        size: stats.size,
+        mtimeMs: stats.mtimeMs
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Record the state an operation is about to change
+   */
+  async capturePreState(operation) {
+    switch (operation.type) {
+      case 'move':
+        return {
+          source: await this.snapshot(operation.source),
+          destination: await this.snapshot(operation.destination)
+        };
+      case 'rename':
+        return {
+          source: await this.snapshot(operation.oldPath),
+          destination: await this.snapshot(operation.newPath)
+        };
+      case 'copy':
+        return { destination: await this.snapshot(operation.destination) };
+      case 'delete':
+      case 'create-folder':
+      case 'create-file':
+        return { target: await this.snapshot(operation.path) };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Record the state an operation left behind. `outcome` is what the
+   * operation returned (the trash entry for deletes, the tags that were
+   * new for tag operations, the trashed file a move, rename or copy
+   * replaced).
+   */
+  async capturePostState(operation, outcome) {
+    switch (operation.type) {
+      case 'delete':
+        return { trashId: outcome ? outcome.id : null };
+      case 'tag':
+        return { added: outcome ? outcome.added : [] };
+      case 'move':
+      case 'copy':
+        return {
+          target: await this.snapshot(operation.destination),
+          replacedTrashId: outcome ? outcome.replacedTrashId : null
+        };
+      case 'rename':
+        return {
+          target: await this.snapshot(operation.newPath),
+          replacedTrashId: outcome ? outcome.replacedTrashId : null
+        };
+      case 'create-folder':
+      case 'create-file':
+        return { target: await this.snapshot(operation.path) };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Start a new in-memory batch record
+   */
+  beginBatch(label) {
+    return {
+      id: null,
+      label: label || 'Batch operations',
+      createdAt: new Date().toISOString(),
+      undoneAt: null,
+      entries: []
+    };
+  }
+
+  /**
+   * Add a successfully executed operation to a batch
+   */
+  record(batch, operation, preState, postState) {
+    batch.entries.push({
+      operation: operation,
+      preState: preState,
+      postState: postState,
+      undone: false
+    });
+  }
+
+  /**
+   * Persist a batch and assign it the next sequential id. Other processes
+   * (the CLI, another window) may commit at the same time, so the file is
+   * created exclusively and a taken id moves on to the next one.
+   */
+  commit(batch) {
+    const result = this.commitQueue.then(() => this.commitNow(batch));
+    this.commitQueue = result.catch(() => {});
+    return result;
+  }
+
+  async commitNow(batch) {
+    await fs.mkdir(this.journalDir, { recursive: true });
+    const ids = await this.listBatchIds();
+    let id = ids.length > 0 ? ids[ids.length - 1] + 1 : 1;
+    while (true) {
+      batch.id = id;
+      try {
+        await this.save(batch, 'wx');
+        return id;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        id++;
+      }
+    }
+  }
+
+  async save(batch, flag = 'w') {
+    const filePath = path.join(this.journalDir, `batch-${batch.id}.json`);
+    await fs.writeFile(filePath, JSON.stringify(batch, null, 2), { encoding: 'utf-8', flag: flag });
+  }
+
+  async listBatchIds() {
+    try {
+      const names = await fs.readdir(this.journalDir);
+      return names
+        .map(name => name.match(/^batch-(\d+)\.json$/))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10))
+        .sort((a, b) => a - b);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async getBatch(batchId) {
+    const filePath = path.join(this.journalDir, `batch-${batchId}.json`);
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Summaries of all journaled batches, newest first
+   */
+  async listBatches() {
+    const ids = await this.listBatchIds();
+    const batches = [];
+
+    for (const id of ids.reverse()) {
+      const batch = await this.getBatch(id);
+      if (!batch) continue;
+
+      batches.push({
+        id: batch.id,
+        label: batch.label,
+        createdAt: batch.createdAt,
+        undoneAt: batch.undoneAt,
+        operations: batch.entries.length,
+        pending: batch.entries.filter(e => !e.undone).length
+      });
+    }
+
+    return batches;
+  }
+
+  /**
+   * Most recent batch that still has operations left to undo
+   */
+  async getLastUndoableBatch() {
+    const ids = await this.listBatchIds();
+
+    for (const id of ids.reverse()) {
+      const batch = await this.getBatch(id);
+      if (batch && batch.entries.some(e => !e.undone)) {
+        return batch;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that the file system still matches what the operation left
+   * behind, and return the inverse operation or a conflict description
+   */
+  async planInverse(entry) {
+    const { operation, preState, postState } = entry;
+
+    switch (operation.type) {
+      case 'move':
+      case 'rename': {
+        const from = operation.type === 'move' ? operation.destination : operation.newPath;
+        const to = operation.type === 'move' ? operation.source : operation.oldPath;
+
+        if (!matchesSnapshot(await this.snapshot(from), postState.target)) {
+          return { conflict: `"${from}" has been changed or removed since the batch ran` };
+        }
+        if (await this.snapshot(to)) {
+          return { conflict: `"${to}" is occupied by another file` };
+        }
+        const inverse = operation.type === 'move'
+          ? { type: 'move', source: from, destination: to }
+          : { type: 'rename', oldPath: from, newPath: to };
+
+        if (preState.destination && postState.replacedTrashId) {
+          // The file it replaced went to the trash; put it back afterwards
+          return {
+            inverse: inverse,
+            followUp: { type: 'restore', trashId: postState.replacedTrashId, path: from }
+          };
+        }
+        if (preState.destination) {
+          // Journaled before replaced files were trashed: gone for good
+          return {
+            inverse: inverse,
+            warning: `the file previously at "${from}" was overwritten and cannot be restored`
+          };
+        }
+        return { inverse: inverse };
+      }
+
+      case 'copy':
+      case 'create-file':
+      case 'create-folder': {
+        const target = operation.type === 'copy' ? operation.destination : operation.path;
+
+        if (operation.type === 'create-folder' && preState.target) {
+          return { skipped: `folder "${target}" already existed before the batch ran` };
+        }
+        const replacedTrashId = postState.replacedTrashId || null;
+        if ((preState.destination || preState.target) && !replacedTrashId) {
+          return { conflict: `"${target}" existed before the batch ran and was overwritten` };
+        }
+
+        const current = await this.snapshot(target);
+        if (!current) {
+          return { skipped: `"${target}" no longer exists` };
+        }
+        if (operation.type === 'create-folder') {
+          const entries = await fs.readdir(target);
+          if (entries.length > 0) {
+            return { conflict: `folder "${target}" is not empty` };
+          }
+        } else if (!matchesSnapshot(current, postState.target)) {
+          return { conflict: `"${target}" has been modified since the batch ran` };
+        }
+        if (replacedTrashId) {
+          return {
+            inverse: { type: 'delete', path: target },
+            followUp: { type: 'restore', trashId: replacedTrashId, path: target }
+          };
+        }
+        return { inverse: { type: 'delete', path: target } };
+      }
+
+      case 'hardlink':
+        return { skipped: `"${operation.destination}" was replaced by a hard link to an identical file` };
+
+      case 'tag':
+        // Only remove the tags this operation added; earlier ones stay
+        if (!postState.added || postState.added.length === 0) {
+          return { skipped: `"${operation.path}" already had these tags` };
+        }
+        return { inverse: { type: 'untag', path: operation.path, tags: postState.added } };
+
+      case 'delete':
+        if (!postState.trashId) {
+          return { skipped: `"${operation.path}" was permanently deleted and cannot be restored` };
+        }
+        if (await this.snapshot(operation.path)) {
+          return { conflict: `"${operation.path}" is occupied by another file` };
+        }
+        return { inverse: { type: 'restore', trashId: postState.trashId, path: operation.path } };
+
+      default:
+        return { conflict: `operation type "${operation.type}" cannot be undone` };
+    }
+  }
+
+  /**
+   * Replay the inverse of a batch's operations in reverse order.
+   * executeOperation runs a single batch operation and throws on failure.
+   */
+  async undoBatch(batchId, executeOperation) {
+    const batch = batchId != null
+      ? await this.getBatch(batchId)
+      : await this.getLastUndoableBatch();
+
+    if (!batch) {
+      return {
+        success: false,
+        error: batchId != null ? `Batch ${batchId} not found` : 'Nothing to undo'
+      };
+    }
+
+    const results = [];
+
+    for (const entry of [...batch.entries].reverse()) {
+      if (entry.undone) continue;
+
+      let plan;
+      try {
+        plan = await this.planInverse(entry);
+      } catch (error) {
+        plan = { conflict: error.message };
+      }
+
+      if (!plan.inverse) {
+        results.push({
+          operation: entry.operation,
+          success: false,
+          conflict: plan.conflict || null,
+          skipped: plan.skipped || null
+        });
+        if (plan.skipped) entry.undone = true;
+        continue;
+      }
+
+      try {
+        await executeOperation(plan.inverse);
+        entry.undone = true;
+        let warning = plan.warning || null;
+        if (plan.followUp) {
+          // Restore the file the operation replaced
+          try {
+            await executeOperation(plan.followUp);
+          } catch (error) {
+            warning = `the file it replaced could not be restored from the trash: ${error.message}`;
+          }
+        }
+        results.push({
+          operation: entry.operation,
+          inverse: plan.inverse,
+          success: true,
+          warning: warning
+        });
+      } catch (error) {
+        results.push({
+          operation: entry.operation,
+          inverse: plan.inverse,
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    if (batch.entries.every(e => e.undone)) {
+      batch.undoneAt = new Date().toISOString();
+    }
+    await this.save(batch);
+
+    return {
+      success: true,
+      batchId: batch.id,
+      label: batch.label,
+      total: results.length,
+      undone: results.filter(r => r.success).length,
+      conflicts: results.filter(r => !r.success && !r.skipped).length,
+      results: results
+    };
+  }
+}
+
+// Directories only need to still be directories; files must keep size and mtime
+function matchesSnapshot(current, expected) {
+  if (!current || !expected) return false;
+  if (current.isDirectory !== expected.isDirectory) return false;
+  if (current.isDirectory) return true;
+  return current.size === expected.size && current.mtimeMs === expected.mtimeMs;
+}
+
+module.exports = OperationJournal;
@@ -0,0 +1,264 @@
+const path = require('path');
+const fsSync = require('fs');
+const fs = fsSync.promises;
+const { DEFAULT_COLLISION_POLICY, nextFreePath } = require('./collision');
+
+/**
+ * Validates batch operations without touching the disk. Each operation is
+ * checked against the real file system plus the simulated effects of the
+ * operations before it, so a move into a folder created earlier in the
+ * same batch is accepted.
+ */
+class OperationValidator {
+  constructor(collisionPolicy) {
+    this.collisionPolicy = collisionPolicy || DEFAULT_COLLISION_POLICY;
+    // path -> 'file' | 'directory' | null (removed) for simulated changes
+    this.simulated = new Map();
+  }
+
+  async getType(filePath) {
+    const key = path.resolve(filePath);
+    if (this.simulated.has(key)) {
+      return this.simulated.get(key);
+    }
+
+    try {
+      const stats = await fs.stat(key);
+      return stats.isDirectory() ? 'directory' : 'file';
+    } catch (error) {
+      return null;
+    }
+  }
+
+  setType(filePath, type) {
+    this.simulated.set(path.resolve(filePath), type);
+  }
+
+  /**
+   * Whether new entries can be created inside dirPath. Folders that do not
+   * exist on disk yet inherit the permissions of their nearest real ancestor.
+   */
+  async canWriteInto(dirPath) {
+    let current = path.resolve(dirPath);
+
+    while (true) {
+      try {
+        await fs.access(current, fsSync.constants.W_OK);
+        return (await fs.stat(current)).isDirectory();
+      } catch (error) {
+        if (error.code !== 'ENOENT') return false;
+      }
+
+      const parent = path.dirname(current);
+      if (parent === current) return false;
+      current = parent;
+    }
+  }
+
+  async checkSource(sourcePath, errors) {
+    if (!sourcePath) {
+      errors.push('Source path is missing');
+      return null;
+    }
+
+    const type = await this.getType(sourcePath);
+    if (!type) {
+      errors.push(`Source does not exist: ${sourcePath}`);
+    }
+    return type;
+  }
+
+  /**
+   * Check the destination folder and predict what the collision policy
+   * will do. Returns the destination the operation would really write to,
+   * or null when it would be skipped.
+   */
+  async checkDestination(destinationPath, policy, errors, warnings, report) {
+    if (!destinationPath) {
+      errors.push('Destination path is missing');
+      return null;
+    }
+
+    const parent = path.dirname(destinationPath);
+    const parentType = await this.getType(parent);
+    if (parentType !== 'directory') {
+      errors.push(`Destination folder does not exist: ${parent}`);
+    } else if (!(await this.canWriteInto(parent))) {
+      errors.push(`No write permission for ${parent}`);
+    }
+
+    if (!(await this.getType(destinationPath))) {
+      return destinationPath;
+    }
+
+    switch (policy) {
+      case 'suffix': {
+        const free = await nextFreePath(destinationPath, async p => Boolean(await this.getType(p)));
+        warnings.push(`Destination exists; will be saved as ${path.basename(free)}`);
+        report.collision = { policy: policy, action: 'renamed', destination: free };
+        return free;
+      }
+      case 'overwrite':
+        warnings.push(`Destination exists and will be replaced (it goes to the trash): ${destinationPath}`);
+        report.collision = { policy: policy, action: 'overwritten', destination: destinationPath };
+        return destinationPath;
+      case 'keep-newer':
+        warnings.push(`Destination exists; the newer of the two files will be kept`);
+        report.collision = { policy: policy, action: 'keep-newer', destination: destinationPath };
+        return destinationPath;
+      case 'ask':
+        warnings.push(`Destination exists; you will be asked what to do`);
+        report.collision = { policy: policy, action: 'ask', destination: destinationPath };
+        return destinationPath;
+      default:
+        warnings.push(`Destination exists; will be skipped: ${destinationPath}`);
+        report.collision = { policy: policy, action: 'skipped', destination: null };
+        return null;
+    }
+  }
+
+  /**
+   * Validate a single operation and apply its effects to the simulation
+   */
+  async validate(operation) {
+    const errors = [];
+    const warnings = [];
+    const report = { collision: null };
+    const policy = operation.collisionPolicy || this.collisionPolicy;
+
+    switch (operation.type) {
+      case 'move':
+      case 'rename': {
+        const source = operation.type === 'move' ? operation.source : operation.oldPath;
+        const destination = operation.type === 'move' ? operation.destination : operation.newPath;
+        const type = await this.checkSource(source, errors);
+        const target = await this.checkDestination(destination, policy, errors, warnings, report);
+
+        if (type && !(await this.canWriteInto(path.dirname(source)))) {
+          errors.push(`No write permission for ${path.dirname(source)}`);
+        }
+        if (errors.length === 0 && target) {
+          this.setType(source, null);
+          this.setType(target, type);
+        }
+        break;
+      }
+
+      case 'copy': {
+        const type = await this.checkSource(operation.source, errors);
+        const target = await this.checkDestination(operation.destination, policy, errors, warnings, report);
+
+        if (type) {
+          try {
+            await fs.access(operation.source, fsSync.constants.R_OK);
+          } catch (error) {
+            errors.push(`No read permission for ${operation.source}`);
+          }
+        }
+        if (errors.length === 0 && target) {
+          this.setType(target, type);
+        }
+        break;
+      }
+
+      case 'delete': {
+        const type = await this.checkSource(operation.path, errors);
+        if (type && !(await this.canWriteInto(path.dirname(operation.path)))) {
+          errors.push(`No write permission for ${path.dirname(operation.path)}`);
+        }
+        if (errors.length === 0) {
+          this.setType(operation.path, null);
+        }
+        break;
+      }
+
+      case 'create-folder': {
+        const type = await this.getType(operation.path);
+        if (type === 'directory') {
+          warnings.push(`Folder already exists: ${operation.path}`);
+        } else if (type === 'file') {
+          errors.push(`A file already exists at ${operation.path}`);
+        } else if (!(await this.canWriteInto(path.dirname(operation.path)))) {
+          errors.push(`No write permission for ${path.dirname(operation.path)}`);
+        }
+        if (errors.length === 0) {
+          this.setType(operation.path, 'directory');
+        }
+        break;
+      }
+
+      case 'create-file': {
+        const type = await this.getType(operation.path);
+        if (type === 'directory') {
+          errors.push(`A folder already exists at ${operation.path}`);
+        } else if (type === 'file') {
+          warnings.push(`File will be overwritten: ${operation.path}`);
+        }
+        if (!(await this.canWriteInto(path.dirname(operation.path)))) {
+          errors.push(`No write permission for ${path.dirname(operation.path)}`);
+        }
+        if (errors.length === 0) {
+          this.setType(operation.path, 'file');
+        }
+        break;
+      }
+
+      case 'hardlink': {
+        const sourceType = await this.checkSource(operation.source, errors);
+        const targetType = await this.getType(operation.destination);
+        if (sourceType === 'directory' || targetType === 'directory') {
+          errors.push('Folders cannot be hard-linked');
+        } else if (!targetType) {
+          errors.push(`Duplicate does not exist: ${operation.destination}`);
+        } else if (!(await this.canWriteInto(path.dirname(operation.destination)))) {
+          errors.push(`No write permission for ${path.dirname(operation.destination)}`);
+        }
+        break;
+      }
+
+      case 'tag':
+      case 'untag':
+        if (!operation.tags || operation.tags.length === 0) {
+          errors.push('No tags given');
+        }
+        if (operation.type === 'tag') {
+          await this.checkSource(operation.path, errors);
+        }
+        break;
+
+      default:
+        errors.push('Unknown operation type: ' + operation.type);
+    }
+
+    return { errors, warnings, collision: report.collision };
+  }
+}
+
+/**
+ * Dry-run a list of operations, returning results shaped like a real batch
+ */
+async function validateOperations(operations, options = {}) {
+  const validator = new OperationValidator(options.collisionPolicy);
+  const results = [];
+
+  for (const operation of operations) {
+    const { errors, warnings, collision } = await validator.validate(operation);
+    results.push({
+      operation: operation,
+      success: errors.length === 0,
+      error: errors.length > 0 ? errors.join('; ') : null,
+      warnings: warnings,
+      collision: collision
+    });
+  }
+
+  return {
+    dryRun: true,
+    total: operations.length,
+    successful: results.filter(r => r.success).length,
+    failed: results.filter(r => !r.success).length,
+    results: results
+  };
+}
+
+module.exports = { OperationValidator, validateOperations };
@@ -0,0 +1,346 @@
+const path = require('path');
+const fs = require('fs').promises;
+const yaml = require('js-yaml');
+const { matchesGlob } = require('./glob');
+const { getMimeType, matchesMimeType, isTextMimeType } = require('./mime-types');
+const { renderTemplate } = require('./template');
+
+// Rules kept next to the files they sort, picked up along with the global ones
+const FOLDER_RULES_FILES = ['.sortmagic-rules.yaml', '.sortmagic-rules.yml', '.sortmagic-rules.json'];
+const RULE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Only this much of a file is searched by "contains"
+const CONTENT_SEARCH_BYTES = 64 * 1024;
+
+const SAMPLE_RULES = `# SortMagic rules. Every .yaml, .yml or .json file in this folder is loaded.
+# Rules run in priority order (highest first); the first matching rule wins.
+#
+# match (all listed conditions must hold):
+#   glob:      "*.pdf" or "reports/**/*.csv" (a list matches any)
+#   nameRegex: "^invoice"            (case-insensitive)
+#   extension: [jpg, png]
+#   size:      { min: 10KB, max: 2GB }
+#   age:       { olderThan: 30d, newerThan: 1y }   (d, w, m, y)
+#   mime:      "image/*"
+#   contains:  "Invoice"             (text files only, first 64KB)
+#
+# actions:
+#   move:   "Photos/{year}/{month}"   (relative to the folder being sorted)
+#   rename: "{date:YYYY-MM-DD} {name}{ext}"
+#   tag:    [receipt, tax]
+#   delete: true                      (moves the file to the trash)
+#
+# Templates: {name} {ext} {extension} {parent} {year} {month} {day} {date:FORMAT}
+
+rules:
+  - name: Photos by year
+    enabled: false
+    priority: 10
+    match:
+      mime: "image/*"
+    actions:
+      move: "Photos/{year}"
+
+  - name: Old installers
+    enabled: false
+    priority: 5
+    match:
+      extension: [dmg, exe, msi, pkg]
+      age: { olderThan: 90d }
+    actions:
+      delete: true
+`;
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+const AGE_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+/**
+ * "10MB", "512 KB" or a plain number of bytes
+ */
+function parseSize(value) {
+  if (typeof value === 'number') return value;
+  const match = /^\s*([\d.]+)\s*(B|KB|MB|GB|TB)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid size "${value}"`);
+  }
+  return parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'B').toUpperCase()];
+}
+
+/**
+ * "30d", "2w", "6m", "1y" or a plain number of days, in milliseconds
+ */
+function parseAge(value) {
+  const match = /^\s*([\d.]+)\s*([dwmy])?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid age "${value}"`);
+  }
+  const days = parseFloat(match[1]) * AGE_UNITS[(match[2] || 'd').toLowerCase()];
+  return days * 24 * 60 * 60 * 1000;
+}
+
+function toList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check a raw rule and turn it into the form `matchRule` expects.
+ * Throws with the rule's name and source file when it is malformed.
+ */
+function compileRule(raw, source) {
+  const name = raw.name || 'Unnamed rule';
+  const where = `Rule "${name}" in ${path.basename(source)}`;
+  const match = raw.match || {};
+  const actions = raw.actions || {};
+
+  if (!raw.match || Object.keys(match).length === 0) {
+    throw new Error(`${where} has no match conditions`);
+  }
+  if (!actions.move && !actions.rename && !actions.tag && !actions.delete) {
+    throw new Error(`${where} has no actions`);
+  }
+  if (actions.delete && (actions.move || actions.rename)) {
+    throw new Error(`${where} cannot both delete and move or rename`);
+  }
+  if (actions.rename && /[\\\/]/.test(actions.rename)) {
+    throw new Error(`${where}: rename templates cannot contain folders, use move`);
+  }
+
+  let nameRegex = null;
+  if (match.nameRegex) {
+    try {
+      nameRegex = new RegExp(match.nameRegex, 'i');
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  }
+
+  try {
+    return {
+      name: name,
+      source: source,
+      priority: Number(raw.priority) || 0,
+      enabled: raw.enabled !== false,
+      match: {
+        globs: toList(match.glob),
+        nameRegex: nameRegex,
+        extensions: toList(match.extension).map(ext =>
+          '.' + String(ext).replace(/^\./, '').toLowerCase()),
+        minSize: match.size && match.size.min != null ? parseSize(match.size.min) : null,
+        maxSize: match.size && match.size.max != null ? parseSize(match.size.max) : null,
+        olderThan: match.age && match.age.olderThan != null ? parseAge(match.age.olderThan) : null,
+        newerThan: match.age && match.age.newerThan != null ? parseAge(match.age.newerThan) : null,
+        mimeTypes: toList(match.mime),
+        keywords: toList(match.contains).map(String)
+      },
+      actions: {
+        move: actions.move || null,
+        rename: actions.rename || null,
+        tags: toList(actions.tag).map(String),
+        delete: actions.delete === true
+      }
+    };
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+}
+
+/**
+ * Read one rules file. Accepts a list of rules or { rules: [...] }.
+ */
+async function loadRuleFile(filePath) {
+  const text = await fs.readFile(filePath, 'utf-8');
+  let data;
+  try {
+    data = path.extname(filePath).toLowerCase() === '.json' ?
+      JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`${path.basename(filePath)}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(data) ? data : (data && data.rules) || [];
+  return rules.map(rule => compileRule(rule, filePath));
+}
+
+/**
+ * Rules from every rules file in rulesDir plus the folder's own rules file.
+ * Files that fail to load are reported in `errors` and the rest still run.
+ */
+async function loadRules(rulesDir, folderPath) {
+  const files = [];
+  const errors = [];
+
+  try {
+    const names = (await fs.readdir(rulesDir)).sort();
+    for (const name of names) {
+      if (RULE_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+        files.push(path.join(rulesDir, name));
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') errors.push(error.message);
+  }
+
+  if (folderPath) {
+    for (const name of FOLDER_RULES_FILES) {
+      files.push(path.join(folderPath, name));
+    }
+  }
+
+  const rules = [];
+  for (const file of files) {
+    try {
+      rules.push(...await loadRuleFile(file));
+    } catch (error) {
+      if (error.code !== 'ENOENT') errors.push(error.message);
+    }
+  }
+
+  // Stable sort keeps file order among rules of equal priority
+  rules.sort((a, b) => b.priority - a.priority);
+  return { rules, errors };
+}
+
+/**
+ * Create the rules folder with a commented, disabled sample on first use
+ */
+async function ensureRulesFolder(rulesDir) {
+  await fs.mkdir(rulesDir, { recursive: true });
+  const names = await fs.readdir(rulesDir);
+  if (!names.some(name => RULE_FILE_EXTENSIONS.includes(path.extname(name).toLowerCase()))) {
+    await fs.writeFile(path.join(rulesDir, 'example.yaml'), SAMPLE_RULES, 'utf-8');
+  }
+}
+
+async function readHead(filePath, bytes) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await handle.read(buffer, 0, bytes, 0);
+    return buffer.toString('utf-8', 0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Whether a file satisfies every condition of a compiled rule
+ */
+async function matchRule(rule, file, now = Date.now()) {
+  const m = rule.match;
+  const ext = path.extname(file.name).toLowerCase();
+  const mimeType = getMimeType(file.name);
+
+  if (m.globs.length > 0 &&
+      !m.globs.some(glob => matchesGlob(glob, file.name, file.relativePath))) {
+    return false;
+  }
+  if (m.nameRegex && !m.nameRegex.test(file.name)) return false;
+  if (m.extensions.length > 0 && !m.extensions.includes(ext)) return false;
+  if (m.minSize != null && file.size < m.minSize) return false;
+  if (m.maxSize != null && file.size > m.maxSize) return false;
+
+  const age = now - new Date(file.modified).getTime();
+  if (m.olderThan != null && age < m.olderThan) return false;
+  if (m.newerThan != null && age > m.newerThan) return false;
+
+  if (m.mimeTypes.length > 0 &&
+      !m.mimeTypes.some(pattern => matchesMimeType(pattern, mimeType))) {
+    return false;
+  }
+
+  // Content is checked last since it is the only condition that reads the file
+  if (m.keywords.length > 0) {
+    if (!isTextMimeType(mimeType)) return false;
+    let text;
+    try {
+      text = (await readHead(file.path, CONTENT_SEARCH_BYTES)).toLowerCase();
+    } catch (error) {
+      return false;
+    }
+    if (!m.keywords.some(keyword => text.includes(keyword.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Evaluate rules against files and build a batch-operations plan.
+ *
+ * Each file is handled by the first enabled rule (by priority) it matches.
+ * Folders come first in the plan, then each file's tag operation followed
+ * by its move, rename or delete; tags follow the file when it moves.
+ */
+async function planRules(rules, rootPath, files) {
+  const folders = new Set();
+  const fileOperations = [];
+  const matches = [];
+  const enabled = rules.filter(rule => rule.enabled);
+
+  for (const file of files) {
+    if (file.isDirectory || FOLDER_RULES_FILES.includes(file.name)) continue;
+
+    let rule = null;
+    for (const candidate of enabled) {
+      if (await matchRule(candidate, file)) {
+        rule = candidate;
+        break;
+      }
+    }
+    if (!rule) continue;
+
+    const actions = rule.actions;
+    matches.push({ path: file.path, rule: rule.name });
+
+    if (actions.tags.length > 0) {
+      fileOperations.push({ type: 'tag', path: file.path, tags: actions.tags });
+    }
+
+    if (actions.delete) {
+      fileOperations.push({ type: 'delete', path: file.path });
+      continue;
+    }
+
+    const folder = actions.move ?
+      path.resolve(rootPath, renderTemplate(actions.move, file)) :
+      path.dirname(file.path);
+    const name = actions.rename ? renderTemplate(actions.rename, file) : file.name;
+    const destination = path.join(folder, name);
+    if (destination === file.path) continue;
+
+    if (folder === path.dirname(file.path)) {
+      fileOperations.push({ type: 'rename', oldPath: file.path, newPath: destination });
+    } else {
+      folders.add(folder);
+      fileOperations.push({ type: 'move', source: file.path, destination: destination });
+    }
+  }
+
+  const operations = [
+    ...[...folders].map(folder => ({ type: 'create-folder', path: folder })),
+    ...fileOperations
+  ];
+
+  // Files matched per rule, in rule order
+  const summary = {};
+  for (const rule of enabled) {
+    const count = matches.filter(m => m.rule === rule.name).length;
+    if (count > 0) summary[rule.name] = count;
+  }
+
+  return { operations, matches, summary };
+}
+
+module.exports = {
+  loadRules,
+  loadRuleFile,
+  ensureRulesFolder,
+  compileRule,
+  matchRule,
+  planRules,
+  parseSize,
+  parseAge,
+  FOLDER_RULES_FILES
+};
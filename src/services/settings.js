@@ -0,0 +1,104 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_SETTINGS = {
+  trash: {
+    // Use the freedesktop.org trash (~/.local/share/Trash) on Linux
+    useSystemTrash: process.platform === 'linux',
+    // Items this app trashed are purged after this many days (0 = never)
+    autoPurgeDays: 30
+  },
+  watch: {
+    // [{ path, strategy, paused }]; strategy is "rules" or a name from strategies.js
+    folders: [],
+    // How long a new file must stay unchanged before it is organized
+    settleSeconds: 2
+  },
+  ai: {
+    // "openai" (or any OpenAI-compatible server), "ollama" or "llamacpp"
+    provider: 'openai',
+    // Server address; empty uses the provider's default
+    baseURL: '',
+    // Empty falls back to OPENAI_API_KEY from the environment
+    apiKey: '',
+    // Model for each AI task
+    models: {
+      chat: 'gpt-4',
+      organize: 'gpt-4',
+      projects: 'gpt-3.5-turbo',
+      renames: 'gpt-3.5-turbo',
+      // Vectors for "find similar", topic clustering and semantic search
+      embeddings: 'text-embedding-3-small'
+    },
+    // Opt-in: send the start of each document's text along with its name
+    content: {
+      enabled: false,
+      // Characters of text per file
+      excerptChars: 1000,
+      // Globs for files whose content is never read or sent
+      exclude: ['.env', '*.pem', '*.key', '*password*', '*secret*']
+    }
+  }
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function merge(base, override) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? merge(base[key], value)
+      : value;
+  }
+  return result;
+}
+
+/**
+ * User settings persisted as JSON under the app data folder
+ */
+class Settings {
+  constructor(filePath, defaults = DEFAULT_SETTINGS) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.values = merge(defaults, {});
+  }
+
+  async load() {
+    try {
+      const saved = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+      this.values = merge(this.defaults, saved);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read settings, using defaults:', error);
+      }
+      this.values = merge(this.defaults, {});
+    }
+    return this.values;
+  }
+
+  getAll() {
+    return this.values;
+  }
+
+  /**
+   * Look up a dotted key such as "trash.autoPurgeDays"
+   */
+  get(key) {
+    return key.split('.').reduce((value, part) =>
+      value == null ? undefined : value[part], this.values);
+  }
+
+  /**
+   * Deep-merge changes into the current settings and save them
+   */
+  async update(changes) {
+    this.values = merge(this.values, changes);
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(this.values, null, 2), 'utf-8');
+    return this.values;
+  }
+}
+
+module.exports = { Settings, DEFAULT_SETTINGS };
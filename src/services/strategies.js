@@ -0,0 +1,75 @@
+const path = require('path');
+const AIOrganizer = require('./ai-service');
+
+/**
+ * Group files by extension ("pdf", "jpg", ...)
+ */
+function organizeByType(files) {
+  const organized = {};
+
+  for (const file of files) {
+    if (!file.isDirectory) {
+      // Extensions carry their dot; a folder named ".pdf" would be hidden
+      const ext = (file.extension || '').replace(/^\./, '') || 'no-extension';
+      if (!organized[ext]) {
+        organized[ext] = [];
+      }
+      organized[ext].push(file);
+    }
+  }
+
+  return organized;
+}
+
+/**
+ * Group files by modification month ("2024-03")
+ */
+function organizeByDate(files) {
+  const organized = {};
+
+  for (const file of files) {
+    if (!file.isDirectory) {
+      const date = new Date(file.modified);
+      const key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      if (!organized[key]) {
+        organized[key] = [];
+      }
+      organized[key].push(file);
+    }
+  }
+
+  return organized;
+}
+
+// Organization strategies that run without AI, by name
+const STRATEGIES = {
+  'by-type': organizeByType,
+  'by-date': organizeByDate,
+  'by-category': files => AIOrganizer.fallbackOrganization(files)
+};
+
+/**
+ * Batch operations that move each category's files into a folder of that
+ * name under rootPath
+ */
+function buildCategoryOperations(rootPath, organized) {
+  const operations = [];
+
+  for (const [category, files] of Object.entries(organized)) {
+    if (!Array.isArray(files) || files.length === 0) continue;
+
+    const categoryFolder = path.join(rootPath, category);
+    operations.push({ type: 'create-folder', path: categoryFolder });
+
+    for (const file of files) {
+      const destination = path.join(categoryFolder, file.name);
+      if (file.path !== destination) {
+        operations.push({ type: 'move', source: file.path, destination: destination });
+      }
+    }
+  }
+
+  return operations;
+}
+
+module.exports = { STRATEGIES, organizeByType, organizeByDate, buildCategoryOperations };
@@ -0,0 +1,438 @@
+const path = require('path');
+
+/**
+ * Line-by-line syntax highlighting for the text preview. Each line becomes
+ * a list of [type, text] tokens, with type '' for plain text and otherwise
+ * one of comment, string, number, keyword, key, tag, attr, variable or
+ * heading. Constructs spanning lines (block comments, multi-line strings,
+ * markup tags, code fences) carry over in a state that the next line
+ * starts from, so a file can be highlighted a range of lines at a time.
+ */
+
+const words = list => new Set(list.split(' '));
+
+const C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if ' +
+  'inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while ' +
+  'bool true false NULL nullptr class namespace template typename public private protected virtual override new ' +
+  'delete this throw try catch using operator friend';
+
+// Languages by name. Keywords are words; the other fields say which
+// delimiters start comments and strings
+const LANGUAGES = {
+  javascript: {
+    extensions: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'", '`'],
+    multilineStrings: ['`'],
+    keywords: words('async await break case catch class const continue debugger default delete do else enum export ' +
+      'extends false finally for from function if implements import in instanceof interface let new null of private ' +
+      'protected public readonly return static super switch this throw true try type typeof undefined var void while ' +
+      'with yield')
+  },
+  json: {
+    extensions: ['.json', '.jsonc', '.json5'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"'],
+    keys: /^"(?:[^"\\]|\\.)*"(?=\s*:)/,
+    keywords: words('true false null')
+  },
+  css: {
+    extensions: ['.css', '.scss', '.less'],
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"],
+    keys: /^[\w-]+(?=\s*:[^:])/,
+    keywords: words('@media @import @font-face @keyframes @supports @mixin @include @extend @use')
+  },
+  python: {
+    extensions: ['.py', '.pyw'],
+    lineComment: '#',
+    strings: ['"""', "'''", '"', "'"],
+    multilineStrings: ['"""', "'''"],
+    keywords: words('and as assert async await break class continue def del elif else except False finally for ' +
+      'from global if import in is lambda None nonlocal not or pass raise return True try while with yield self')
+  },
+  shell: {
+    extensions: ['.sh', '.bash', '.zsh', '.fish'],
+    lineComment: '#',
+    strings: ['"', "'"],
+    variables: /^\$(\{[^}]*\}|\w+|[@*#?$!0-9])/,
+    keywords: words('if then else elif fi for while until do done case esac function in return export local ' +
+      'readonly declare set unset shift exit echo source alias')
+  },
+  yaml: {
+    extensions: ['.yml', '.yaml'],
+    lineComment: '#',
+    strings: ['"', "'"],
+    keys: /^(?:- +)?[^\s#:"'][^#:]*?(?=:(\s|$))/,
+    keywords: words('true false null yes no on off')
+  },
+  ini: {
+    extensions: ['.ini', '.cfg', '.conf', '.toml', '.properties', '.editorconfig'],
+    lineComment: '#',
+    altLineComment: ';',
+    strings: ['"""', "'''", '"', "'"],
+    multilineStrings: ['"""', "'''"],
+    sections: /^\s*\[[^\]]*\]/,
+    keys: /^[\w.\- ]+?(?=\s*[=:])/,
+    keywords: words('true false')
+  },
+  sql: {
+    extensions: ['.sql'],
+    lineComment: '--',
+    blockComment: ['/*', '*/'],
+    strings: ["'", '"'],
+    ignoreCase: true,
+    keywords: words('select from where and or not in is null insert into values update set delete create table ' +
+      'drop alter index view join left right inner outer full on as group by order having limit offset union all ' +
+      'distinct case when then else end primary key foreign references default exists between like begin commit ' +
+      'rollback transaction with returning')
+  },
+  c: {
+    extensions: ['.c', '.h', '.cpp', '.cc', '.cxx', '.hpp', '.hh'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"],
+    preprocessor: /^\s*#\s*\w+/,
+    keywords: words(C_KEYWORDS)
+  },
+  java: {
+    extensions: ['.java', '.kt', '.kts', '.scala', '.cs', '.swift', '.dart'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"""', '"', "'"],
+    multilineStrings: ['"""'],
+    keywords: words('abstract boolean break byte case catch char class const continue default do double else ' +
+      'enum extends final finally float for if implements import instanceof int interface long native new null ' +
+      'package private protected public return short static super switch synchronized this throw throws try ' +
+      'void volatile while true false var val fun let func struct using namespace override async await in is ' +
+      'string object')
+  },
+  go: {
+    extensions: ['.go'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['`', '"', "'"],
+    multilineStrings: ['`'],
+    keywords: words('break case chan const continue default defer else fallthrough for func go goto if import ' +
+      'interface map package range return select struct switch type var true false nil')
+  },
+  rust: {
+    extensions: ['.rs'],
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"'],
+    keywords: words('as async await break const continue crate dyn else enum extern false fn for if impl in let ' +
+      'loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while')
+  },
+  ruby: {
+    extensions: ['.rb', '.rake'],
+    lineComment: '#',
+    strings: ['"', "'"],
+    variables: /^[@$][\w]+/,
+    keywords: words('alias and begin break case class def do else elsif end ensure false for if in module ' +
+      'next nil not or redo rescue retry return self super then true undef unless until when while yield require')
+  },
+  php: {
+    extensions: ['.php'],
+    lineComment: '//',
+    altLineComment: '#',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"],
+    variables: /^\$\w+/,
+    keywords: words('abstract and array as break case catch class const continue declare default do echo else ' +
+      'elseif extends false final finally fn for foreach function global if implements include interface namespace ' +
+      'new null private protected public require return static switch throw trait true try use var while')
+  },
+  markup: {
+    extensions: ['.html', '.htm', '.xml', '.svg', '.xhtml', '.vue', '.plist', '.xsl']
+  },
+  markdown: {
+    extensions: ['.md', '.markdown']
+  }
+};
+
+const LANGUAGE_BY_EXTENSION = new Map();
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  language.extensions.forEach(ext => LANGUAGE_BY_EXTENSION.set(ext, name));
+}
+
+const NUMBER = /^(?:0x[\da-f]+|0b[01]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)/i;
+const WORD = /^@?[A-Za-z_$][\w$]*/;
+
+/**
+ * Name of the language a file is highlighted as, or null
+ */
+function languageForFile(filePath) {
+  const base = path.basename(filePath).toLowerCase();
+  if (base === 'dockerfile' || base === 'makefile') return 'shell';
+  if (base.startsWith('.env')) return 'ini';
+  return LANGUAGE_BY_EXTENSION.get(path.extname(base)) || null;
+}
+
+// Collects tokens, merging neighbours of the same type
+function tokenList() {
+  const tokens = [];
+  return {
+    tokens,
+    push(type, text) {
+      if (!text) return;
+      const last = tokens[tokens.length - 1];
+      if (last && last[0] === type) last[1] += text;
+      else tokens.push([type, text]);
+    }
+  };
+}
+
+// Index just past the closing quote, or -1 when the string runs on
+function findStringEnd(line, from, quote) {
+  for (let i = from; i < line.length; i++) {
+    if (line[i] === '\\' && quote.length === 1) {
+      i++;
+    } else if (line.startsWith(quote, i)) {
+      return i + quote.length;
+    }
+  }
+  return -1;
+}
+
+function highlightCode(line, language, state) {
+  const out = tokenList();
+  let i = 0;
+
+  // Finish what the previous line left open
+  if (state && state.comment) {
+    const end = line.indexOf(language.blockComment[1]);
+    if (end === -1) {
+      out.push('comment', line);
+      return { tokens: out.tokens, state };
+    }
+    i = end + language.blockComment[1].length;
+    out.push('comment', line.slice(0, i));
+  } else if (state && state.string) {
+    const end = findStringEnd(line, 0, state.string);
+    if (end === -1) {
+      out.push('string', line);
+      return { tokens: out.tokens, state };
+    }
+    i = end;
+    out.push('string', line.slice(0, i));
+  }
+
+  if (i === 0) {
+    const section = language.sections && line.match(language.sections);
+    const directive = language.preprocessor && line.match(language.preprocessor);
+    if (section || directive) {
+      out.push('keyword', (section || directive)[0]);
+      i = (section || directive)[0].length;
+    }
+  }
+
+  let lineStart = i === 0 || !line.slice(0, i).trim();
+  while (i < line.length) {
+    const rest = line.slice(i);
+
+    if (/^\s/.test(rest)) {
+      const space = rest.match(/^\s+/)[0];
+      out.push('', space);
+      i += space.length;
+      continue;
+    }
+
+    if ((language.lineComment && rest.startsWith(language.lineComment)) ||
+        (language.altLineComment && lineStart && rest.startsWith(language.altLineComment))) {
+      // "#" starts a comment only after a space in shell-like languages
+      if (language.lineComment !== '#' || i === 0 || /\s/.test(line[i - 1])) {
+        out.push('comment', rest);
+        return { tokens: out.tokens, state: null };
+      }
+    }
+
+    if (language.blockComment && rest.startsWith(language.blockComment[0])) {
+      const end = line.indexOf(language.blockComment[1], i + language.blockComment[0].length);
+      if (end === -1) {
+        out.push('comment', rest);
+        return { tokens: out.tokens, state: { comment: true } };
+      }
+      out.push('comment', line.slice(i, end + language.blockComment[1].length));
+      i = end + language.blockComment[1].length;
+      lineStart = false;
+      continue;
+    }
+
+    const key = lineStart && language.keys && rest.match(language.keys);
+    if (key && key[0].trim()) {
+      out.push('key', key[0]);
+      i += key[0].length;
+      lineStart = false;
+      continue;
+    }
+
+    const quote = (language.strings || []).find(q => rest.startsWith(q));
+    if (quote) {
+      const end = findStringEnd(line, i + quote.length, quote);
+      if (end === -1) {
+        out.push('string', rest);
+        const open = language.multilineStrings && language.multilineStrings.includes(quote);
+        return { tokens: out.tokens, state: open ? { string: quote } : null };
+      }
+      out.push('string', line.slice(i, end));
+      i = end;
+      lineStart = false;
+      continue;
+    }
+
+    const variable = language.variables && rest.match(language.variables);
+    if (variable) {
+      out.push('variable', variable[0]);
+      i += variable[0].length;
+      lineStart = false;
+      continue;
+    }
+
+    const number = (i === 0 || !/[\w$]/.test(line[i - 1])) && rest.match(NUMBER);
+    if (number) {
+      out.push('number', number[0]);
+      i += number[0].length;
+      lineStart = false;
+      continue;
+    }
+
+    const word = rest.match(WORD);
+    if (word) {
+      const text = word[0];
+      const known = language.keywords &&
+        language.keywords.has(language.ignoreCase ? text.toLowerCase() : text);
+      out.push(known ? 'keyword' : '', text);
+      i += text.length;
+    } else {
+      out.push('', line[i]);
+      i += 1;
+    }
+    lineStart = false;
+  }
+  return { tokens: out.tokens, state: null };
+}
+
+// HTML and XML: comments, tags, attribute names and values. A tag that
+// spans lines keeps the next line in tag state
+function highlightMarkup(line, state) {
+  const out = tokenList();
+  let i = 0;
+  let inTag = state && state.tag;
+
+  if (state && state.comment) {
+    const end = line.indexOf('-->');
+    if (end === -1) {
+      out.push('comment', line);
+      return { tokens: out.tokens, state };
+    }
+    i = end + 3;
+    out.push('comment', line.slice(0, i));
+  }
+
+  while (i < line.length) {
+    const rest = line.slice(i);
+    if (inTag) {
+      const match = rest.match(/^(\s+)|^(\/?>|\?>)|^("[^"]*"|'[^']*')|^([^\s=>"'/]+)|^(.)/);
+      if (match[2]) {
+        out.push('tag', match[2]);
+        inTag = false;
+      } else if (match[3]) {
+        out.push('string', match[3]);
+      } else if (match[4]) {
+        out.push('attr', match[4]);
+      } else {
+        out.push('', match[0]);
+      }
+      i += match[0].length;
+      continue;
+    }
+
+    if (rest.startsWith('<!--')) {
+      const end = line.indexOf('-->', i + 4);
+      if (end === -1) {
+        out.push('comment', rest);
+        return { tokens: out.tokens, state: { comment: true } };
+      }
+      out.push('comment', line.slice(i, end + 3));
+      i = end + 3;
+      continue;
+    }
+
+    const open = rest.match(/^<[/!?]?[\w:.-]*/);
+    if (open && open[0].length > 1) {
+      out.push('tag', open[0]);
+      i += open[0].length;
+      inTag = true;
+      continue;
+    }
+
+    const text = rest.match(/^[^<]+/);
+    const chunk = text ? text[0] : line[i];
+    out.push('', chunk);
+    i += chunk.length;
+  }
+  return { tokens: out.tokens, state: inTag ? { tag: true } : null };
+}
+
+// Markdown: headings, quotes, list markers, code spans and fenced blocks
+function highlightMarkdown(line, state) {
+  const out = tokenList();
+  const fence = line.match(/^\s*(```|~~~)/);
+  if (state && state.fence) {
+    out.push('string', line);
+    return { tokens: out.tokens, state: fence && fence[1] === state.fence ? null : state };
+  }
+  if (fence) {
+    out.push('string', line);
+    return { tokens: out.tokens, state: { fence: fence[1] } };
+  }
+  if (/^#{1,6}\s/.test(line)) {
+    out.push('heading', line);
+    return { tokens: out.tokens, state: null };
+  }
+  if (/^\s*>/.test(line)) {
+    out.push('comment', line);
+    return { tokens: out.tokens, state: null };
+  }
+
+  const marker = line.match(/^\s*(?:[-*+]|\d+[.)])\s/);
+  let i = 0;
+  if (marker) {
+    out.push('keyword', marker[0]);
+    i = marker[0].length;
+  }
+  const pattern = /`[^`]+`|\[[^\]]*\]\([^)]*\)|\*\*[^*]+\*\*|__[^_]+__/g;
+  pattern.lastIndex = i;
+  let match;
+  while ((match = pattern.exec(line))) {
+    out.push('', line.slice(i, match.index));
+    out.push(match[0].startsWith('`') ? 'string' : match[0].startsWith('[') ? 'attr' : 'keyword', match[0]);
+    i = match.index + match[0].length;
+  }
+  out.push('', line.slice(i));
+  return { tokens: out.tokens, state: null };
+}
+
+/**
+ * Highlight consecutive lines of a file in `language`, starting from the
+ * state the previous line ended in (null at the start of a file).
+ * Returns { lines: [[[type, text], ...], ...], state } where `state` is
+ * what the line after the last one starts from.
+ */
+function highlightLines(lines, language, state = null) {
+  const definition = LANGUAGES[language];
+  const result = [];
+  for (const line of lines) {
+    const highlighted = language === 'markup' ? highlightMarkup(line, state) :
+      language === 'markdown' ? highlightMarkdown(line, state) :
+      highlightCode(line, definition, state);
+    result.push(highlighted.tokens);
+    state = highlighted.state;
+  }
+  return { lines: result, state };
+}
+
+module.exports = { languageForFile, highlightLines, LANGUAGES };
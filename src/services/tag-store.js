@@ -0,0 +1,83 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+/**
+ * File tags kept in a JSON file under the app data folder, keyed by
+ * absolute path. Moves and renames done by the app carry tags along.
+ */
+class TagStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.tags = {};
+  }
+
+  async load() {
+    try {
+      this.tags = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to read tags:', error);
+      }
+      this.tags = {};
+    }
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(this.tags, null, 2), 'utf-8');
+  }
+
+  getTags(filePath) {
+    return this.tags[path.resolve(filePath)] || [];
+  }
+
+  /**
+   * Add tags to a file and return the ones that were not there yet
+   */
+  async addTags(filePath, tags) {
+    const key = path.resolve(filePath);
+    const current = this.tags[key] || [];
+    const added = tags.filter(tag => !current.includes(tag));
+
+    if (added.length > 0) {
+      this.tags[key] = [...current, ...added];
+      await this.save();
+    }
+    return added;
+  }
+
+  async removeTags(filePath, tags) {
+    const key = path.resolve(filePath);
+    const remaining = (this.tags[key] || []).filter(tag => !tags.includes(tag));
+
+    if (remaining.length > 0) {
+      this.tags[key] = remaining;
+    } else {
+      delete this.tags[key];
+    }
+    await this.save();
+  }
+
+  /**
+   * Follow a move or rename, including everything below a moved folder
+   */
+  async movePath(oldPath, newPath) {
+    const from = path.resolve(oldPath);
+    const to = path.resolve(newPath);
+    let changed = false;
+
+    for (const key of Object.keys(this.tags)) {
+      if (key === from || key.startsWith(from + path.sep)) {
+        this.tags[to + key.slice(from.length)] = this.tags[key];
+        delete this.tags[key];
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      await this.save();
+    }
+  }
+}
+
+module.exports = TagStore;
@@ -0,0 +1,74 @@
+const path = require('path');
+
+function pad(value, width = 2) {
+  return String(value).padStart(width, '0');
+}
+
+/**
+ * Format a date with YYYY, YY, MM, DD, HH, mm and ss tokens
+ */
+function formatDate(date, format = 'YYYY-MM-DD') {
+  const d = new Date(date);
+  if (isNaN(d)) return '';
+
+  return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => {
+    switch (token) {
+      case 'YYYY': return String(d.getFullYear());
+      case 'YY': return String(d.getFullYear()).slice(-2);
+      case 'MM': return pad(d.getMonth() + 1);
+      case 'DD': return pad(d.getDate());
+      case 'HH': return pad(d.getHours());
+      case 'mm': return pad(d.getMinutes());
+      case 'ss': return pad(d.getSeconds());
+      default: return token;
+    }
+  });
+}
+
+/**
+ * Fill a path or name template from a file record.
+ *
+ *   {name}       file name without extension
+ *   {ext}        extension with its dot (".pdf")
+ *   {extension}  extension without the dot ("pdf")
+ *   {parent}     name of the containing folder
+ *   {year} {month} {day}   from the modified date
+ *   {date:FORMAT}          modified date, e.g. {date:YYYY-MM-DD}
+ *   {counter:WIDTH}        `values.counter` zero-padded, e.g. {counter:3}
+ *
+ * Unknown tokens are left as they are. `values` can add or override tokens;
+ * Date values take a format like {date}, e.g. {exif.date:YYYY-MM-DD}.
+ */
+function renderTemplate(template, file, values = {}) {
+  const ext = path.extname(file.name);
+  const modified = new Date(file.modified);
+  const tokens = {
+    name: path.basename(file.name, ext),
+    ext: ext,
+    extension: ext.replace(/^\./, ''),
+    parent: path.basename(path.dirname(file.path)),
+    year: String(modified.getFullYear()),
+    month: pad(modified.getMonth() + 1),
+    day: pad(modified.getDate()),
+    ...values
+  };
+
+  return template.replace(/\{([a-zA-Z.]+)(?::([^}]*))?\}/g, (match, token, arg) => {
+    if (token === 'date') {
+      return formatDate(file.modified, arg);
+    }
+    if (!Object.prototype.hasOwnProperty.call(tokens, token)) {
+      return match;
+    }
+    const value = tokens[token];
+    if (value instanceof Date) {
+      return formatDate(value, arg);
+    }
+    if (token === 'counter' && arg) {
+      return pad(value, parseInt(arg, 10) || 1);
+    }
+    return String(value);
+  });
+}
+
+module.exports = { renderTemplate, formatDate };
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const { languageForFile, highlightLines } = require('./syntax-highlight');
+const { writeFileAtomic } = require('./file-transfer');
+
+// Files up to this size are indexed by line and read a range at a time;
+// larger ones only show their head and tail
+const FULL_TEXT_MAX_BYTES = 64 * 1024 * 1024;
+
+// Bytes of a large file's start and end that are shown
+const HEAD_TAIL_BYTES = 256 * 1024;
+
+// Files larger than this are shown without highlighting
+const HIGHLIGHT_MAX_BYTES = 2 * 1024 * 1024;
+
+// Longer lines are cut off, so a minified file cannot flood the preview
+const MAX_LINE_CHARS = 4000;
+const MAX_LINE_BYTES = MAX_LINE_CHARS * 4;
+
+// Most lines a single read returns
+const MAX_READ_LINES = 2000;
+
+// Larger files are only previewed, not edited
+const EDIT_MAX_BYTES = 5 * 1024 * 1024;
+
+// Windows-1252 characters in 0x80-0x9f, for saving Latin-1 files. Bytes
+// decoded as C1 controls instead are saved as the same byte
+const WINDOWS_1252 = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9a, '›': 0x9b,
+  'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Bytes sampled to detect the encoding
+const SAMPLE_BYTES = 64 * 1024;
+
+// Line indexes of recently previewed files, by path
+const MAX_CACHED_INDEXES = 4;
+const indexes = new Map();
+
+/**
+ * Encoding of a text file's bytes: a byte order mark decides, then
+ * UTF-16 without one is recognized by the zero byte in every other
+ * position of mostly-ASCII text, then valid UTF-8. Anything else is read
+ * as Latin-1 (Windows-1252). Returns { encoding, bomLength }.
+ */
+function detectEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return { encoding: 'utf-8', bomLength: 3 };
+  }
+  if (sample[0] === 0xff && sample[1] === 0xfe) {
+    return { encoding: 'utf-16le', bomLength: 2 };
+  }
+  if (sample[0] === 0xfe && sample[1] === 0xff) {
+    return { encoding: 'utf-16be', bomLength: 2 };
+  }
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs > 0 && oddZeros > pairs * 0.4 && evenZeros < pairs * 0.05) {
+    return { encoding: 'utf-16le', bomLength: 0 };
+  }
+  if (pairs > 0 && evenZeros > pairs * 0.4 && oddZeros < pairs * 0.05) {
+    return { encoding: 'utf-16be', bomLength: 0 };
+  }
+
+  try {
+    // Streaming mode tolerates a character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { encoding: 'utf-8', bomLength: 0 };
+  } catch (error) {
+    return { encoding: 'latin1', bomLength: 0 };
+  }
+}
+
+function isUtf16(encoding) {
+  return encoding === 'utf-16le' || encoding === 'utf-16be';
+}
+
+async function readRange(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Decoded text split into lines, without line endings, each cut off at
+// MAX_LINE_CHARS
+function splitLines(text) {
+  return text.split('\n').map(line => {
+    if (line.endsWith('\r')) line = line.slice(0, -1);
+    return line.length > MAX_LINE_CHARS ? line.slice(0, MAX_LINE_CHARS) + ' …' : line;
+  });
+}
+
+/**
+ * Byte offset of the start of every line, plus the end of the file, found
+ * by streaming through it once. A final line break does not start another
+ * line.
+ */
+async function buildLineIndex(filePath, size, encoding, bomLength) {
+  let offsets = new Float64Array(1024);
+  let count = 0;
+  const add = (offset) => {
+    if (count === offsets.length) {
+      const grown = new Float64Array(offsets.length * 2);
+      grown.set(offsets);
+      offsets = grown;
+    }
+    offsets[count++] = offset;
+  };
+
+  add(bomLength);
+  let position = 0;
+  let previous = -1;
+  const wide = isUtf16(encoding);
+  const newline = encoding === 'utf-16be' ? [0x00, 0x0a] : [0x0a, 0x00];
+
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 })) {
+    if (wide) {
+      // A line break is the code unit 0x000A, ending at an odd offset
+      for (let i = 0; i < chunk.length; i++) {
+        const offset = position + i;
+        if ((offset - bomLength) % 2 === 1 && previous === newline[0] && chunk[i] === newline[1]) {
+          add(offset + 1);
+        }
+        previous = chunk[i];
+      }
+    } else {
+      for (let i = chunk.indexOf(0x0a); i !== -1; i = chunk.indexOf(0x0a, i + 1)) {
+        add(position + i + 1);
+      }
+    }
+    position += chunk.length;
+  }
+
+  if (count > 1 && offsets[count - 1] === size) {
+    count--;
+  }
+  add(size);
+  return { offsets: offsets.subarray(0, count), lineCount: count - 1 };
+}
+
+// Cached line index of a file, rebuilt when the file has changed
+async function getLineIndex(filePath, stats) {
+  const cached = indexes.get(filePath);
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    indexes.delete(filePath);
+    indexes.set(filePath, cached);
+    return cached;
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+  let sample;
+  try {
+    sample = await readRange(handle, 0, SAMPLE_BYTES);
+  } finally {
+    await handle.close();
+  }
+  const { encoding, bomLength } = detectEncoding(sample);
+  const index = {
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    encoding,
+    bomLength,
+    language: stats.size <= HIGHLIGHT_MAX_BYTES ? languageForFile(filePath) : null,
+    ...await buildLineIndex(filePath, stats.size, encoding, bomLength)
+  };
+
+  indexes.set(filePath, index);
+  if (indexes.size > MAX_CACHED_INDEXES) {
+    indexes.delete(indexes.keys().next().value);
+  }
+  return index;
+}
+
+// Head and tail lines of a file too large to index. Partial lines where
+// the two parts were cut are dropped
+async function readHeadAndTail(filePath, size) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const head = await readRange(handle, 0, HEAD_TAIL_BYTES);
+    const { encoding, bomLength } = detectEncoding(head.subarray(0, SAMPLE_BYTES));
+    let tailStart = size - HEAD_TAIL_BYTES;
+    if (isUtf16(encoding) && (tailStart - bomLength) % 2 === 1) tailStart++;
+    const tail = await readRange(handle, tailStart, size - tailStart);
+
+    const decoder = new TextDecoder(encoding);
+    const headLines = splitLines(decoder.decode(head.subarray(bomLength)));
+    const tailLines = splitLines(decoder.decode(tail));
+    headLines.pop();
+    tailLines.shift();
+    if (tailLines.length > 1 && tailLines[tailLines.length - 1] === '') tailLines.pop();
+
+    return { encoding, headLines, tailLines };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Open a text file for the preview. Files up to FULL_TEXT_MAX_BYTES are
+ * indexed and their lines read with readTextLines:
+ *
+ *   { partial: false, encoding, lineCount, language }
+ *
+ * Larger files come with the lines at their start and end:
+ *
+ *   { partial: true, encoding, head, tail, language }
+ *
+ * `language` is null when the file is not highlighted; otherwise lines
+ * are [[type, text], ...] token lists (see syntax-highlight.js).
+ */
+async function openTextFile(filePath) {
+  const stats = await fs.promises.stat(filePath);
+
+  if (stats.size > FULL_TEXT_MAX_BYTES) {
+    const { encoding, headLines, tailLines } = await readHeadAndTail(filePath, stats.size);
+    const language = languageForFile(filePath);
+    return {
+      partial: true,
+      encoding,
+      language,
+      // The tail does not start at a known state, so both start afresh
+      head: language ? highlightLines(headLines, language).lines : headLines,
+      tail: language ? highlightLines(tailLines, language).lines : tailLines
+    };
+  }
+
+  const index = await getLineIndex(filePath, stats);
+  return {
+    partial: false,
+    encoding: index.encoding,
+    lineCount: index.lineCount,
+    language: index.language
+  };
+}
+
+/**
+ * `count` lines of a file from line `start` (0-based). Highlighted files
+ * take the highlighter state the previous line ended in and return the
+ * state after the last line. Returns { lines, lineCount, state }; the
+ * line count changes when the file has changed since it was opened.
+ */
+async function readTextLines(filePath, start, count, state = null) {
+  const stats = await fs.promises.stat(filePath);
+  if (stats.size > FULL_TEXT_MAX_BYTES) {
+    throw new Error('File is too large to read by line');
+  }
+  const index = await getLineIndex(filePath, stats);
+  const from = Math.max(0, Math.min(start, index.lineCount));
+  const to = Math.min(index.lineCount, from + Math.min(count, MAX_READ_LINES));
+  const decoder = new TextDecoder(index.encoding);
+
+  let lines = [];
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const rangeStart = index.offsets[from];
+    const rangeEnd = index.offsets[to];
+    if (rangeEnd - rangeStart <= MAX_READ_LINES * MAX_LINE_BYTES / 4) {
+      if (to > from) {
+        lines = splitLines(decoder.decode(await readRange(handle, rangeStart, rangeEnd - rangeStart)))
+          .slice(0, to - from);
+      }
+    } else {
+      // Some lines are very long; read only the start of each
+      for (let line = from; line < to; line++) {
+        const length = Math.min(index.offsets[line + 1] - index.offsets[line], MAX_LINE_BYTES);
+        const text = decoder.decode(await readRange(handle, index.offsets[line], length));
+        lines.push(splitLines(text)[0]);
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+
+  if (!index.language) {
+    return { lines, lineCount: index.lineCount, state: null };
+  }
+  const highlighted = highlightLines(lines, index.language, state);
+  return { lines: highlighted.lines, lineCount: index.lineCount, state: highlighted.state };
+}
+
+/**
+ * Whole text of a file for editing, decoded in its encoding, with line
+ * breaks as "\n". Returns { content, encoding, bom, lineEnding, mtimeMs,
+ * size }; saveTextFile takes the same encoding, bom and lineEnding back.
+ */
+async function readTextForEditing(filePath) {
+  const stats = await fs.promises.stat(filePath);
+  if (stats.size > EDIT_MAX_BYTES) {
+    throw new Error(`Files over ${EDIT_MAX_BYTES / 1024 / 1024} MB can only be previewed`);
+  }
+
+  const buffer = await fs.promises.readFile(filePath);
+  let { encoding, bomLength } = detectEncoding(buffer.subarray(0, SAMPLE_BYTES));
+  let text;
+  try {
+    // The sample can pass as UTF-8 when the rest of the file does not;
+    // saving replacement characters would lose those bytes
+    text = new TextDecoder(encoding, { fatal: encoding === 'utf-8' }).decode(buffer.subarray(bomLength));
+  } catch (error) {
+    encoding = 'latin1';
+    text = new TextDecoder(encoding).decode(buffer);
+  }
+
+  // The file's own line ending is used when saving, whichever most lines use
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const lf = (text.match(/\n/g) || []).length;
+  return {
+    content: text.replace(/\r\n/g, '\n'),
+    encoding,
+    bom: bomLength > 0,
+    lineEnding: crlf > lf / 2 ? '\r\n' : '\n',
+    mtimeMs: stats.mtimeMs,
+    size: stats.size
+  };
+}
+
+function encodeText(text, encoding, bom) {
+  if (encoding === 'utf-16le' || encoding === 'utf-16be') {
+    const data = Buffer.from((bom ? '\ufeff' : '') + text, 'utf16le');
+    return encoding === 'utf-16be' ? data.swap16() : data;
+  }
+  if (encoding === 'latin1') {
+    const data = Buffer.alloc(text.length);
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      if (code <= 0xff) {
+        data[i] = code;
+      } else if (WINDOWS_1252[text[i]] !== undefined) {
+        data[i] = WINDOWS_1252[text[i]];
+      } else {
+        throw new Error(`"${String.fromCodePoint(text.codePointAt(i))}" cannot be saved in this file's ` +
+          'Latin-1 encoding');
+      }
+    }
+    return data;
+  }
+  return Buffer.from((bom ? '\ufeff' : '') + text, 'utf-8');
+}
+
+/**
+ * Save edited text with the file's encoding, byte order mark and line
+ * ending (see readTextForEditing). With `expected` ({ mtimeMs, size } as
+ * read), a file changed or deleted on disk since then is not overwritten:
+ * returns { saved: false, conflict: 'modified' | 'deleted' }. Otherwise
+ * the file is replaced atomically and { saved: true, mtimeMs, size } is
+ * returned for the next save to check against.
+ */
+async function saveTextFile(filePath, content, options = {}) {
+  const { encoding = 'utf-8', bom = false, lineEnding = '\n', expected = null } = options;
+
+  if (expected) {
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (!stats) {
+      return { saved: false, conflict: 'deleted' };
+    }
+    if (stats.mtimeMs !== expected.mtimeMs || stats.size !== expected.size) {
+      return { saved: false, conflict: 'modified' };
+    }
+  }
+
+  const text = content.replace(/\r?\n/g, lineEnding);
+  await writeFileAtomic(filePath, encodeText(text, encoding, bom));
+  const stats = await fs.promises.stat(filePath);
+  return { saved: true, mtimeMs: stats.mtimeMs, size: stats.size };
+}
+
+module.exports = { detectEncoding, openTextFile, readTextLines, readTextForEditing, saveTextFile };
@@ -0,0 +1,227 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { movePath } = require('./file-transfer');
+const { resolveCollision } = require('./collision');
+
+// Extra .trashinfo key marking items this app trashed. The freedesktop.org
+// spec requires other implementations to ignore unknown keys.
+const OWNER_KEY = 'X-Trashed-By';
+const OWNER_VALUE = 'sortmagic';
+
+/**
+ * Recoverable deletion using the freedesktop.org Trash layout: items live
+ * in `files/` and each has an `info/<name>.trashinfo` recording where it
+ * came from and when it was deleted. The same layout backs the app-managed
+ * trash on platforms without a system trash we can browse.
+ */
+class Trash {
+  constructor(trashDir) {
+    this.trashDir = trashDir;
+    this.filesDir = path.join(trashDir, 'files');
+    this.infoDir = path.join(trashDir, 'info');
+  }
+
+  /**
+   * Home trash from the freedesktop.org spec ($XDG_DATA_HOME/Trash)
+   */
+  static systemTrashDir() {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    return path.join(dataHome, 'Trash');
+  }
+
+  async ensureDirs() {
+    await fs.mkdir(this.filesDir, { recursive: true, mode: 0o700 });
+    await fs.mkdir(this.infoDir, { recursive: true, mode: 0o700 });
+  }
+
+  /**
+   * Move a file or folder into the trash and return its trash entry
+   */
+  async moveToTrash(filePath) {
+    await this.ensureDirs();
+    const originalPath = path.resolve(filePath);
+
+    const deletedAt = new Date();
+    const info = [
+      '[Trash Info]',
+      `Path=${encodeTrashPath(originalPath)}`,
+      `DeletionDate=${formatDeletionDate(deletedAt)}`,
+      `${OWNER_KEY}=${OWNER_VALUE}`,
+      ''
+    ].join('\n');
+
+    // Claim a free name by creating the .trashinfo exclusively, as the spec asks
+    const ext = path.extname(originalPath);
+    const stem = path.basename(originalPath, ext);
+    let name = path.basename(originalPath);
+    let infoPath;
+    for (let n = 1; ; n++) {
+      infoPath = path.join(this.infoDir, name + '.trashinfo');
+      if (!(await exists(path.join(this.filesDir, name)))) {
+        try {
+          await fs.writeFile(infoPath, info, { encoding: 'utf-8', flag: 'wx', mode: 0o600 });
+          break;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+      }
+      name = `${stem} (${n})${ext}`;
+    }
+
+    try {
+      await movePath(originalPath, path.join(this.filesDir, name));
+    } catch (error) {
+      await fs.unlink(infoPath).catch(() => {});
+      throw error;
+    }
+
+    return { id: name, originalPath: originalPath, deletedAt: deletedAt.toISOString() };
+  }
+
+  /**
+   * All items in the trash, newest first
+   */
+  async list() {
+    let names;
+    try {
+      names = await fs.readdir(this.infoDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const items = [];
+    for (const infoName of names) {
+      if (!infoName.endsWith('.trashinfo')) continue;
+      const id = infoName.slice(0, -'.trashinfo'.length);
+
+      try {
+        const info = parseTrashInfo(await fs.readFile(path.join(this.infoDir, infoName), 'utf-8'));
+        const stats = await fs.lstat(path.join(this.filesDir, id));
+        items.push({
+          id: id,
+          name: path.basename(info.path || id),
+          originalPath: info.path,
+          deletedAt: info.deletedAt ? info.deletedAt.toISOString() : null,
+          ownedByApp: info.owner === OWNER_VALUE,
+          isDirectory: stats.isDirectory(),
+          size: stats.size
+        });
+      } catch (error) {
+        // Orphaned or unreadable .trashinfo; leave it for other tools
+        continue;
+      }
+    }
+
+    return items.sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+  }
+
+  async getInfo(id) {
+    assertTrashId(id);
+    const text = await fs.readFile(path.join(this.infoDir, id + '.trashinfo'), 'utf-8');
+    return parseTrashInfo(text);
+  }
+
+  /**
+   * Move an item back to its original location (or `destination`).
+   * Existing files there are handled by the collision policy.
+   */
+  async restore(id, destination, policy = 'suffix') {
+    const info = await this.getInfo(id);
+    const target = destination || info.path;
+    if (!target) {
+      throw new Error(`Trash item "${id}" has no original location`);
+    }
+
+    const source = path.join(this.filesDir, id);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const resolution = await resolveCollision(source, target, policy);
+    if (!resolution.destination) {
+      throw new Error(`Cannot restore: "${target}" already exists`);
+    }
+
+    await movePath(source, resolution.destination);
+    await fs.unlink(path.join(this.infoDir, id + '.trashinfo'));
+    return { id: id, restoredTo: resolution.destination };
+  }
+
+  /**
+   * Permanently remove an item from the trash
+   */
+  async purge(id) {
+    assertTrashId(id);
+    await fs.rm(path.join(this.filesDir, id), { recursive: true, force: true });
+    await fs.rm(path.join(this.infoDir, id + '.trashinfo'), { force: true });
+  }
+
+  /**
+   * Purge items this app trashed more than `days` days ago
+   */
+  async purgeOlderThan(days) {
+    if (!days || days <= 0) return [];
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const purged = [];
+    for (const item of await this.list()) {
+      if (item.ownedByApp && item.deletedAt && Date.parse(item.deletedAt) < cutoff) {
+        await this.purge(item.id);
+        purged.push(item.id);
+      }
+    }
+    return purged;
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.lstat(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Trash ids are plain file names; never let one escape the trash folder
+function assertTrashId(id) {
+  if (!id || id !== path.basename(id) || id === '.' || id === '..') {
+    throw new Error('Invalid trash item: ' + id);
+  }
+}
+
+// Paths are stored URL-escaped, keeping the slashes
+function encodeTrashPath(filePath) {
+  return filePath.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// Local time without a timezone, as the spec requires
+function formatDeletionDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+         `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function parseTrashInfo(text) {
+  const info = { path: null, deletedAt: null, owner: null };
+
+  for (const line of text.split(/\r?\n/)) {
+    const index = line.indexOf('=');
+    if (index === -1) continue;
+    const key = line.slice(0, index).trim();
+    const value = line.slice(index + 1).trim();
+
+    if (key === 'Path') {
+      const decoded = decodeURIComponent(value);
+      info.path = path.sep === '/' ? decoded : decoded.replace(/\//g, path.sep);
+    } else if (key === 'DeletionDate') {
+      const date = new Date(value);
+      info.deletedAt = isNaN(date) ? null : date;
+    } else if (key === OWNER_KEY) {
+      info.owner = value;
+    }
+  }
+
+  return info;
+}
+
+module.exports = Trash;